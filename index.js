@@ -3,10 +3,28 @@
 
 const express = require('express');
 const { WebSocketServer } = require('ws');
-const { SerialPort } = require('serialport');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 require('dotenv').config(); // Load environment variables from .env file
+const klm900p = require('./lib/klm900p');
+const simulator = require('./lib/simulator');
+const recorder = require('./lib/recorder');
+const readerConfigStore = require('./lib/reader-config');
+const tagMemory = require('./lib/tag-memory');
+const connection = require('./lib/connection');
+const readerList = require('./lib/reader-list');
+const readerConsole = require('./lib/console');
+const presence = require('./lib/presence');
+const ledger = require('./lib/ledger');
+const history = require('./lib/history');
+const kitCheck = require('./lib/kit-check');
+const inventoryCsv = require('./lib/inventory-csv');
+const discovery = require('./lib/discovery');
+const gs1 = require('./lib/gs1');
+const maintenance = require('./lib/maintenance');
+const audit = require('./lib/audit');
+const snapshotCompare = require('./lib/snapshot-compare');
 
 // --- Constants ---
 const Constants = {
@@ -14,76 +32,33 @@ const Constants = {
   DEFAULT_PORT: '/dev/ttyUSB0',
   DEFAULT_BAUDRATE: 115200,
 
+  // Name and location of the reader given with --port
+  DEFAULT_READER_NAME: 'reader',
+  DEFAULT_LOCATION: 'Toolbox',
+
   // Modes
   MODE_AUTO: 'auto',
   MODE_INVENTORY: 'inventory',
   MODE_INTERACTIVE: 'interactive',
   MODE_READ_TAG: 'read-tag',
 
-  // Protocol bytes
-  HEADER_BYTE: 0xFF,
-
-  // Command Codes
-  CMD_START_APP: 0x04,
-  CMD_GET_RUNNING_STAGE: 0x0C,
-  CMD_RFID_INVENTORY: 0x21,
-  CMD_MULTI_TAG_INVENTORY: 0xAA,
-
-  // Firmware running stages
-  STAGE_BOOTLOADER: 0x11,
-  STAGE_APP: 0x12,
-
-  // Status Codes
-  STATUS_SUCCESS: 0x0000,
-
-  // Hex commands (without CRC)
-  HEX_START_APP: 'ff00041d0b',
-  HEX_GET_RUNNING_STAGE: 'ff000c1d03',
-  HEX_SCAN_START: 'ff13aa4d6f64756c6574656368aa480000000000f2bbe1cb',
-  HEX_SCAN_STOP: 'ff0eaa4d6f64756c6574656368aa49f3bb',
-
   // File and output strings
   TSV_FILE_NAME: 'epc_scan_data.tsv',
-  TSV_HEADER: ['id', 'timestamp', 'EPC', 'item', 'scanned times'].join('\t'),
-  TSV_ITEM_ID_PLACEHOLDER: 'N/A'
-};
+  TSV_HEADER: ['id', 'timestamp', 'EPC', 'item', 'scanned times', 'rssi (dBm)', 'peak rssi (dBm)', 'antenna', 'location', 'gs1'].join('\t'),
+  TSV_ITEM_ID_PLACEHOLDER: 'N/A',
 
-// --- CRC-16-CCITT Implementation ---
-const MSG_CRC_INIT = 0xFFFF;
-const MSG_CCITT_CRC_POLY = 0x1021;
-
-class CRC {
-  constructor(poly_value = MSG_CCITT_CRC_POLY, init_value = MSG_CRC_INIT) {
-    this.init_value = init_value;
-    this.poly_value = poly_value;
-    this.value = 0;
-    this.reset();
-  }
-
-  reset() { this.value = this.init_value; }
-
-  crc8(v) {
-    var xorFlag = 0;
-    var bit = 0;
-    var dcdBitMask = 0x80;
-    for (let i = 0; i < 8; i++) {
-      xorFlag = this.value & 0x8000;
-      this.value = (this.value << 1) & 0xFFFF;
-      bit = ((v & dcdBitMask) === dcdBitMask);
-      this.value = this.value | bit;
-      if (xorFlag > 0) {
-        this.value = this.value ^ this.poly_value;
-      }
-      dcdBitMask = dcdBitMask >> 1;
-    }
-  }
+  // How often tools that stopped answering are checked for absence while scanning
+  PRESENCE_CHECK_MS: 1000,
+  // A badge that keeps being read is only logged again after this long
+  BADGE_LOG_INTERVAL_MS: 10000,
+  // How often history files older than the retention period are deleted
+  HISTORY_PRUNE_INTERVAL_MS: 60 * 60 * 1000,
+  // How often service due dates are checked again, so tools turn due as the days pass
+  MAINTENANCE_CHECK_INTERVAL_MS: 60 * 60 * 1000,
 
-  calculate(data) {
-    this.reset();
-    for (const b of data) { this.crc8(b); }
-    return this.value;
-  }
-}
+  // Interactive console
+  CONSOLE_HISTORY_FILE: path.join(os.homedir(), '.smart_toolbox_history')
+};
 
 // --- Configuration and Argument Parsing using yargs ---
 // Main application logic is now wrapped in an async function to support dynamic imports
@@ -95,9 +70,22 @@ async function main() {
     .option('port', {
         alias: 'p',
         type: 'string',
-        describe: 'The serial port to connect to.',
+        describe: 'The serial port to connect to, or "auto" to find the reader by its USB vendor/product id.',
         default: Constants.DEFAULT_PORT
     })
+    .option('usb-id', {
+        type: 'string',
+        describe: 'USB ids (vendor:product in hex, comma separated) that --port auto looks for. Defaults to the CH340, CP210x and FTDI bridges.'
+    })
+    .option('readers', {
+        type: 'string',
+        describe: 'JSON file listing several readers, each with a name, location and serial port. Replaces --port.'
+    })
+    .option('location', {
+        type: 'string',
+        default: Constants.DEFAULT_LOCATION,
+        describe: 'Location name reported for tags read by the reader on --port.'
+    })
     .option('baudrate', {
         alias: 'b',
         type: 'number',
@@ -110,11 +98,71 @@ async function main() {
       default: Constants.MODE_AUTO,
       describe: 'Operational mode: auto, inventory, interactive, or read-tag.'
     })
+    .option('console', {
+      type: 'boolean',
+      default: false,
+      describe: 'Open the interactive command prompt next to the web server in any mode. Implied by --mode=interactive.'
+    })
     .option('inventory', {
       alias: 'i',
       type: 'string',
       describe: 'Path to the inventory CSV file. Required for inventory mode.'
     })
+    .option('history', {
+      type: 'string',
+      default: history.HistoryDefaults.DIR,
+      describe: 'Directory for the scan history (one JSON Lines file per day).'
+    })
+    .option('history-days', {
+      type: 'number',
+      default: history.HistoryDefaults.RETENTION_DAYS,
+      describe: 'Days of scan history to keep. 0 keeps everything.'
+    })
+    .option('history-interval', {
+      type: 'number',
+      default: history.HistoryDefaults.READ_INTERVAL_MS / 1000,
+      describe: 'Seconds over which the reads of each tag are summed into one history entry.'
+    })
+    .option('absence-timeout', {
+      type: 'number',
+      default: presence.PresenceDefaults.ABSENCE_TIMEOUT_MS / 1000,
+      describe: 'Seconds without a read after which a tool counts as out of the box.'
+    })
+    .option('min-reads', {
+      type: 'number',
+      default: presence.PresenceDefaults.MIN_READ_COUNT,
+      describe: 'Reads needed before a tool counts as in the box.'
+    })
+    .option('users', {
+      type: 'string',
+      default: ledger.LedgerDefaults.USERS_FILE_PATH,
+      describe: 'Users CSV file with "badge" (badge tag EPC) and "name" columns.'
+    })
+    .option('ledger', {
+      type: 'string',
+      default: ledger.LedgerDefaults.FILE_PATH,
+      describe: 'Checkout ledger file recording who took which tool.'
+    })
+    .option('badge-window', {
+      type: 'number',
+      default: ledger.LedgerDefaults.BADGE_WINDOW_MS / 1000,
+      describe: 'Seconds before a tool was last seen in which a badge read makes that user the borrower.'
+    })
+    .option('audits', {
+      type: 'string',
+      default: audit.AuditDefaults.FILE_PATH,
+      describe: 'JSON file of scheduled audit scans, each with a name, a cron expression and a scan duration in seconds.'
+    })
+    .option('snapshots', {
+      type: 'string',
+      default: audit.AuditDefaults.SNAPSHOT_DIR,
+      describe: 'Directory for the snapshots stored by audit scans.'
+    })
+    .option('service-warning-days', {
+      type: 'number',
+      default: maintenance.MaintenanceDefaults.DUE_SOON_DAYS,
+      describe: 'Days before a service or calibration due date from which a tool is shown as due soon.'
+    })
     .option('refresh-period', {
       alias: 'r',
       type: 'number',
@@ -127,240 +175,1260 @@ async function main() {
       default: true,
       describe: 'Enable or disable debug logs (0 for off, 1 for on).'
     })
+    .option('simulate', {
+      type: 'boolean',
+      default: false,
+      describe: 'Use an in-process simulated reader instead of the serial port.'
+    })
+    .option('sim-epcs', {
+      type: 'string',
+      describe: 'Simulated tags: a CSV file with an EPC column or a comma separated EPC list. Defaults to the inventory file.'
+    })
+    .option('sim-rate', {
+      type: 'number',
+      default: simulator.SimulatorDefaults.READ_RATE,
+      describe: 'Simulated inventory rounds per second.'
+    })
+    .option('sim-dropout', {
+      type: 'number',
+      default: simulator.SimulatorDefaults.DROPOUT,
+      describe: 'Probability (0-1) that a simulated tag is missed in a round.'
+    })
+    .option('sim-noise', {
+      type: 'number',
+      default: simulator.SimulatorDefaults.NOISE,
+      describe: 'Probability (0-1) that a simulated frame is corrupted or preceded by junk bytes.'
+    })
+    .option('metadata', {
+      type: 'string',
+      default: 'count,rssi,antenna,frequency,phase',
+      describe: 'Tag metadata to request when scanning: a comma separated list of count, rssi, antenna, frequency, timestamp, phase, protocol, or "none".'
+    })
+    .option('config', {
+      alias: 'c',
+      type: 'string',
+      default: readerConfigStore.ReaderConfigDefaults.FILE_PATH,
+      describe: 'Path to the reader settings file (RF power, region, Gen2 session/target/Q).'
+    })
+    .option('power', {
+      type: 'number',
+      describe: 'RF read power in dBm. Overrides and updates the settings file.'
+    })
+    .option('region', {
+      type: 'string',
+      describe: `Frequency region (${Object.keys(klm900p.Regions).join(', ')}). Overrides and updates the settings file.`
+    })
+    .option('session', {
+      type: 'string',
+      describe: 'Gen2 session (S0-S3). Overrides and updates the settings file.'
+    })
+    .option('target', {
+      type: 'string',
+      describe: `Gen2 inventory target (${Object.keys(klm900p.Gen2Targets).join(', ')}). Overrides and updates the settings file.`
+    })
+    .option('q', {
+      type: 'string',
+      describe: 'Gen2 Q value (0-15) or "dynamic". Overrides and updates the settings file.'
+    })
+    .option('commissioning', {
+      type: 'boolean',
+      default: false,
+      describe: 'Let the web page write EPCs, access passwords and locks to tags (Commission Tag).'
+    })
+    .option('record', {
+      type: 'string',
+      describe: 'Record every inbound and outbound serial chunk with timestamps to this file.'
+    })
+    .option('replay', {
+      type: 'string',
+      describe: 'Replay a recorded session file instead of opening the serial port.'
+    })
+    .option('replay-speed', {
+      type: 'number',
+      default: 1,
+      describe: 'Replay speed multiplier (1 = real time, 10 = ten times faster, 0 = as fast as possible).'
+    })
+    .option('raw-commands', {
+      type: 'boolean',
+      default: false,
+      describe: 'Let the diagnostics page send raw command frames to the readers (including lock and kill commands).'
+    })
     .argv;
 
-  let { port: portName, baudrate: baudRate, mode, inventory, refreshPeriod, dbg } = argv;
+  let { port: portName, baudrate: baudRate, mode, inventory, refreshPeriod, dbg, simulate } = argv;
   let inventoryFilePath = inventory;
   let inventoryMode = mode === Constants.MODE_INVENTORY;
   let isDbgLogEnabled = dbg;
+  let metadataFlags;
+  let usbIds = connection.ConnectionDefaults.READER_USB_IDS;
+  try {
+    metadataFlags = klm900p.parseMetadataFlags(argv.metadata);
+    if (argv.usbId) usbIds = connection.parseUsbIds(argv.usbId);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  // Reader settings from the config file, with command-line values taking precedence
+  const readerConfigPath = argv.config;
+  let readerConfig;
+  try {
+    const cliReaderConfig = {};
+    readerConfigStore.ReaderConfigDefaults.SETTINGS.forEach(name => {
+      if (argv[name] !== undefined) cliReaderConfig[name] = argv[name];
+    });
+    readerConfig = readerConfigStore.normalizeReaderConfig({ ...readerConfigStore.loadReaderConfig(readerConfigPath), ...cliReaderConfig });
+    if (Object.keys(cliReaderConfig).length > 0) {
+      readerConfigStore.saveReaderConfig(readerConfigPath, readerConfig);
+    }
+  } catch (err) {
+    console.error(`❌ Invalid reader settings: ${err.message}`);
+    process.exit(1);
+  }
 
   if (mode === Constants.MODE_INVENTORY && !inventoryFilePath) {
       console.error(`❌ Inventory mode requires an inventory file. Please specify one using --inventory=<path>.`);
       process.exit(1);
   }
 
+  // Badge tags of the people who take tools, and the record of who took what
+  let users;
+  let checkoutLedger;
+  try {
+    users = ledger.loadUsers(argv.users);
+    checkoutLedger = new ledger.CheckoutLedger(argv.ledger, { badgeWindowMs: argv.badgeWindow * 1000 });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  if (users.size > 0) console.log(`🪪 Loaded ${users.size} user badge(s) from ${argv.users}.`);
+
+  let historyStore;
+  try {
+    historyStore = new history.HistoryStore(argv.history, { retentionDays: argv.historyDays });
+  } catch (err) {
+    console.error(`❌ Cannot open the history directory ${argv.history}: ${err.message}`);
+    process.exit(1);
+  }
+  const historyReads = new Map(); // Reads since the last history entry, summed per EPC
+
+  // Audit scans run on a schedule and store a snapshot of the tools they read
+  let auditScheduler;
+  let snapshotStore;
+  try {
+    auditScheduler = new audit.AuditScheduler(audit.loadAuditList(argv.audits));
+    snapshotStore = new audit.SnapshotStore(argv.snapshots);
+  } catch (err) {
+    console.error(`❌ Cannot set up the audits from ${argv.audits}: ${err.message}`);
+    process.exit(1);
+  }
+  let runningAudit = null; // { run, reads, startedScan, timer }, see startAudit()
+  // Start and end of the current or last scan session, and the reads of tags outside the inventory in it
+  let sessionStartedAt = null;
+  let sessionEndedAt = null;
+  const sessionUnknownReads = new Map();
+  let lastSnapshot = null; // Header of the newest snapshot, without its item and tag lists
+
   // --- Global State ---
-  let packetBuffer = Buffer.alloc(0);
-  let autoModeState = 0;
   let isScanning = false;
+  let isScanPaused = false; // Readers stopped for a moment without ending the session, see pauseScanSession()
   let refreshIntervalId = null;
   const scannedTagsCumulative = new Map();
   const scannedTagsRefresh = new Map();
   const inventoryData = new Map();
+  const trackedInventoryEpcs = new Set(); // Inventory EPCs given to the presence tracker, see trackInventory()
   let wsClients = [];
+  const diagnosticClients = new Set(); // Web clients on the diagnostics page, which get every frame
   let readTagScans = new Map(); // New map to track scans in read-tag mode
+  let hasStartedScanning = false;
+  const tagLocations = new Map(); // EPC -> { location, reader, timestamp } of the last refresh period it was seen in
+  let presenceIntervalId = null;
+  let kitStatus = null; // Expected vs present quantities, see updateKitStatus()
+  let maintenanceStatus = null; // Service due dates, see updateMaintenanceStatus()
+  const presenceTracker = new presence.PresenceTracker({ absenceTimeoutMs: argv.absenceTimeout * 1000, minReadCount: argv.minReads });
+  const discoveredTags = new discovery.DiscoveredTags(); // Tags read that are neither tools nor badges
 
   // --- Inventory Loading Function ---
   function loadInventory(filePath) {
       if (isDbgLogEnabled) console.log('[DEBUG] Entering function loadInventory');
       try {
           const data = fs.readFileSync(filePath, 'utf8');
-          parseInventoryData(data);
+          logInventoryReport(filePath, parseInventoryData(data));
       } catch (err) {
           if (isDbgLogEnabled) console.error('❌ Failed to read or parse the inventory CSV file:', err);
       }
   }
 
-  function parseInventoryData(csvData) {
+  /**
+   * Replaces the inventory with the rows of an inventory CSV and returns the
+   * validation report (see lib/inventory-csv.js). A file that cannot be used
+   * at all, e.g. one without an EPC column, leaves the current inventory as it is.
+   * With rejectErrors, so does a file with invalid rows.
+   */
+  function parseInventoryData(csvData, { rejectErrors = false } = {}) {
+      if (isDbgLogEnabled) console.log('[DEBUG] Entering function parseInventoryData');
+      const { items, report } = inventoryCsv.parseInventoryCsv(csvData);
+      if (!report.ok) return report;
+      if (rejectErrors && report.errors.length > 0) {
+          report.ok = false;
+          report.imported = 0;
+          return report;
+      }
+
       inventoryData.clear();
-      const lines = csvData.split('\n').filter(line => line.trim() !== '');
-      if (lines.length === 0) return;
-      const headers = lines[0].split(',').map(header => header.trim());
-      const idIndex = headers.indexOf('id');
-      const epcIndex = headers.indexOf('EPC');
-      const itemIndex = headers.indexOf('item');
-      if (epcIndex === -1) {
-          if (isDbgLogEnabled) console.error('❌ Error: The inventory CSV file must have an "EPC" column.');
+      items.forEach(row => inventoryData.set(row.epc, row));
+      trackInventory();
+      updateKitStatus();
+      updateMaintenanceStatus();
+      return report;
+  }
+
+  /**
+   * Writes the inventory back to the --inventory file, keeping the previous
+   * version as a backup. Without an inventory file, edits only live in memory.
+   * Returns whether the file was written.
+   */
+  function saveInventory() {
+      if (isDbgLogEnabled) console.log('[DEBUG] Entering function saveInventory');
+      if (!inventoryFilePath) return false;
+      try {
+          inventoryCsv.saveInventoryFile(inventoryFilePath, getSavedInventory());
+          return true;
+      } catch (err) {
+          console.error(`❌ Failed to save the inventory to ${inventoryFilePath}: ${err.message}`);
+          return false;
+      }
+  }
+
+  // The rows of the inventory file: tags that joined through a GS1 pattern are covered by the pattern's row
+  function getSavedInventory() {
+      return Array.from(inventoryData.values()).filter(row => !row.matchedPattern);
+  }
+
+  function trackInventory() {
+      // Tools that left the inventory no longer go in or out of the box
+      trackedInventoryEpcs.forEach(epc => {
+          if (!inventoryData.has(epc)) presenceTracker.untrack(epc);
+      });
+      trackedInventoryEpcs.clear();
+      inventoryData.forEach((row, epc) => {
+          if (gs1.isEpcPattern(epc)) return;
+          // Tags that joined through a pattern follow its item name and quantities, and leave with it
+          if (row.matchedPattern) {
+              const patternRow = inventoryData.get(row.matchedPattern);
+              if (!patternRow) {
+                  inventoryData.delete(epc);
+                  presenceTracker.untrack(epc);
+                  return;
+              }
+              Object.assign(row, { item: patternRow.item, expected: patternRow.expected, min: patternRow.min, attributes: { ...patternRow.attributes } });
+          }
+          // Inventory items that are never read still end up as missing
+          presenceTracker.track(epc);
+          trackedInventoryEpcs.add(epc);
+          // Enrolled tags are no longer unknown
+          discoveredTags.remove(epc);
+      });
+  }
+
+  /**
+   * Adds a tag that is not in the inventory but matches an EPC pattern row
+   * (e.g. any serial of one GTIN) as a tool of that row's item. Returns
+   * whether it matched. These rows are kept in memory only.
+   */
+  function matchInventoryPattern(epc) {
+      const decoded = gs1.decodeEpc(epc);
+      if (!decoded || !decoded.classUri || !inventoryData.has(decoded.classUri)) return false;
+      const patternRow = inventoryData.get(decoded.classUri);
+      inventoryData.set(epc, {
+          id: nextInventoryId(), epc, item: patternRow.item, expected: patternRow.expected, min: patternRow.min,
+          attributes: { ...patternRow.attributes }, matchedPattern: decoded.classUri
+      });
+      console.log(`🔗 ${gs1.describeEpc(decoded)} (${epc}) matches ${decoded.classUri} and joins ${patternRow.item}.`);
+      // Nothing to write: the file only holds the pattern row
+      publishInventory();
+      return true;
+  }
+
+  // Passes an edited inventory on to presence tracking, the kit check, the web
+  // pages and the inventory file. Returns whether the file was written.
+  function inventoryChanged() {
+      publishInventory();
+      return saveInventory();
+  }
+
+  // Passes the inventory on to everything but the inventory file
+  function publishInventory() {
+      trackInventory();
+      updateKitStatus();
+      updateMaintenanceStatus();
+      broadcast({ initialInventory: buildInitialInventory() });
+      broadcastDiscoveredTags();
+  }
+
+  function nextInventoryId() {
+      return Math.max(0, ...Array.from(inventoryData.values()).map(item => item.id || 0)) + 1;
+  }
+
+  function findInventoryItem(epc) {
+      const key = gs1.isEpcPattern(epc) ? String(epc).trim().toLowerCase() : String(epc || '').toUpperCase();
+      const item = inventoryData.get(key);
+      if (!item) {
+          const notFound = new Error(`EPC ${epc} is not in the inventory.`);
+          notFound.statusCode = 404;
+          throw notFound;
+      }
+      return item;
+  }
+
+  function checkEpcIsFree(epc) {
+      if (inventoryData.has(epc)) {
+          const taken = new Error(`EPC ${epc} is already in the inventory as "${inventoryData.get(epc).item}".`);
+          taken.statusCode = 409;
+          throw taken;
+      }
+  }
+
+  /**
+   * Inventory edits from the API. Each validates its input (throwing an Error
+   * with a statusCode), applies it and returns { item, saved }.
+   */
+  function addInventoryItem(raw) {
+      const { items, saved } = addInventoryItems([raw]);
+      return { item: items[0], saved };
+  }
+
+  // Adds several items at once, or none of them if one is invalid: { items, saved }
+  function addInventoryItems(rawItems) {
+      const rows = rawItems.map(raw => inventoryCsv.normalizeInventoryItem(raw));
+      rows.forEach((row, index) => {
+          checkEpcIsFree(row.epc);
+          if (rows.findIndex(other => other.epc === row.epc) !== index) {
+              const duplicate = new Error(`EPC ${row.epc} is listed twice.`);
+              duplicate.statusCode = 409;
+              throw duplicate;
+          }
+      });
+      rows.forEach(row => {
+          if (row.id === undefined) row.id = nextInventoryId();
+          inventoryData.set(row.epc, row);
+          console.log(`➕ Added ${row.item} (${row.epc}) to the inventory.`);
+      });
+      return { items: rows, saved: inventoryChanged() };
+  }
+
+  function updateInventoryItem(epc, raw) {
+      const current = findInventoryItem(epc);
+      const row = inventoryCsv.normalizeInventoryItem(raw, current);
+      if (row.epc !== current.epc) checkEpcIsFree(row.epc);
+      if (row.id === undefined) row.id = current.id;
+      // Rebuilt so the item keeps its place in the file when its EPC changes
+      const rows = Array.from(inventoryData.values()).map(item => (item === current ? row : item));
+      inventoryData.clear();
+      rows.forEach(item => inventoryData.set(item.epc, item));
+      console.log(`✏️  Updated ${row.item} (${row.epc}) in the inventory.`);
+      return { item: row, saved: inventoryChanged() };
+  }
+
+  function removeInventoryItem(epc) {
+      const current = findInventoryItem(epc);
+      inventoryData.delete(current.epc);
+      console.log(`➖ Removed ${current.item} (${current.epc}) from the inventory.`);
+      return { item: current, saved: inventoryChanged() };
+  }
+
+  // Prints the problems of an inventory import, if there are any
+  function logInventoryReport(source, report) {
+      if (report.errors.length === 0 && report.warnings.length === 0) {
+          console.log(`✅ Loaded ${report.imported} inventory item(s) from ${source}.`);
           return;
       }
+      const icon = report.ok ? '⚠️ ' : '❌';
+      console.error(`${icon} Inventory from ${source}: ${inventoryCsv.formatReport(report).split('\n').join('\n   ')}`);
+  }
+
+  // --- Initialize Readers ---
+  // Each reader has its own driver (and so its own framing buffer), connection
+  // and handshake state. Serial ports are (re)opened by their connection;
+  // replayed and simulated ports are created once and end the program when they close.
+  let readerDefinitions;
+  try {
+    readerDefinitions = argv.readers
+      ? readerList.loadReaderList(argv.readers, { defaultBaudRate: baudRate })
+      : [{ name: Constants.DEFAULT_READER_NAME, location: argv.location, port: portName, baudRate }];
+    if (argv.replay && readerDefinitions.length > 1) {
+      throw new Error('--replay plays back a single reader and cannot be combined with several readers.');
+    }
+  } catch (err) {
+    console.error(`❌ Invalid reader list: ${err.message}`);
+    process.exit(1);
+  }
+  const readerContexts = readerDefinitions.map(createReaderContext);
+
+  function createReaderContext(definition) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function createReaderContext');
+    // A replayed port never answers, so queued commands must not wait for replies
+    const reader = new klm900p.Klm900pReader({ debug: isDbgLogEnabled, metadataFlags, waitForReplies: !argv.replay });
+    const ctx = {
+      ...definition,
+      reader,
+      connection: null,
+      sessionRecorder: null,
+      autoModeState: 0,
+      ready: false,
+      retryInMs: undefined,
+      reportedSettings: {}
+    };
+    if (argv.replay) {
+      const replayPort = new recorder.ReplayPort(argv.replay, { speed: argv.replaySpeed, debug: isDbgLogEnabled });
+      ctx.port = replayPort.path;
+      ctx.connection = new connection.ReaderConnection({ reader, openPort: async () => replayPort, reconnect: false, debug: isDbgLogEnabled });
+      console.log(`⏪ Replaying ${replayPort.chunks.length} recorded chunk(s) from ${argv.replay} at ${argv.replaySpeed || 'maximum'}x speed.`);
+    } else if (simulate) {
+      const simulatedEpcs = simulator.loadEpcList(definition.simEpcs || argv.simEpcs || inventoryFilePath || path.join(__dirname, 'work', 'inventory.csv'));
+      const simulatedPort = new simulator.SimulatedPort({
+        epcs: simulatedEpcs,
+        readRate: argv.simRate,
+        dropout: argv.simDropout,
+        noise: argv.simNoise,
+        debug: isDbgLogEnabled
+      });
+      ctx.port = simulatedPort.path;
+      ctx.connection = new connection.ReaderConnection({ reader, openPort: async () => simulatedPort, reconnect: false, debug: isDbgLogEnabled });
+      console.log(`🧪 Simulated reader at ${ctx.location} enabled with ${simulatedPort.epcs.length} tag(s).`);
+    } else {
+      ctx.connection = new connection.ReaderConnection({
+        reader,
+        openPort: () => connection.openSerialPort(definition.port, definition.baudRate, usbIds),
+        debug: isDbgLogEnabled
+      });
+    }
+
+    if (argv.record) {
+      // With several readers every reader gets its own file: session.jsonl -> session.drawer1.jsonl
+      const extension = path.extname(argv.record);
+      const recordPath = readerDefinitions.length > 1
+        ? `${argv.record.slice(0, argv.record.length - extension.length)}.${ctx.name}${extension}`
+        : argv.record;
+      ctx.sessionRecorder = new recorder.SessionRecorder(recordPath, { port: ctx.port, baudRate: ctx.baudRate });
+      ctx.sessionRecorder.attach(reader);
+      console.log(`⏺️  Recording serial traffic of the reader at ${ctx.location} to ${recordPath}`);
+    }
 
-      for (let i = 1; i < lines.length; i++) {
-          const values = lines[i].split(',');
-          const id = idIndex !== -1 ? parseInt(values[idIndex], 10) : i;
-          const epc = values[epcIndex].trim();
-          const item = itemIndex !== -1 ? values[itemIndex].trim() : 'N/A';
-          if (epc) { inventoryData.set(epc, { id, epc, item }); }
+    attachReaderHandlers(ctx);
+    return ctx;
+  }
+
+  // Picks the reader for a single-tag operation: the named one, or the first connected reader
+  function findReaderContext(name) {
+    if (name) {
+      const ctx = readerContexts.find(candidate => candidate.name === name);
+      if (!ctx) throw new Error(`Unknown reader "${name}".`);
+      return ctx;
+    }
+    return readerContexts.find(candidate => candidate.ready) || readerContexts[0];
+  }
+
+  function getReaderStatus() {
+    return readerContexts.map(ctx => ({
+      name: ctx.name,
+      location: ctx.location,
+      ...ctx.connection.getState(),
+      retryInMs: ctx.retryInMs,
+      deviceInfo: ctx.reader.getDeviceInfo(),
+      stats: ctx.reader.getStats()
+    }));
+  }
+
+  function getReportedReaderSettings() {
+    const reported = {};
+    readerContexts.forEach(ctx => { reported[ctx.location] = ctx.reportedSettings; });
+    return reported;
+  }
+
+  function closeRecorders() {
+    readerContexts.forEach(ctx => {
+      if (ctx.sessionRecorder) {
+        ctx.sessionRecorder.close();
+        console.log(`⏺️  Recorded ${ctx.sessionRecorder.chunks} chunk(s) to ${ctx.sessionRecorder.filePath}`);
       }
+    });
+  }
+
+  function startScanSession(logMessage = 'Starting scan') {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function startScanSession');
+    if (isDbgLogEnabled) console.log(`[DEBUG] ${logMessage}`);
+    // A session started during an audit is someone's own, so the audit leaves it running
+    if (runningAudit) runningAudit.startedScan = false;
+    readerContexts.forEach(ctx => { if (ctx.ready) ctx.reader.startScan(); });
+    isScanning = true;
+    hasStartedScanning = true;
+    sessionStartedAt = new Date().toISOString();
+    sessionEndedAt = null;
+    sessionUnknownReads.clear();
+    scannedTagsCumulative.clear();
+    scannedTagsRefresh.clear();
+    if (refreshIntervalId) clearInterval(refreshIntervalId);
+    refreshIntervalId = setInterval(logScannedTags, refreshPeriod * 1000);
+    // Time spent not scanning does not count as absence
+    presenceTracker.restartClock();
+    if (presenceIntervalId) clearInterval(presenceIntervalId);
+    presenceIntervalId = setInterval(evaluatePresence, Constants.PRESENCE_CHECK_MS);
+    if (mode === Constants.MODE_INVENTORY) {
+      console.log('✅ Scanning session started in inventory mode. Output will be sent via WebSocket every ' + refreshPeriod + ' seconds.');
+    } else if (mode === Constants.MODE_READ_TAG) {
+      console.log('✅ Scanning session started in read-tag mode.  Output will be sent via WebSocket.');
+    }
+    else {
+      console.log('✅ Scanning session started in auto mode. Output will be sent via WebSocket every ' + refreshPeriod + ' seconds.');
+    }
   }
 
-  // --- Initialize Serial Port ---
-  const port = new SerialPort({ path: portName, baudRate: baudRate });
-
-  function sendWithCrc(data, logMessage = 'Sending command') {
-    if (isDbgLogEnabled) console.log('[DEBUG] Entering function sendWithCrc');
-    const crcCalculator = new CRC();
-    const calculatedCrc = crcCalculator.calculate(data.slice(1));
-    const crcBuffer = Buffer.alloc(2);
-    crcBuffer.writeUInt16BE(calculatedCrc);
-    const packetToSend = Buffer.concat([data, crcBuffer]);
-    port.write(packetToSend, (err) => {
-      if (err) { console.error(`❌ Error writing to port: ${err.message}`); }
-    });
-    const hexString = data.toString('hex');
-    if (hexString.startsWith(Constants.HEX_SCAN_START)) {
-      isScanning = true;
-      scannedTagsCumulative.clear();
-      scannedTagsRefresh.clear();
+  // Stops scanning. The tags read in the session are stored as a snapshot,
+  // unless an audit stores its own.
+  function stopScanSession(logMessage = 'Stopping scan', { saveSnapshot = true } = {}) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function stopScanSession');
+    if (isDbgLogEnabled) console.log(`[DEBUG] ${logMessage}`);
+    readerContexts.forEach(ctx => { if (ctx.ready) ctx.reader.stopScan(); });
+    if (isScanning) {
+      isScanning = false;
+      if (runningAudit) runningAudit.run.warnings.push('Scanning was stopped during the audit; tools that were not read may still be in the box.');
       if (refreshIntervalId) clearInterval(refreshIntervalId);
-      refreshIntervalId = setInterval(logScannedTags, refreshPeriod * 1000);
-      if (mode === Constants.MODE_INVENTORY) {
-        console.log('✅ Scanning session started in inventory mode. Output will be sent via WebSocket every ' + refreshPeriod + ' seconds.');
-      } else if (mode === Constants.MODE_READ_TAG) {
-        console.log('✅ Scanning session started in read-tag mode.  Output will be sent via WebSocket.');
+      if (presenceIntervalId) clearInterval(presenceIntervalId);
+      presenceIntervalId = null;
+      flushHistoryReads();
+      logScannedTags();
+      sessionEndedAt = new Date().toISOString();
+      if (saveSnapshot) saveSessionSnapshot();
+      console.log('🛑 Scanning stopped. Data saved.');
+    }
+  }
+
+  // Stops the readers for a moment (e.g. to change settings or access one tag)
+  // without ending the session: its reads, snapshot and audit carry on after
+  // resumeScanSession().
+  function pauseScanSession(logMessage) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function pauseScanSession');
+    if (isDbgLogEnabled) console.log(`[DEBUG] ${logMessage}`);
+    readerContexts.forEach(ctx => { if (ctx.ready) ctx.reader.stopScan(); });
+    isScanPaused = true;
+    if (presenceIntervalId) clearInterval(presenceIntervalId);
+    presenceIntervalId = null;
+  }
+
+  function resumeScanSession(logMessage) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function resumeScanSession');
+    if (isDbgLogEnabled) console.log(`[DEBUG] ${logMessage}`);
+    isScanPaused = false;
+    // Stopped in the meantime
+    if (!isScanning) return;
+    readerContexts.forEach(ctx => { if (ctx.ready) ctx.reader.startScan(); });
+    // The pause does not count as absence
+    presenceTracker.restartClock();
+    if (presenceIntervalId) clearInterval(presenceIntervalId);
+    presenceIntervalId = setInterval(evaluatePresence, Constants.PRESENCE_CHECK_MS);
+  }
+
+  function evaluatePresence() {
+    // A disconnected reader cannot see its tools, so nothing goes missing until it is back
+    if (readerContexts.every(ctx => ctx.ready)) {
+      presenceTracker.evaluate();
+    } else {
+      presenceTracker.restartClock();
+    }
+  }
+
+  // Labels a tag for the log, e.g. "Torque wrench (E280...)"
+  function describeTool(epc) {
+    const item = inventoryData.get(epc);
+    return item ? `${item.item} (${epc})` : epc;
+  }
+
+  presenceTracker.on('change', (state) => {
+    broadcast({ presence: [state] });
+    updateKitStatus();
+    writeHistory({ type: 'presence', epc: state.epc, state: state.state, timestamp: state.since, lastSeen: state.lastSeen, location: state.location });
+  });
+
+  // --- Kit Completeness ---
+  // Recomputes expected vs present per item, broadcasts it when it changed and
+  // logs items that drop below their expected quantity.
+  function updateKitStatus() {
+    const isPresent = (epc) => {
+      const state = presenceTracker.getState(epc);
+      return state !== null && state.state === presence.PresenceDefaults.STATE_PRESENT;
+    };
+    const previous = kitStatus;
+    kitStatus = kitCheck.checkKit(Array.from(inventoryData.values()), isPresent);
+    if (previous && JSON.stringify(previous) === JSON.stringify(kitStatus)) return;
+
+    if (previous) {
+      const previousStatus = new Map(previous.items.map(entry => [entry.item, entry.status]));
+      kitStatus.items.forEach(entry => {
+        if (entry.status === kitCheck.KitStatus.COMPLETE || previousStatus.get(entry.item) !== kitCheck.KitStatus.COMPLETE) return;
+        console.log(`⚠️  Kit incomplete: ${entry.present} of ${entry.expected} ${entry.item} present${entry.status === kitCheck.KitStatus.SHORT ? ` (minimum ${entry.min})` : ''}.`);
+      });
+      if (kitStatus.complete && !previous.complete) {
+        console.log(`✅ Kit complete: all ${kitStatus.items.length} item(s) are in the box.`);
       }
-      else {
-        console.log('✅ Scanning session started in auto mode. Output will be sent via WebSocket every ' + refreshPeriod + ' seconds.');
+    }
+    broadcast({ kitStatus });
+  }
+
+  // --- Maintenance Schedules ---
+  // Recomputes the service and calibration due dates, broadcasts them when
+  // they changed and logs tools that became due soon or overdue.
+  function updateMaintenanceStatus() {
+    const previous = maintenanceStatus;
+    maintenanceStatus = maintenance.checkSchedules(Array.from(inventoryData.values()), { dueSoonDays: argv.serviceWarningDays });
+    if (previous && JSON.stringify(previous) === JSON.stringify(maintenanceStatus)) return;
+
+    const previousStatus = new Map(previous ? previous.items.map(entry => [entry.epc, entry.status]) : []);
+    maintenanceStatus.items.forEach(entry => {
+      if (entry.status === previousStatus.get(entry.epc)) return;
+      if (entry.status === maintenance.MaintenanceStatus.OVERDUE || entry.status === maintenance.MaintenanceStatus.DUE_SOON) {
+        console.log(`🔧 Service of ${describeTool(entry.epc)}: ${maintenance.describeSchedule(entry)}.`);
       }
-    } else if (hexString.startsWith(Constants.HEX_SCAN_STOP)) {
-      if (isScanning) {
-        isScanning = false;
-        if (refreshIntervalId) clearInterval(refreshIntervalId);
-        logScannedTags();
-        console.log('🛑 Scanning stopped. Data saved.');
+    });
+    broadcast({ maintenance: maintenanceStatus });
+  }
+
+  function findSchedule(epc) {
+    return maintenanceStatus ? maintenanceStatus.items.find(entry => entry.epc === epc) || null : null;
+  }
+
+  // --- Scheduled Audits ---
+  // An audit scans for its duration (starting a scan session if none is
+  // running), stops the readers again if it started them and stores a
+  // snapshot of the tools that were read in that window.
+  function startAudit(definition, trigger) {
+    if (runningAudit) {
+      const busy = new Error(`Audit "${runningAudit.run.name}" is still running.`);
+      busy.statusCode = 409;
+      throw busy;
+    }
+    const startedScan = !isScanning;
+    const previousMode = mode;
+    if (startedScan) {
+      mode = inventoryFilePath ? Constants.MODE_INVENTORY : Constants.MODE_AUTO;
+      readTagScans.clear();
+      startScanSession(`Starting the scan of audit "${definition.name}"`);
+    }
+    const startedAt = new Date();
+    runningAudit = {
+      run: {
+        name: definition.name, trigger, cron: definition.cron || null, startedAt: startedAt.toISOString(), endedAt: null,
+        endsAt: new Date(startedAt.getTime() + definition.duration * 1000).toISOString(), duration: definition.duration, warnings: []
+      },
+      reads: new Map(),
+      startedScan,
+      previousMode,
+      timer: setTimeout(finishAudit, definition.duration * 1000)
+    };
+    console.log(`🕒 Audit "${definition.name}" started: scanning for ${definition.duration} s.`);
+    broadcast({ audit: getAuditStatus() });
+    return runningAudit.run;
+  }
+
+  function finishAudit() {
+    const current = runningAudit;
+    runningAudit = null;
+    clearTimeout(current.timer);
+    if (current.startedScan && isScanning) stopScanSession(`Audit "${current.run.name}" finished, stopping scan`, { saveSnapshot: false });
+    // The scan the audit started leaves the mode as the user chose it
+    if (current.startedScan) mode = current.previousMode;
+    current.run.endedAt = new Date().toISOString();
+    readerContexts.filter(ctx => !ctx.ready).forEach(ctx => {
+      current.run.warnings.push(`Reader at ${ctx.location} was not connected when the audit ended.`);
+    });
+
+    const snapshot = audit.buildSnapshot(current.run, Array.from(inventoryData.values()), current.reads, argv.minReads);
+    try {
+      snapshotStore.save(snapshot);
+      broadcast({ snapshotSaved: snapshot.id });
+    } catch (err) {
+      console.error(`❌ Failed to save the snapshot of audit "${snapshot.name}": ${err.message}`);
+    }
+    const { items, tags, kit, ...header } = snapshot;
+    lastSnapshot = header;
+    const missing = items.filter(entry => !entry.present).map(entry => `${entry.item} (${entry.epc})`);
+    console.log(`📋 Audit "${snapshot.name}": ${snapshot.summary.present} of ${snapshot.summary.tools} tool(s) present${missing.length > 0 ? `, missing: ${missing.join(', ')}` : ''}. Snapshot ${snapshot.id} saved.`);
+    snapshot.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+    broadcast({ audit: getAuditStatus() });
+  }
+
+  /**
+   * Runs an audit now: the scheduled audit with that name, or a one-off
+   * "manual" audit. `duration` (seconds) overrides the audit's own.
+   */
+  function runAuditNow(name, duration) {
+    let definition = { name: 'manual', cron: null, duration: audit.AuditDefaults.DURATION_S };
+    if (name) {
+      definition = auditScheduler.find(name);
+      if (!definition) {
+        const notFound = new Error(`There is no audit named "${name}".`);
+        notFound.statusCode = 404;
+        throw notFound;
       }
     }
+    if (duration !== undefined && duration !== null && duration !== '') {
+      if (!(Number(duration) > 0)) throw new Error(`Invalid duration "${duration}"; give the scan window in seconds.`);
+      definition = { ...definition, duration: Number(duration) };
+    }
+    return startAudit(definition, 'manual');
   }
 
-  function parseResponse(buffer) {
-    if (isDbgLogEnabled) console.log('[DEBUG] Entering function parseResponse');
+  // The current (or last) scan session as a snapshot, built from the tags it read
+  function buildSessionSnapshot() {
+    const endedAt = sessionEndedAt || new Date().toISOString();
+    const run = {
+      name: 'session', trigger: 'session', cron: null, startedAt: sessionStartedAt, endedAt: sessionEndedAt,
+      duration: Math.round((Date.parse(endedAt) - Date.parse(sessionStartedAt)) / 1000), warnings: []
+    };
+    const reads = new Map([...sessionUnknownReads, ...scannedTagsCumulative]);
+    return audit.buildSnapshot(run, Array.from(inventoryData.values()), reads, argv.minReads);
+  }
 
-    if (isDbgLogEnabled) {
-      console.log(`[DEBUG] Received Raw Packet: ${buffer.toString('hex').toUpperCase().match(/.{1,2}/g).join(' ')}`);
+  function saveSessionSnapshot() {
+    // Read-tag sessions only look for a single tag
+    if (scannedTagsCumulative.size === 0 && sessionUnknownReads.size === 0) return;
+    const snapshot = buildSessionSnapshot();
+    try {
+      snapshotStore.save(snapshot);
+      broadcast({ snapshotSaved: snapshot.id });
+      console.log(`📋 Scan session: ${snapshot.summary.present} of ${snapshot.summary.tools} tool(s) present. Snapshot ${snapshot.id} saved.`);
+    } catch (err) {
+      console.error(`❌ Failed to save the snapshot of the scan session: ${err.message}`);
     }
+  }
 
-    if (buffer[0] !== Constants.HEADER_BYTE) {
-      if (isDbgLogEnabled) {
-        console.log('[DEBUG] Header check failed. Dropping packet.');
+  /**
+   * A stored snapshot by id, or the running scan session for "current".
+   * Throws an Error with a statusCode if there is none.
+   */
+  function findSnapshot(id, role) {
+    if (!id) throw new Error(`Choose the ${role} snapshot to compare.`);
+    if (id === 'current') {
+      if (!sessionStartedAt) {
+        const noSession = new Error('No scan session has run since the server started.');
+        noSession.statusCode = 404;
+        throw noSession;
       }
+      return { ...buildSessionSnapshot(), id: 'current' };
+    }
+    const snapshot = snapshotStore.load(id);
+    if (!snapshot) {
+      const notFound = new Error(`There is no snapshot ${id}.`);
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+    return snapshot;
+  }
+
+  function getAuditStatus() {
+    return { schedules: auditScheduler.list(), running: runningAudit ? runningAudit.run : null, lastSnapshot };
+  }
+
+  auditScheduler.on('due', (definition) => {
+    try {
+      startAudit(definition, 'schedule');
+    } catch (err) {
+      console.log(`⚠️  Audit "${definition.name}" skipped: ${err.message}`);
+    }
+  });
+
+  // A tool past its service due date should not go out to a job, and should go to service once it is back
+  function warnIfServiceOverdue(epc, action) {
+    const entry = findSchedule(epc);
+    if (!entry || entry.status !== maintenance.MaintenanceStatus.OVERDUE) return;
+    console.log(`⚠️  ${describeTool(epc)} was ${action} but is overdue for service (was due ${entry.dueDate}).`);
+  }
+
+  // --- Scan History ---
+  function writeHistory(entry) {
+    try {
+      historyStore.append(entry);
+    } catch (err) {
+      console.error(`❌ Failed to write the scan history: ${err.message}`);
+    }
+  }
+
+  function flushHistoryReads() {
+    if (isDbgLogEnabled && historyReads.size > 0) console.log('[DEBUG] Entering function flushHistoryReads');
+    historyReads.forEach((data, epc) => {
+      writeHistory({
+        type: 'read', epc, timestamp: data.timestamp, count: data.count,
+        rssi: data.rssi, peakRssi: data.peakRssi, antenna: data.antenna, location: data.location, reader: data.reader
+      });
+    });
+    historyReads.clear();
+  }
+
+  function pruneHistory() {
+    try {
+      const deleted = historyStore.prune();
+      if (deleted > 0) console.log(`🗑️  Deleted ${deleted} day(s) of scan history older than ${argv.historyDays} days.`);
+    } catch (err) {
+      console.error(`❌ Failed to prune the scan history: ${err.message}`);
+    }
+  }
+
+  presenceTracker.on('checked_out', (event) => {
+    const item = inventoryData.get(event.epc);
+    const { user } = checkoutLedger.recordCheckout(event, item ? item.item : null);
+    console.log(`📤 ${event.timestamp} ${describeTool(event.epc)} checked out${user ? ` by ${user}` : ''}. Last seen ${event.lastSeen} at ${event.location}.`);
+    warnIfServiceOverdue(event.epc, 'taken out');
+    broadcast({ presenceEvent: { type: 'checked_out', ...describePresenceEvent(event), user } });
+  });
+
+  presenceTracker.on('returned', (event) => {
+    const checkout = checkoutLedger.recordReturn(event);
+    const user = checkout ? checkout.user : null;
+    console.log(`📥 ${event.timestamp} ${describeTool(event.epc)} returned to ${event.location}${user ? ` (taken by ${user})` : ''}.`);
+    warnIfServiceOverdue(event.epc, 'returned');
+    broadcast({ presenceEvent: { type: 'returned', ...describePresenceEvent(event), user } });
+  });
+
+  function describePresenceEvent(event) {
+    const item = inventoryData.get(event.epc);
+    return { ...event, id: item ? item.id : null, item: item ? item.item : null, maintenance: findSchedule(event.epc) };
+  }
+
+  checkoutLedger.on('change', () => {
+    broadcast({ checkouts: checkoutLedger.getCheckouts() });
+  });
+
+  function handleBadgeRead(user, tag) {
+    const previous = checkoutLedger.lastBadgeRead;
+    const now = Date.now();
+    checkoutLedger.recordBadge(user, now);
+    if (previous && previous.badge === user.badge && now - previous.time < Constants.BADGE_LOG_INTERVAL_MS) return;
+    console.log(`🪪 Badge of ${user.name} read at ${tag.location}.`);
+    broadcast({ badge: { name: user.name, location: tag.location, timestamp: new Date(now).toISOString() } });
+  }
+
+  function isInteractiveMode() {
+    return mode === Constants.MODE_INTERACTIVE;
+  }
+
+  function isAutoStartMode() {
+    return mode === Constants.MODE_AUTO || mode === Constants.MODE_INVENTORY || mode === Constants.MODE_READ_TAG;
+  }
+
+  // Called once a reader's app firmware is running: configure it, then scan.
+  // The first reader to get here starts the scan session (except in
+  // interactive mode, where the console's "start" does); readers that finish
+  // later (or reconnect) join it only if the session is still running.
+  function completeStartup(ctx) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function completeStartup');
+    const { firmwareVersion, firmwareDate, hardwareVersion } = ctx.reader.getDeviceInfo();
+    if (firmwareVersion) {
+      console.log(`✅ Reader at ${ctx.location} runs firmware ${firmwareVersion} (${firmwareDate}) on hardware ${hardwareVersion}.`);
+    } else {
+      // Reached through the running-stage query, so the version block has not been seen yet
+      ctx.reader.getVersion();
+    }
+    ctx.reader.getSerialNumber();
+    // Failures are reported to the web clients through 'commandError'
+    readerConfigStore.applyReaderConfig(ctx.reader, readerConfig).catch(() => {});
+    ctx.ready = true;
+    if (!hasStartedScanning && isAutoStartMode()) {
+      startScanSession();
+    } else if (isScanning && !isScanPaused) {
+      ctx.reader.startScan();
+      console.log(`▶️  Reader at ${ctx.location} joined the running scan.`);
+    }
+  }
+
+  function updateReaderSettings(ws, settingsJson) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function updateReaderSettings');
+    let newConfig;
+    try {
+      newConfig = readerConfigStore.normalizeReaderConfig(JSON.parse(settingsJson));
+    } catch (err) {
+      ws.send(JSON.stringify({ readerSettingsError: err.message }));
       return;
     }
+    readerConfig = newConfig;
+    let saveError = null;
+    try {
+      readerConfigStore.saveReaderConfig(readerConfigPath, readerConfig);
+    } catch (err) {
+      // The reader still gets the settings; they are only lost on restart
+      saveError = err;
+      console.error(`❌ Could not save reader settings to ${readerConfigPath}: ${err.message}`);
+    }
 
-    const dataLength = buffer[1];
-    const commandCode = buffer[2];
-    const statusCode = buffer.readUInt16BE(3);
-    const payloadStartIndex = 5;
-    const payloadEndIndex = payloadStartIndex + dataLength;
-    const payload = buffer.slice(payloadStartIndex, payloadEndIndex);
+    // The reader does not accept parameter changes while it is scanning
+    const wasScanning = isScanning;
+    if (wasScanning) pauseScanSession('Pausing scan to apply reader settings');
+    const applied = readerContexts.filter(ctx => ctx.ready).map(ctx => readerConfigStore.applyReaderConfig(ctx.reader, readerConfig));
+    if (wasScanning) resumeScanSession('Resuming scan with new reader settings');
+    Promise.all(applied).catch(err => {
+      ws.send(JSON.stringify({ readerSettingsError: err.message }));
+    });
 
-    if (isDbgLogEnabled) {
-      console.log(`[DEBUG] Command: 0x${commandCode.toString(16).toUpperCase()}, Status: 0x${statusCode.toString(16).toUpperCase()}`);
+    broadcast({ readerSettings: readerConfig });
+    // Sent after the new settings, which clear the error shown on the page
+    if (saveError) ws.send(JSON.stringify({ readerSettingsError: `Settings were applied but not saved: ${saveError.message}` }));
+    console.log(`✅ Reader settings updated from web client: ${JSON.stringify(readerConfig)}`);
+  }
+
+  // --- Tag Memory Operations ---
+  let tagOperationInProgress = false;
+
+  // Runs a single-tag memory operation with the continuous scan paused around it
+  async function runTagOperation(label, operation) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function runTagOperation');
+    if (tagOperationInProgress) {
+      const busy = new Error('Another tag operation is in progress.');
+      busy.statusCode = 409;
+      throw busy;
+    }
+    tagOperationInProgress = true;
+    const wasScanning = isScanning;
+    if (wasScanning) pauseScanSession(`Pausing scan for ${label}`);
+    try {
+      return await operation();
+    } finally {
+      tagOperationInProgress = false;
+      if (wasScanning) resumeScanSession(`Resuming scan after ${label}`);
     }
+  }
+
+  function readTagMemory(params) {
+    return runTagOperation('memory read', () => tagMemory.readMemory(findReaderContext(params.reader).reader, params));
+  }
 
-    if (commandCode === Constants.CMD_START_APP && buffer.toString('hex') === 'ff1404000000000000a4000300202205232205230000000010377c') {
-      if (mode === Constants.MODE_AUTO || mode === Constants.MODE_INVENTORY || mode === Constants.MODE_READ_TAG) {
-        autoModeState = 2;
-        sendWithCrc(Buffer.from(Constants.HEX_SCAN_START, 'hex'));
+  async function commissionTag(params) {
+    // Writing and locking tags cannot be undone, and the web app has no login
+    if (!argv.commissioning) {
+      const disabled = new Error('Commissioning is disabled. Start the server with --commissioning to write tags.');
+      disabled.statusCode = 403;
+      throw disabled;
+    }
+    // The inventory entry is checked before the tag is written, so a bad one does not leave a written tag behind
+    if (params.item !== undefined && params.item !== null && typeof params.item !== 'string') {
+      throw new Error('"item" must be a text.');
+    }
+    const itemName = (params.item || '').trim();
+    if (itemName) {
+      const epc = tagMemory.parseEpc(params.epc).toString('hex').toUpperCase();
+      if (inventoryData.has(epc)) {
+        const taken = new Error(`EPC ${epc} is already in the inventory as "${inventoryData.get(epc).item}".`);
+        taken.statusCode = 409;
+        throw taken;
       }
-    } else if (commandCode === Constants.CMD_GET_RUNNING_STAGE) {
-      const runningStage = payload[0];
-      if (runningStage === Constants.STAGE_APP) {
-        if ((mode === Constants.MODE_AUTO || mode === Constants.MODE_INVENTORY || mode === Constants.MODE_READ_TAG) && autoModeState === 1) {
-          autoModeState = 2;
-          sendWithCrc(Buffer.from(Constants.HEX_SCAN_START, 'hex'));
-        }
-      } else if (runningStage === Constants.STAGE_BOOTLOADER) {
-        if ((mode === Constants.MODE_AUTO || mode === Constants.MODE_INVENTORY || mode === Constants.MODE_READ_TAG) && autoModeState === 1) {
-          autoModeState = 0;
-          sendWithCrc(Buffer.from(Constants.HEX_START_APP, 'hex'));
-        }
+    }
+    const result = await runTagOperation('tag commissioning', () => tagMemory.commissionTag(findReaderContext(params.reader).reader, params));
+    console.log(`✅ Commissioned tag ${result.epc} (TID ${result.tid})${result.locked ? ', locked' : ''}.`);
+    if (itemName) {
+      inventoryData.set(result.epc, { id: nextInventoryId(), epc: result.epc, item: itemName, attributes: {} });
+      inventoryChanged();
+      result.item = itemName;
+    }
+    return result;
+  }
+
+  // Answers a WebSocket tag operation request with a { tagOperation } message
+  function handleTagOperationMessage(ws, type, json, operation) {
+    let params;
+    try {
+      params = JSON.parse(json || '{}');
+    } catch (err) {
+      ws.send(JSON.stringify({ tagOperation: { type, ok: false, error: `Invalid request: ${err.message}` } }));
+      return;
+    }
+    operation(params)
+      .then(result => ws.send(JSON.stringify({ tagOperation: { type, ok: true, result } })))
+      .catch(err => {
+        console.error(`❌ ${err.message}`);
+        ws.send(JSON.stringify({ tagOperation: { type, ok: false, error: err.message } }));
+      });
+  }
+
+  // --- Handle Reader Events ---
+  function attachReaderHandlers(ctx) {
+    const { reader } = ctx;
+
+    reader.on('appStart', (frame) => {
+      if (ctx.autoModeState !== 1) return;
+      if (frame.statusCode === klm900p.Constants.STATUS_SUCCESS) {
+        ctx.autoModeState = 2;
+        completeStartup(ctx);
+      } else {
+        // Usually means the app firmware is already running
+        if (isDbgLogEnabled) console.log(`[DEBUG] App-start returned status 0x${frame.statusCode.toString(16).toUpperCase().padStart(4, '0')}, checking running stage.`);
+        reader.getRunningStage();
       }
-    } else if (isScanning && (commandCode === Constants.CMD_RFID_INVENTORY || commandCode === Constants.CMD_MULTI_TAG_INVENTORY) && statusCode === Constants.STATUS_SUCCESS) {
-      const epcData = payload.slice(5, payload.length - 2);
-      const epcHex = epcData.toString('hex').toUpperCase();
-
-      if (mode === Constants.MODE_READ_TAG) {
-        // Increment count for the scanned tag in the current session
-        const currentCount = (readTagScans.get(epcHex) || 0) + 1;
-        readTagScans.set(epcHex, currentCount);
-
-        // Find the EPC with the highest count in the current session
-        let mostFrequentEpc = '';
-        let maxCount = 0;
-        for (const [epc, count] of readTagScans.entries()) {
-            if (count > maxCount) {
-                maxCount = count;
-                mostFrequentEpc = epc;
-            }
-        }
-        
-        // Send only the most frequent EPC to the clients
-        wsClients.forEach(client => {
-            if (client.readyState === 1) {
-                client.send(JSON.stringify({ epc: mostFrequentEpc }));
-            }
-        });
-        return; // Exit after handling read-tag mode
+    });
+
+    reader.on('stage', ({ stage }) => {
+      if (ctx.autoModeState !== 1) return;
+      if (stage === klm900p.Constants.STAGE_APP) {
+        ctx.autoModeState = 2;
+        completeStartup(ctx);
+      } else if (stage === klm900p.Constants.STAGE_BOOTLOADER) {
+        reader.startApp();
       }
+    });
 
-      if (inventoryMode && !inventoryData.has(epcHex)) {
-        if (isDbgLogEnabled) {
-          console.log(`[DEBUG] EPC ${epcHex} not in inventory. Skipping.`);
-        }
+    reader.on('deviceInfo', () => {
+      broadcast({ readers: getReaderStatus() });
+    });
+
+    reader.on('tag', (tag) => {
+      if (isScanning && !isScanPaused) handleTagRead({ ...tag, reader: ctx.name, location: ctx.location });
+    });
+
+    reader.on('setting', ({ name, value, ok }) => {
+      if (!ok) {
+        console.error(`❌ Reader at ${ctx.location} rejected the ${name} setting.`);
+        broadcast({ readerSettingsError: `Reader at ${ctx.location} rejected the ${name} setting.` });
         return;
       }
+      if (value === undefined) return;
+      if (isDbgLogEnabled) console.log(`[DEBUG] Reader at ${ctx.location} reports ${name} = ${value}`);
+      ctx.reportedSettings[name] = value;
+      broadcast({ reportedReaderSettings: getReportedReaderSettings() });
+    });
 
-      const cumulativeEntry = scannedTagsCumulative.get(epcHex) || { count: 0, timestamp: '' };
-      cumulativeEntry.count++;
-      cumulativeEntry.timestamp = new Date().toISOString();
-      scannedTagsCumulative.set(epcHex, cumulativeEntry);
+    reader.on('error', (err) => {
+      console.error(`❌ ${ctx.location}: ${err.message}`);
+    });
 
-      const refreshEntry = scannedTagsRefresh.get(epcHex) || { count: 0, timestamp: '' };
-      refreshEntry.count++;
-      refreshEntry.timestamp = new Date().toISOString();
-      scannedTagsRefresh.set(epcHex, refreshEntry);
+    reader.on('commandError', ({ error }) => {
+      console.error(`❌ Reader at ${ctx.location}: ${error.message}`);
+      broadcast({ readerError: { reader: ctx.name, location: ctx.location, message: error.message, timestamp: new Date().toISOString() } });
+    });
 
+    reader.on('crcError', ({ packet, receivedCrc, calculatedCrc }) => {
+      const crcText = `Received: 0x${receivedCrc.toString(16).toUpperCase()}, Calculated: 0x${calculatedCrc.toString(16).toUpperCase()}`;
       if (isDbgLogEnabled) {
-        console.log(`[DEBUG] EPC ${epcHex} scanned. Count in this period: ${refreshEntry.count}`);
+        console.log(`[DEBUG] ${ctx.location}: rejected packet with bad CRC. ${crcText}`);
       }
+      sendDiagnostic(ctx, () => ({ direction: 'in', kind: 'crcError', crcOk: false, raw: klm900p.formatHex(packet), detail: `Bad CRC. ${crcText}` }));
+    });
+
+    // --- Diagnostics Stream ---
+    reader.on('frame', (frame) => {
+      sendDiagnostic(ctx, () => ({
+        direction: 'in',
+        kind: 'frame',
+        command: klm900p.describeCommand(frame.commandCode),
+        status: frame.statusCode === klm900p.Constants.STATUS_SUCCESS ? 'ok' : klm900p.describeStatus(frame.statusCode),
+        payload: klm900p.formatHex(frame.payload),
+        crcOk: true,
+        raw: klm900p.formatHex(frame.raw),
+        tagRead: (frame.commandCode === klm900p.Constants.CMD_MULTI_TAG_INVENTORY || frame.commandCode === klm900p.Constants.CMD_RFID_INVENTORY) &&
+          !klm900p.isModuletechReply(frame.payload)
+      }));
+    });
+
+    reader.on('sent', (packet, label) => {
+      sendDiagnostic(ctx, () => ({
+        direction: 'out',
+        kind: 'frame',
+        command: packet.length > 2 ? klm900p.describeCommand(packet[2]) : '',
+        payload: klm900p.formatHex(packet.slice(3, packet.length - 2)),
+        raw: klm900p.formatHex(packet),
+        detail: label
+      }));
+    });
+
+    reader.on('discarded', (bytes) => {
+      sendDiagnostic(ctx, () => ({ direction: 'in', kind: 'discarded', raw: klm900p.formatHex(bytes), detail: `${bytes.length} byte(s) before the next header` }));
+    });
+
+    reader.on('malformed', ({ packet, error }) => {
+      sendDiagnostic(ctx, () => ({ direction: 'in', kind: 'malformed', crcOk: true, raw: klm900p.formatHex(packet), detail: error.message }));
+    });
+
+    // --- Handle Serial Port Events ---
+    ctx.connection.on('connected', (openedPort) => {
+      if (isDbgLogEnabled) console.log('[DEBUG] Entering function connection.on(\'connected\')');
+      console.log(`🔌 Reader at ${ctx.location} connected on ${openedPort.path}.`);
+      ctx.retryInMs = undefined;
+      broadcast({ readers: getReaderStatus() });
+      startAutoMode(ctx);
+    });
+
+    ctx.connection.on('disconnected', (err) => {
+      if (isDbgLogEnabled) console.log('[DEBUG] Entering function connection.on(\'disconnected\')');
+      console.error(`⚠️  Reader at ${ctx.location} disconnected${err ? `: ${err.message}` : '.'}`);
+      // The scan session keeps running; the reader rejoins it once it is back
+      ctx.autoModeState = 0;
+      ctx.ready = false;
+      broadcast({ readers: getReaderStatus() });
+    });
+
+    ctx.connection.on('reconnecting', ({ attempt, delayMs, error }) => {
+      console.log(`🔄 Reconnecting to the reader at ${ctx.location} in ${delayMs / 1000} s (attempt ${attempt})${error ? `. Last error: ${error.message}` : ''}.`);
+      ctx.retryInMs = delayMs;
+      broadcast({ readers: getReaderStatus() });
+    });
+
+    ctx.connection.on('error', (err) => {
+      if (isDbgLogEnabled) console.log('[DEBUG] Entering function connection.on(\'error\')');
+      console.error(`❌ Serial port error on the reader at ${ctx.location}: ${err.message}`);
+    });
+
+    ctx.connection.on('closed', () => {
+      if (isDbgLogEnabled) console.log('[DEBUG] Entering function connection.on(\'closed\')');
+      // The end of a replay ends the session: its reads are written out before exiting
+      stopScanSession(`Reader at ${ctx.location} closed, stopping scan`);
+      if (scannedTagsCumulative.size > 0) saveTsvFile();
+      closeRecorders();
+      process.exit(0);
+    });
+  }
+
+  // Sends a JSON message to every connected web client
+  function broadcast(message) {
+    const data = JSON.stringify(message);
+    wsClients.forEach(client => {
+        if (client.readyState === 1) {
+            client.send(data);
+        }
+    });
+  }
+
+  // Streams one diagnostics entry to the diagnostics page. `buildEntry` is only
+  // called when someone is watching, so idle servers do not format every frame.
+  function sendDiagnostic(ctx, buildEntry) {
+    if (diagnosticClients.size === 0) return;
+    const data = JSON.stringify({
+      diagnosticFrame: { reader: ctx.name, location: ctx.location, timestamp: new Date().toISOString(), ...buildEntry(), stats: ctx.reader.getStats() }
+    });
+    diagnosticClients.forEach(client => {
+        if (client.readyState === 1) {
+            client.send(data);
+        }
+    });
+  }
+
+  // Sends typed hex bytes (header, length, command code and data) with the CRC
+  // appended. Resolves with the reply frame, also when its status is an error.
+  async function sendRawCommand(ctx, hex) {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function sendRawCommand');
+    const data = klm900p.parseHexInput(hex);
+    if (data.length < 3 || data[0] !== klm900p.Constants.HEADER_BYTE) {
+      throw new Error('A raw frame starts with FF, the data length and the command code, e.g. "ff 00 0c".');
+    }
+    try {
+      return await ctx.reader.request(klm900p.Commands.raw(data), { label: 'Sending raw command', quiet: true });
+    } catch (err) {
+      if (!err.frame) throw err;
+      return err.frame;
     }
   }
 
-  // --- Handle Serial Port Events ---
-  port.on('open', () => {
-    if (isDbgLogEnabled) console.log('[DEBUG] Entering function port.on(\'open\')');
-    if (inventoryMode && !inventoryFilePath) {
-      console.error(`❌ Inventory mode requires an inventory file.`);
-      process.exit(1);
+  // Answers a raw_command:{"reader": "...", "hex": "..."} message from the diagnostics page
+  function handleRawCommandMessage(ws, json) {
+    // The web app has no login, so raw frames are only accepted when the server was started to allow them
+    if (!argv.rawCommands) {
+      ws.send(JSON.stringify({ rawCommandResult: { ok: false, error: 'Raw commands are disabled. Start the server with --raw-commands to send them.' } }));
+      return;
     }
-    if (inventoryFilePath) { loadInventory(inventoryFilePath); }
-    if (mode === Constants.MODE_AUTO || mode === Constants.MODE_INVENTORY || mode === Constants.MODE_READ_TAG) { startAutoMode(); }
-  });
+    let ctx;
+    let params;
+    try {
+      params = JSON.parse(json || '{}');
+      ctx = findReaderContext(params.reader);
+    } catch (err) {
+      ws.send(JSON.stringify({ rawCommandResult: { ok: false, error: err.message } }));
+      return;
+    }
+    sendRawCommand(ctx, String(params.hex || ''))
+      .then(frame => ws.send(JSON.stringify({
+        rawCommandResult: {
+          ok: true,
+          reader: ctx.name,
+          reply: klm900p.formatHex(frame.raw),
+          status: frame.statusCode === klm900p.Constants.STATUS_SUCCESS ? 'ok' : klm900p.describeStatus(frame.statusCode)
+        }
+      })))
+      .catch(err => ws.send(JSON.stringify({ rawCommandResult: { ok: false, reader: ctx.name, error: err.message } })));
+  }
 
-  port.on('data', (data) => {
-    if (isDbgLogEnabled) console.log('[DEBUG] Entering function port.on(\'data\')');
-    packetBuffer = Buffer.concat([packetBuffer, data]);
-    while (packetBuffer.length >= 5) {
-      if (packetBuffer[0] !== Constants.HEADER_BYTE) {
-        packetBuffer = packetBuffer.slice(1);
-        continue;
+  // Folds one decoded tag read into a scan map entry, keeping the latest and peak signal
+  function recordTagRead(map, tag) {
+    const entry = map.get(tag.epc) || { count: 0, timestamp: '', rssi: null, peakRssi: null, antenna: null, frequency: null, phase: null, location: null, reader: null, locationRssi: null };
+    entry.count += tag.readCount;
+    entry.timestamp = new Date().toISOString();
+    if (tag.rssi !== undefined) {
+      entry.rssi = tag.rssi;
+      entry.peakRssi = entry.peakRssi === null ? tag.rssi : Math.max(entry.peakRssi, tag.rssi);
+    }
+    if (tag.antenna !== undefined) entry.antenna = tag.antenna;
+    if (tag.frequency !== undefined) entry.frequency = tag.frequency;
+    if (tag.phase !== undefined) entry.phase = tag.phase;
+    // When several readers see the tag, it is in the drawer that reads it strongest
+    if (tag.rssi === undefined || entry.locationRssi === null || entry.location === tag.location || tag.rssi > entry.locationRssi) {
+      entry.location = tag.location;
+      entry.reader = tag.reader;
+      entry.locationRssi = tag.rssi === undefined ? null : tag.rssi;
+    }
+    map.set(tag.epc, entry);
+    return entry;
+  }
+
+  function handleTagRead(tag) {
+    const epcHex = tag.epc;
+    if (runningAudit && !users.has(epcHex)) recordTagRead(runningAudit.reads, tag);
+    // Tags that are neither tools nor badges are listed for enrollment
+    if (!inventoryData.has(epcHex) && !users.has(epcHex) && !matchInventoryPattern(epcHex)) discoveredTags.record(tag);
+    if (mode === Constants.MODE_READ_TAG) {
+      // Increment count for the scanned tag in the current session
+      const scan = recordTagRead(readTagScans, tag);
+
+      // Find the EPC with the highest count in the current session
+      let mostFrequentEpc = '';
+      let maxCount = 0;
+      for (const [epc, entry] of readTagScans.entries()) {
+          if (entry.count > maxCount) {
+              maxCount = entry.count;
+              mostFrequentEpc = epc;
+          }
       }
-      try {
-        const dataLengthFromField = packetBuffer.readUInt8(1);
-        const totalPacketLength = 1 + 1 + 1 + 2 + dataLengthFromField + 2;
-        if (packetBuffer.length < totalPacketLength) { break; }
-        const packet = packetBuffer.slice(0, totalPacketLength);
-        parseResponse(packet);
-        packetBuffer = packetBuffer.slice(totalPacketLength);
-      } catch (e) {
-        if (isDbgLogEnabled) {
-          console.log(`[DEBUG] Dropping malformed packet: ${packet.toString('hex').toUpperCase().match(/.{1,2}/g).join(' ')}`);
-        }
-        packetBuffer = Buffer.alloc(0);
-        break;
+
+      // Send only the most frequent EPC to the clients
+      const mostFrequent = readTagScans.get(mostFrequentEpc) || scan;
+      const decoded = gs1.decodeEpc(mostFrequentEpc);
+      broadcast({
+        epc: mostFrequentEpc, gs1: gs1.describeEpc(decoded), gs1Class: decoded ? decoded.classUri : null,
+        rssi: mostFrequent.rssi, antenna: mostFrequent.antenna, location: mostFrequent.location
+      });
+      return; // Exit after handling read-tag mode
+    }
+
+    // Badges are people, not tools: they only attribute the next check-out
+    const user = users.get(epcHex);
+    if (user) {
+      handleBadgeRead(user, tag);
+      return;
+    }
+
+    if (inventoryMode && !inventoryData.has(epcHex)) {
+      if (isDbgLogEnabled) {
+        console.log(`[DEBUG] EPC ${epcHex} not in inventory. Skipping.`);
       }
+      // Kept for the session snapshot, which lists the unknown tags
+      recordTagRead(sessionUnknownReads, tag);
+      return;
     }
-  });
 
-  port.on('error', (err) => {
-    if (isDbgLogEnabled) console.log('[DEBUG] Entering function port.on(\'error\')');
-    console.error(`❌ Serial port error: ${err.message}`);
-    process.exit(1);
-  });
+    recordTagRead(scannedTagsCumulative, tag);
+    const refreshEntry = recordTagRead(scannedTagsRefresh, tag);
+    recordTagRead(historyReads, tag);
+    presenceTracker.recordRead(epcHex, { count: tag.readCount, location: tag.location });
 
-  port.on('close', () => {
-    if (isDbgLogEnabled) console.log('[DEBUG] Entering function port.on(\'close\')');
-    process.exit(0);
-  });
+    if (isDbgLogEnabled) {
+      const rssiText = tag.rssi !== undefined ? `, RSSI ${tag.rssi} dBm` : '';
+      const antennaText = tag.antenna !== undefined ? `, antenna ${tag.antenna}` : '';
+      console.log(`[DEBUG] EPC ${epcHex} scanned at ${tag.location}${rssiText}${antennaText}. Count in this period: ${refreshEntry.count}`);
+    }
+  }
 
   // --- Server and WebSocket Setup ---
   const app = express();
@@ -368,10 +1436,177 @@ async function main() {
   const webServerHost = process.env.HOST || 'smart-toolbox.local';
 
   app.use(express.static(path.join(__dirname, 'web-app')));
+  app.use(express.json());
+
+  app.post('/api/tags/read-memory', (req, res) => {
+    readTagMemory(req.body || {})
+      .then(result => res.json(result))
+      .catch(err => res.status(err.statusCode || 400).json({ error: err.message }));
+  });
+
+  app.post('/api/tags/commission', (req, res) => {
+    commissionTag(req.body || {})
+      .then(result => res.json(result))
+      .catch(err => res.status(err.statusCode || 400).json({ error: err.message }));
+  });
+
+  app.get('/api/device', (req, res) => {
+    res.json({
+      devices: getReaderStatus().map(({ name, location, connected, port, deviceInfo }) => ({ name, location, connected, port, ...deviceInfo }))
+    });
+  });
+
+  app.get('/api/kit', (req, res) => {
+    res.json(kitStatus);
+  });
+
+  app.get('/api/maintenance', (req, res) => {
+    res.json(maintenanceStatus);
+  });
+
+  app.get('/api/audits', (req, res) => {
+    res.json(getAuditStatus());
+  });
+
+  // Starts an audit scan now: { "name": "end-of-shift" } for a scheduled one, { "duration": 30 } for a one-off
+  app.post('/api/audits/run', (req, res) => {
+    const { name, duration } = req.body || {};
+    try {
+      res.status(202).json({ run: runAuditNow(name, duration) });
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ error: err.message });
+    }
+  });
+
+  app.get('/api/snapshots', (req, res) => {
+    res.json({ snapshots: snapshotStore.list() });
+  });
+
+  // Compares two snapshots, e.g. ?base=20261019T071500412Z-session&target=current
+  // (target defaults to the current scan session). format=csv or format=json downloads the report.
+  app.get('/api/snapshots/compare', (req, res) => {
+    let report;
+    try {
+      const base = findSnapshot(req.query.base, 'base');
+      const target = findSnapshot(req.query.target || 'current', 'target');
+      report = snapshotCompare.compareSnapshots(base, target);
+    } catch (err) {
+      return res.status(err.statusCode || 400).json({ error: err.message });
+    }
+    const fileName = `snapshot-compare-${report.base.id}-${report.target.id}`;
+    if (req.query.format === 'csv') {
+      res.attachment(`${fileName}.csv`);
+      res.type('text/csv');
+      return res.send(snapshotCompare.formatComparisonCsv(report));
+    }
+    if (req.query.format === 'json') res.attachment(`${fileName}.json`);
+    res.json(report);
+  });
+
+  app.get('/api/snapshots/:id', (req, res) => {
+    try {
+      const snapshot = snapshotStore.load(req.params.id);
+      if (!snapshot) return res.status(404).json({ error: `There is no snapshot ${req.params.id}.` });
+      res.json(snapshot);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.get('/api/checkouts', (req, res) => {
+    res.json({ checkouts: checkoutLedger.getCheckouts() });
+  });
+
+  app.get('/api/checkouts/history', (req, res) => {
+    res.json({ history: checkoutLedger.getHistory({ user: req.query.user, epc: req.query.epc }) });
+  });
+
+  app.get('/api/users', (req, res) => {
+    res.json({ users: Array.from(users.values()).map(user => user.name) });
+  });
+
+  // e.g. /api/history?item=multimeter&type=presence&from=2025-08-01
+  app.get('/api/history', (req, res) => {
+    const query = { type: req.query.type || null, limit: history.HistoryDefaults.QUERY_LIMIT };
+    for (const name of ['from', 'to']) {
+      if (!req.query[name]) {
+        query[name] = null;
+        continue;
+      }
+      query[name] = Date.parse(req.query[name]);
+      if (Number.isNaN(query[name])) return res.status(400).json({ error: `Invalid "${name}" time: ${req.query[name]}` });
+    }
+    if (req.query.limit) {
+      query.limit = parseInt(req.query.limit, 10);
+      if (!(query.limit > 0)) return res.status(400).json({ error: `Invalid limit: ${req.query.limit}` });
+    }
+    if (req.query.epc) {
+      query.epcs = String(req.query.epc).split(',').map(epc => epc.trim().toUpperCase());
+    } else if (req.query.item) {
+      query.epcs = Array.from(inventoryData.values()).filter(item => item.item === req.query.item).map(item => item.epc);
+    }
+    historyStore.query(query)
+      .then(entries => res.json({ history: entries.map(entry => ({ ...entry, item: inventoryData.has(entry.epc) ? inventoryData.get(entry.epc).item : null })) }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  app.get('/api/inventory', (req, res) => {
+    res.json({ items: Array.from(inventoryData.values()).map(item => ({ ...item, gs1: gs1.decodeEpc(item.epc) })), file: inventoryFilePath || null });
+  });
+
+  app.post('/api/inventory', (req, res) => {
+    try {
+      res.status(201).json(addInventoryItem(req.body || {}));
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ error: err.message });
+    }
+  });
+
+  app.put('/api/inventory/:epc', (req, res) => {
+    try {
+      res.json(updateInventoryItem(req.params.epc, req.body || {}));
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ error: err.message });
+    }
+  });
 
+  app.delete('/api/inventory/:epc', (req, res) => {
+    try {
+      res.json(removeInventoryItem(req.params.epc));
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ error: err.message });
+    }
+  });
+
+  app.get('/api/discovered', (req, res) => {
+    res.json({ tags: listDiscoveredTags() });
+  });
+
+  // Adds discovered tags to the inventory under one item name:
+  // { "epcs": ["E280..."], "item": "screwdriver", "expected": 3, "attributes": { "category": "hand tools" } }
+  app.post('/api/discovered/enroll', (req, res) => {
+    const { epcs, item, expected, min, attributes } = req.body || {};
+    if (!Array.isArray(epcs) || epcs.length === 0) {
+      return res.status(400).json({ error: 'Select at least one tag ("epcs").' });
+    }
+    try {
+      res.status(201).json(addInventoryItems(epcs.map(epc => ({ epc, item, expected, min, attributes }))));
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ error: err.message });
+    }
+  });
+
+  app.delete('/api/discovered', (req, res) => {
+    discoveredTags.clear();
+    broadcastDiscoveredTags();
+    res.json({ tags: [] });
+  });
+
+  // The current inventory, including uploads and edits that were not saved to a file
   app.get('/download-inventory', (req, res) => {
-    const filePath = path.join(__dirname, 'work', 'inventory.csv');
-    res.download(filePath);
+    res.attachment(inventoryFilePath ? path.basename(inventoryFilePath) : 'inventory.csv');
+    res.type('text/csv');
+    res.send(inventoryCsv.formatInventoryCsv(getSavedInventory()));
   });
 
   const server = app.listen(webServerPort, webServerHost, () => {
@@ -385,8 +1620,17 @@ async function main() {
       console.log('Client connected via WebSocket.');
       wsClients.push(ws);
 
-      const initialInventory = Array.from(inventoryData.values()).map(item => ({...item, count: 0, timestamp: null}));
-      ws.send(JSON.stringify({ initialInventory }));
+      ws.send(JSON.stringify({ initialInventory: buildInitialInventory() }));
+      ws.send(JSON.stringify({ readers: getReaderStatus() }));
+      ws.send(JSON.stringify({ readerSettings: readerConfig }));
+      ws.send(JSON.stringify({ commissioningEnabled: argv.commissioning }));
+      ws.send(JSON.stringify({ reportedReaderSettings: getReportedReaderSettings() }));
+      ws.send(JSON.stringify({ presence: presenceTracker.getStates() }));
+      ws.send(JSON.stringify({ checkouts: checkoutLedger.getCheckouts() }));
+      ws.send(JSON.stringify({ kitStatus }));
+      ws.send(JSON.stringify({ maintenance: maintenanceStatus }));
+      ws.send(JSON.stringify({ audit: getAuditStatus() }));
+      ws.send(JSON.stringify({ discoveredTags: listDiscoveredTags() }));
 
       ws.on('message', message => {
           const command = message.toString();
@@ -395,24 +1639,36 @@ async function main() {
           if (command === 'start') {
               mode = inventoryFilePath ? Constants.MODE_INVENTORY : Constants.MODE_AUTO;
               readTagScans.clear();
-              sendWithCrc(Buffer.from(Constants.HEX_SCAN_START, 'hex'), 'Received "start" from web client, starting scan');
+              startScanSession('Received "start" from web client, starting scan');
           } else if (command === 'stop') {
               readTagScans.clear();
-              sendWithCrc(Buffer.from(Constants.HEX_SCAN_STOP, 'hex'), 'Received "stop" from web client, stopping scan');
+              stopScanSession('Received "stop" from web client, stopping scan');
           } else if (command === 'read-tag') {
               mode = Constants.MODE_READ_TAG;
               readTagScans.clear(); // Reset for the new session
-              sendWithCrc(Buffer.from(Constants.HEX_SCAN_START, 'hex'), 'Received "read-tag" from web client, starting scan');
+              startScanSession('Received "read-tag" from web client, starting scan');
           } else if (command.startsWith('upload_inventory:')) {
               const csvData = command.substring('upload_inventory:'.length);
-              parseInventoryData(csvData);
-              const newInitialInventory = Array.from(inventoryData.values()).map(item => ({...item, count: 0, timestamp: null}));
-              wss.clients.forEach(client => {
-                  if (client.readyState === 1) { // Check if the client is open
-                      client.send(JSON.stringify({ initialInventory: newInitialInventory }));
-                  }
-              });
-              console.log('✅ Inventory updated from client upload.');
+              // Saved right away, so an upload with invalid rows would drop those tools from the file
+              const report = parseInventoryData(csvData, { rejectErrors: true });
+              logInventoryReport('client upload', report);
+              if (report.ok) {
+                  report.saved = saveInventory();
+                  broadcast({ initialInventory: buildInitialInventory() });
+                  broadcastDiscoveredTags();
+              }
+              ws.send(JSON.stringify({ inventoryReport: report }));
+          } else if (command.startsWith('reader_settings:')) {
+              updateReaderSettings(ws, command.substring('reader_settings:'.length));
+          } else if (command.startsWith('read_memory:')) {
+              handleTagOperationMessage(ws, 'read_memory', command.substring('read_memory:'.length), readTagMemory);
+          } else if (command.startsWith('commission_tag:')) {
+              handleTagOperationMessage(ws, 'commission_tag', command.substring('commission_tag:'.length), commissionTag);
+          } else if (command === 'diagnostics_subscribe') {
+              diagnosticClients.add(ws);
+              ws.send(JSON.stringify({ rawCommandsEnabled: argv.rawCommands }));
+          } else if (command.startsWith('raw_command:')) {
+              handleRawCommandMessage(ws, command.substring('raw_command:'.length));
           }
       });
 
@@ -420,6 +1676,7 @@ async function main() {
           if (isDbgLogEnabled) console.log('[DEBUG] Entering function ws.on(\'close\')');
           console.log('Client disconnected.');
           wsClients = wsClients.filter(client => client !== ws);
+          diagnosticClients.delete(ws);
       });
   });
 
@@ -431,29 +1688,155 @@ async function main() {
   if (inventoryFilePath) {
       loadInventory(inventoryFilePath);
   }
-  if (mode === Constants.MODE_AUTO || mode === Constants.MODE_INVENTORY || mode === Constants.MODE_READ_TAG) {
-      startAutoMode();
-  } else {
-      console.log('Interactive mode is not supported in this combined version. Running in auto-inventory mode.');
-      startAutoMode();
+  updateMaintenanceStatus();
+  setInterval(updateMaintenanceStatus, Constants.MAINTENANCE_CHECK_INTERVAL_MS);
+  lastSnapshot = snapshotStore.list()[0] || null;
+  auditScheduler.start();
+  auditScheduler.list().forEach(entry => {
+    console.log(`🕒 Audit "${entry.name}" (${entry.cron}, ${entry.duration} s) ${entry.nextRun ? `runs next at ${new Date(entry.nextRun).toLocaleString()}` : 'never runs: no date matches its cron expression'}.`);
+  });
+  pruneHistory();
+  setInterval(pruneHistory, Constants.HISTORY_PRUNE_INTERVAL_MS);
+  setInterval(flushHistoryReads, argv.historyInterval * 1000);
+  // The handshake (startAutoMode) runs every time a reader connects
+  readerContexts.forEach(ctx => ctx.connection.start());
+  if (isInteractiveMode() || argv.console) {
+      startInteractiveMode();
   }
 
 
-  function startAutoMode() {
+  function startAutoMode(ctx) {
     if (isDbgLogEnabled) console.log('[DEBUG] Entering function startAutoMode');
     if (isDbgLogEnabled) {
-      console.log('[DEBUG] Starting auto mode sequence.');
+      console.log(`[DEBUG] Starting auto mode sequence on the reader at ${ctx.location}.`);
     }
-    sendWithCrc(Buffer.from(Constants.HEX_START_APP, 'hex'));
-    autoModeState = 1;
-    setTimeout(() => {
-      if (autoModeState === 1) {
-        if (isDbgLogEnabled) {
-          console.log('[DEBUG] App-start command timed out, checking running stage.');
+    ctx.autoModeState = 1;
+    // Some firmware does not answer app-start at all while the app is running
+    ctx.reader.startApp({ quiet: true }).catch((err) => {
+      if (err.code !== 'READER_TIMEOUT' || ctx.autoModeState !== 1) return;
+      if (isDbgLogEnabled) {
+        console.log('[DEBUG] App-start command timed out, checking running stage.');
+      }
+      ctx.reader.getRunningStage();
+    });
+  }
+
+  // --- Interactive Console ---
+  // Named commands for poking the readers while the web server keeps running.
+  // Anything that is not a command is sent to the selected reader as a raw
+  // frame (header, length, command code and data; the CRC is appended).
+  function startInteractiveMode() {
+    if (isDbgLogEnabled) console.log('[DEBUG] Entering function startInteractiveMode');
+    const stageNames = {
+      [klm900p.Constants.STAGE_BOOTLOADER]: 'bootloader',
+      [klm900p.Constants.STAGE_APP]: 'app firmware'
+    };
+    let selectedCtx = readerContexts[0];
+    const readerNames = () => readerContexts.map(ctx => ctx.name);
+    // The reader named in the first argument, or every reader
+    const targetReaders = (args) => (args[0] ? [findReaderContext(args[0])] : readerContexts);
+
+    const commands = {
+      help: {
+        description: 'List the commands.',
+        run: () => console.log(`${readerConsole.formatHelp(commands)}\n  Anything else is sent to ${selectedCtx.name} as raw hex bytes, e.g. "ff 00 0c".`)
+      },
+      start: {
+        description: 'Start a scan session on every connected reader.',
+        run: () => {
+          readTagScans.clear();
+          startScanSession('Received "start" from the console, starting scan');
         }
-        sendWithCrc(Buffer.from(Constants.HEX_GET_RUNNING_STAGE, 'hex'));
+      },
+      stop: {
+        description: 'Stop the scan session.',
+        run: () => stopScanSession('Received "stop" from the console, stopping scan')
+      },
+      stage: {
+        usage: 'stage [reader]',
+        description: 'Ask which firmware (bootloader or app) is running.',
+        complete: readerNames,
+        run: (args) => Promise.all(targetReaders(args).map(async (ctx) => {
+          try {
+            const frame = await ctx.reader.request(klm900p.Commands.getRunningStage(), { label: 'Requesting current running stage', quiet: true });
+            const stage = frame.payload[0];
+            console.log(`ℹ️  ${ctx.name} (${ctx.location}) runs the ${stageNames[stage] || `unknown stage 0x${stage.toString(16).toUpperCase()}`}.`);
+          } catch (err) {
+            console.log(`⚠️  ${ctx.name} (${ctx.location}): ${err.message}`);
+          }
+        }))
+      },
+      info: {
+        usage: 'info [reader]',
+        description: 'Show connection, device information, frame counters and settings.',
+        complete: readerNames,
+        run: (args) => targetReaders(args).forEach(printReaderInfo)
+      },
+      audit: {
+        usage: 'audit [name] [seconds]',
+        description: 'Run an audit scan now: a scheduled audit by name, or a one-off one.',
+        complete: () => auditScheduler.list().map(entry => entry.name),
+        run: (args) => {
+          // A lone number is the duration of a one-off audit
+          const [name, duration] = /^\d+(\.\d+)?$/.test(args[0] || '') ? [null, args[0]] : args;
+          runAuditNow(name, duration);
+        }
+      },
+      save: {
+        description: `Save the tags scanned in this session to ${Constants.TSV_FILE_NAME}.`,
+        run: () => saveTsvFile()
+      },
+      reader: {
+        usage: 'reader <name>',
+        description: 'Select the reader that raw hex bytes are sent to.',
+        complete: readerNames,
+        run: (args) => {
+          if (!args[0]) throw new Error(`Readers: ${readerNames().join(', ')}. Selected: ${selectedCtx.name}.`);
+          selectedCtx = findReaderContext(args[0]);
+          rl.setPrompt(`${selectedCtx.name}> `);
+        }
+      },
+      exit: {
+        description: 'Stop scanning and quit the server.',
+        run: () => { process.emit('SIGINT'); }
+      }
+    };
+
+    function printReaderInfo(ctx) {
+      const state = ctx.connection.getState();
+      const info = ctx.reader.getDeviceInfo();
+      const stats = ctx.reader.getStats();
+      const connectionText = state.connected
+        ? `connected on ${state.port}${ctx.ready ? '' : ', handshake in progress'}`
+        : `disconnected${ctx.retryInMs !== undefined ? `, retrying in ${ctx.retryInMs / 1000} s` : ''}`;
+      console.log(`📟 ${ctx.name} (${ctx.location}): ${connectionText}`);
+      if (info.firmwareVersion || info.serialNumber) {
+        console.log(`   Firmware ${info.firmwareVersion || '?'} (${info.firmwareDate || '?'}), hardware ${info.hardwareVersion || '?'}, serial number ${info.serialNumber || '?'}`);
       }
-    }, 2000);
+      console.log(`   Frames ${stats.frames}, CRC failures ${stats.crcFailures}, dropped bytes ${stats.droppedBytes}, malformed ${stats.malformed}`);
+      const settings = Object.entries(ctx.reportedSettings).map(([name, value]) => `${name} ${value}`);
+      if (settings.length > 0) console.log(`   Settings: ${settings.join(', ')}`);
+    }
+
+    async function sendRawFrame(line) {
+      const frame = await sendRawCommand(selectedCtx, line);
+      const statusText = frame.statusCode === klm900p.Constants.STATUS_SUCCESS ? 'ok' : klm900p.describeStatus(frame.statusCode);
+      console.log(`⬅️  ${klm900p.formatHex(frame.raw)} (${statusText})`);
+    }
+
+    const rl = readerConsole.startConsole({
+      commands,
+      fallback: sendRawFrame,
+      prompt: `${selectedCtx.name}> `,
+      historyFile: Constants.CONSOLE_HISTORY_FILE
+    });
+    // Ctrl+C at the prompt shuts the server down as it does without the console
+    rl.on('SIGINT', () => process.emit('SIGINT'));
+    rl.on('close', () => {
+      // stdin ended (e.g. running as a service); the server itself keeps going
+      console.log('Console closed. The web server keeps running.');
+    });
+    console.log('⌨️  Interactive console ready. Type "help" for the commands.');
   }
 
   // --- Data Logging and Export Functions ---
@@ -463,32 +1846,59 @@ async function main() {
     scannedTagsRefresh.forEach((data, epc) => {
         const item = inventoryData.get(epc);
         if (item) {
-            inventoryUpdates.push({ id: item.id, timestamp: data.timestamp, epc, item: item.item, count: data.count });
+            inventoryUpdates.push({
+                id: item.id, timestamp: data.timestamp, epc, item: item.item, attributes: item.attributes, count: data.count,
+                rssi: data.rssi, peakRssi: data.peakRssi, antenna: data.antenna, frequency: data.frequency, phase: data.phase,
+                location: data.location
+            });
         }
+        tagLocations.set(epc, { location: data.location, reader: data.reader, timestamp: data.timestamp });
     });
     scannedTagsRefresh.clear();
     
     if (inventoryUpdates.length > 0) {
-        wsClients.forEach(client => {
-            if (client.readyState === 1) {
-                client.send(JSON.stringify({ updates: inventoryUpdates }));
-            }
-        });
+        broadcast({ updates: inventoryUpdates });
     }
+    broadcastDiscoveredTags();
+    broadcast({ readers: getReaderStatus() });
+  }
+
+  function broadcastDiscoveredTags() {
+    if (discoveredTags.takeChanged()) broadcast({ discoveredTags: listDiscoveredTags() });
+  }
+
+  function listDiscoveredTags() {
+    return discoveredTags.list().map(tag => ({ ...tag, gs1: gs1.describeEpc(tag.epc) }));
+  }
+
+  // Inventory items with zeroed counts and the location each tag was last seen in
+  function buildInitialInventory() {
+    return Array.from(inventoryData.values()).map(item => {
+      const seen = tagLocations.get(item.epc);
+      return {...item, gs1: gs1.describeEpc(item.epc), pattern: gs1.isEpcPattern(item.epc), count: 0, timestamp: null, location: seen ? seen.location : null};
+    });
   }
 
   function generateTsv() {
     const tsvRows = [];
+    // Custom inventory columns (category, owner, ...) follow the fixed ones
+    const attributeNames = inventoryCsv.listAttributeNames(Array.from(inventoryData.values()));
 
     let id = 1;
     scannedTagsCumulative.forEach((data, epc) => {
       const item = inventoryData.get(epc);
       const item_name = item ? item.item : 'N/A';
-      const row = [id++, data.timestamp, epc, item_name, data.count].join('\t');
+      const decoded = gs1.decodeEpc(epc);
+      const attributes = attributeNames.map(name => (item && item.attributes && item.attributes[name] ? item.attributes[name].replace(/[\t\r\n]+/g, ' ') : ''));
+      const row = [id++, data.timestamp, epc, item_name, data.count, formatTsvValue(data.rssi), formatTsvValue(data.peakRssi), formatTsvValue(data.antenna), formatTsvValue(data.location), formatTsvValue(decoded && decoded.uri), ...attributes].join('\t');
       tsvRows.push(row);
     });
 
-    return `${Constants.TSV_HEADER}\n${tsvRows.join('\n')}`;
+    return `${[Constants.TSV_HEADER, ...attributeNames].join('\t')}\n${tsvRows.join('\n')}`;
+  }
+
+  function formatTsvValue(value) {
+    return value === null || value === undefined ? Constants.TSV_ITEM_ID_PLACEHOLDER : value;
   }
 
   function saveTsvFile() {
@@ -507,10 +1917,10 @@ async function main() {
   // Graceful shutdown on Ctrl+C to save the file
   process.on('SIGINT', () => {
     console.log('\n\n🚨 Caught interrupt signal. Attempting to stop scanning...');
-    const stopCommand = Buffer.from(Constants.HEX_SCAN_STOP, 'hex');
-    sendWithCrc(stopCommand, 'Sending stop command');
+    stopScanSession('Sending stop command');
 
     setTimeout(() => {
+      closeRecorders();
       console.log('Exiting program.');
       process.exit();
     }, 1000);
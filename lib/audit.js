@@ -0,0 +1,210 @@
+// audit.js - Scheduled audit scans and their snapshots
+// Audits are listed in a JSON file with cron expressions (see cron.js):
+//   {
+//     "audits": [
+//       { "name": "end-of-shift", "cron": "0 17 * * 1-5", "duration": 120 },
+//       { "name": "morning", "cron": "30 7 * * 1-5" }
+//     ]
+//   }
+// When an audit is due, the server scans for `duration` seconds (unless a
+// scan is already running), stops the readers again and stores a snapshot of
+// which inventory tools were read in that window. Snapshots are JSON files in
+// the snapshot directory, one per audit run and one per scan session:
+//   work/snapshots/20261019T170000000Z-end-of-shift.json
+//   work/snapshots/20261019T071500412Z-session.json
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const cron = require('./cron');
+const { checkKit } = require('./kit-check');
+const { isEpcPattern } = require('./gs1');
+
+const AuditDefaults = {
+  FILE_PATH: path.join(__dirname, '..', 'work', 'audits.json'),
+  SNAPSHOT_DIR: path.join(__dirname, '..', 'work', 'snapshots'),
+  DURATION_S: 60,
+  NAME_PATTERN: /^[A-Za-z0-9_-]+$/,
+  // Timers are re-armed at least this often, so a long wait never overflows setTimeout
+  MAX_TIMER_MS: 60 * 60 * 1000,
+  SNAPSHOT_ID_PATTERN: /^[A-Za-z0-9_-]+$/
+};
+
+/**
+ * Validates the parsed audit file and returns [{ name, cron, duration, schedule }]
+ * where schedule is the parsed cron expression. Throws an Error describing the
+ * first invalid entry.
+ */
+function normalizeAuditList(raw) {
+  const entries = raw && Array.isArray(raw.audits) ? raw.audits : null;
+  if (!entries) throw new Error('The audit file must have an "audits" array.');
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const name = String(entry.name || '').trim();
+    if (!AuditDefaults.NAME_PATTERN.test(name)) {
+      throw new Error(`Audit ${index + 1} needs a "name" made of letters, digits, "-" or "_".`);
+    }
+    if (names.has(name)) throw new Error(`Audit name "${name}" is used more than once.`);
+    names.add(name);
+    let schedule;
+    try {
+      schedule = cron.parseCron(entry.cron);
+    } catch (err) {
+      throw new Error(`Audit "${name}": ${err.message}`);
+    }
+    const duration = entry.duration === undefined ? AuditDefaults.DURATION_S : Number(entry.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error(`Audit "${name}" has an invalid duration; give the scan window in seconds.`);
+    }
+    return { name, cron: schedule.expression, duration, schedule };
+  });
+}
+
+/**
+ * Reads the audit file. A missing file means no scheduled audits.
+ */
+function loadAuditList(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return normalizeAuditList(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Events:
+ *   'due' (audit)   an audit's scheduled time has come; audit as in normalizeAuditList()
+ */
+class AuditScheduler extends EventEmitter {
+  constructor(audits, { now = Date.now } = {}) {
+    super();
+    this.audits = audits;
+    this.now = now;
+    this.timers = new Map(); // audit name -> timeout
+    this.nextRuns = new Map(); // audit name -> Date of its next run, or null if it never runs
+  }
+
+  start() {
+    this.audits.forEach(audit => this.arm(audit));
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  arm(audit) {
+    const next = cron.nextRun(audit.schedule, new Date(this.now()));
+    this.nextRuns.set(audit.name, next);
+    if (!next) return;
+    const delay = Math.min(next.getTime() - this.now(), AuditDefaults.MAX_TIMER_MS);
+    this.timers.set(audit.name, setTimeout(() => {
+      if (this.now() >= next.getTime()) this.emit('due', audit);
+      this.arm(audit);
+    }, Math.max(delay, 0)));
+  }
+
+  find(name) {
+    return this.audits.find(audit => audit.name === name) || null;
+  }
+
+  // The audits with their next run time, for the API and the console
+  list() {
+    return this.audits.map(({ name, cron: expression, duration }) => {
+      const next = this.nextRuns.get(name);
+      return { name, cron: expression, duration, nextRun: next ? next.toISOString() : null };
+    });
+  }
+}
+
+/**
+ * Builds the snapshot of an audit run.
+ *   run:            { name, trigger ('schedule' or 'manual'), cron, startedAt, endedAt, duration, warnings }
+ *   inventoryItems: the inventory rows ({ id, epc, item, expected, min, attributes })
+ *   reads:          Map of EPC -> scan entry ({ count, timestamp, rssi, peakRssi, antenna, location }) of the window
+ *   minReads:       reads needed for a tool to count as present
+ * Returns { id, ...run, minReads, summary: { tools, present, missing, unknownTags },
+ * items: [{ id, epc, item, present, count, peakRssi, location, attributes }], tags: [scan entry + epc, item], kit }.
+ * `tags` lists every tag read in the window (inventory tools and unknown tags).
+ */
+function buildSnapshot(run, inventoryItems, reads, minReads) {
+  const rows = inventoryItems.filter(row => !isEpcPattern(row.epc));
+  const byEpc = new Map(rows.map(row => [row.epc, row]));
+  const isPresent = (epc) => reads.has(epc) && reads.get(epc).count >= minReads;
+
+  const items = rows.map(row => {
+    const read = reads.get(row.epc);
+    return {
+      id: row.id, epc: row.epc, item: row.item, present: isPresent(row.epc),
+      count: read ? read.count : 0, peakRssi: read ? read.peakRssi : null, location: read ? read.location : null,
+      attributes: row.attributes || {}
+    };
+  });
+  const tags = Array.from(reads.entries()).map(([epc, read]) => ({
+    epc, item: byEpc.has(epc) ? byEpc.get(epc).item : null,
+    count: read.count, timestamp: read.timestamp, rssi: read.rssi, peakRssi: read.peakRssi, antenna: read.antenna, location: read.location
+  }));
+  const present = items.filter(entry => entry.present).length;
+
+  return {
+    // To the millisecond, so runs that start in the same second do not overwrite each other
+    id: `${run.startedAt.replace(/[-:.]/g, '')}-${run.name}`,
+    ...run,
+    minReads,
+    summary: { tools: items.length, present, missing: items.length - present, unknownTags: tags.filter(tag => tag.item === null).length },
+    items,
+    tags,
+    kit: checkKit(inventoryItems, isPresent)
+  };
+}
+
+class SnapshotStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fileFor(id) {
+    if (!AuditDefaults.SNAPSHOT_ID_PATTERN.test(id)) throw new Error(`Invalid snapshot id "${id}".`);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  save(snapshot) {
+    fs.writeFileSync(this.fileFor(snapshot.id), JSON.stringify(snapshot, null, 2) + '\n', 'utf8');
+  }
+
+  /**
+   * Reads one snapshot, or returns null if there is none with that id.
+   */
+  load(id) {
+    const filePath = this.fileFor(id);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * The stored snapshots without their item and tag lists, newest first.
+   * Files that cannot be read are skipped with a warning.
+   */
+  list() {
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        try {
+          const { items, tags, kit, ...header } = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+          return header;
+        } catch (err) {
+          console.error(`⚠️  Skipping unreadable snapshot ${name}: ${err.message}`);
+          return null;
+        }
+      })
+      .filter(header => header !== null)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+}
+
+module.exports = {
+  AuditDefaults,
+  AuditScheduler,
+  SnapshotStore,
+  buildSnapshot,
+  loadAuditList,
+  normalizeAuditList
+};
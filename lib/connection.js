@@ -0,0 +1,185 @@
+// connection.js - Keeps a KLM900P reader attached to its serial port
+// The port is opened through a factory so it can be reopened after the
+// USB-UART cable is unplugged or the reader browns out. Failed attempts are
+// retried with exponential backoff until the port comes back.
+
+const { EventEmitter } = require('events');
+
+const ConnectionDefaults = {
+  // Backoff between reconnect attempts
+  INITIAL_RETRY_MS: 1000,
+  MAX_RETRY_MS: 30000,
+  BACKOFF_FACTOR: 2,
+  // USB vendor/product ids of the USB-UART bridges the reader ships with
+  // (CH340, CP210x and FTDI FT232R). Compared case-insensitively.
+  READER_USB_IDS: [
+    { vendorId: '1a86', productId: '7523' },
+    { vendorId: '10c4', productId: 'ea60' },
+    { vendorId: '0403', productId: '6001' }
+  ],
+  AUTO_PORT: 'auto'
+};
+
+/**
+ * Parses "vid:pid" pairs (comma separated, hex) into { vendorId, productId }.
+ */
+function parseUsbIds(value) {
+  return String(value).split(',').map(pair => pair.trim()).filter(pair => pair !== '').map(pair => {
+    const match = /^(?:0x)?([0-9a-fA-F]{1,4}):(?:0x)?([0-9a-fA-F]{1,4})$/.exec(pair);
+    if (!match) throw new Error(`Invalid USB id "${pair}". Use vendor:product in hex, e.g. 1a86:7523.`);
+    return { vendorId: match[1].toLowerCase().padStart(4, '0'), productId: match[2].toLowerCase().padStart(4, '0') };
+  });
+}
+
+/**
+ * Returns the path of the first serial port whose USB ids match, or null.
+ */
+async function findReaderPort(usbIds = ConnectionDefaults.READER_USB_IDS) {
+  const { SerialPort } = require('serialport');
+  const ports = await SerialPort.list();
+  const match = ports.find(info => usbIds.some(id =>
+    String(info.vendorId || '').toLowerCase() === id.vendorId &&
+    String(info.productId || '').toLowerCase() === id.productId));
+  return match ? match.path : null;
+}
+
+/**
+ * Opens a serial port and resolves once it is open. With path 'auto' the
+ * reader is looked up by USB id on every call, so a reader that comes back as
+ * a different device node after being replugged is still found.
+ */
+async function openSerialPort(path, baudRate, usbIds) {
+  const { SerialPort } = require('serialport');
+  let portPath = path;
+  if (path === ConnectionDefaults.AUTO_PORT) {
+    portPath = await findReaderPort(usbIds);
+    if (!portPath) throw new Error('No serial port with a known reader USB id was found.');
+  }
+  const port = new SerialPort({ path: portPath, baudRate, autoOpen: false });
+  await new Promise((resolve, reject) => port.open(err => (err ? reject(err) : resolve())));
+  return port;
+}
+
+/**
+ * Attaches `reader` to the port returned by `openPort()` and reattaches it
+ * whenever the port closes unexpectedly.
+ *
+ * Events:
+ *   'connected'    (port)                          port is open and attached
+ *   'disconnected' (err | null)                    port closed or failed
+ *   'reconnecting' ({ attempt, delayMs, error })   attempt number `attempt` starts in delayMs
+ *   'closed'       ()                              port closed and no retry follows
+ */
+class ReaderConnection extends EventEmitter {
+  constructor({ reader, openPort, reconnect = true, debug = false,
+    initialRetryMs = ConnectionDefaults.INITIAL_RETRY_MS, maxRetryMs = ConnectionDefaults.MAX_RETRY_MS } = {}) {
+    super();
+    this.reader = reader;
+    this.openPort = openPort;
+    this.reconnect = reconnect;
+    this.debug = debug;
+    this.initialRetryMs = initialRetryMs;
+    this.maxRetryMs = maxRetryMs;
+    this.port = null;
+    this.connected = false;
+    this.attempt = 0;
+    this.retryTimer = null;
+    this.stopped = false;
+  }
+
+  getState() {
+    return {
+      connected: this.connected,
+      port: this.port ? this.port.path : null,
+      attempt: this.attempt
+    };
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  async connect() {
+    if (this.stopped) return;
+    this.retryTimer = null;
+    this.attempt++;
+    if (this.debug) console.log(`[DEBUG] Opening reader port (attempt ${this.attempt})`);
+    let port;
+    try {
+      port = await this.openPort();
+    } catch (err) {
+      this.scheduleReconnect(err);
+      return;
+    }
+    if (this.stopped) {
+      if (port.isOpen) port.close();
+      return;
+    }
+    this.port = port;
+    port.on('close', (err) => this.handleDisconnect(port, err || null));
+    port.on('error', (err) => {
+      this.emit('error', err);
+      if (!port.isOpen) this.handleDisconnect(port, err);
+    });
+    this.reader.attach(port);
+    if (port.isOpen) {
+      this.markConnected();
+    } else {
+      port.once('open', () => this.markConnected());
+    }
+  }
+
+  markConnected() {
+    this.connected = true;
+    this.attempt = 0;
+    this.emit('connected', this.port);
+  }
+
+  handleDisconnect(port, err) {
+    // 'error' and 'close' can both fire for the same unplug
+    if (port !== this.port) return;
+    this.port = null;
+    this.connected = false;
+    this.reader.detach();
+    port.removeAllListeners('close');
+    this.emit('disconnected', err);
+    if (this.reconnect && !this.stopped) {
+      this.scheduleReconnect(err);
+    } else {
+      this.emit('closed');
+    }
+  }
+
+  scheduleReconnect(err) {
+    if (this.stopped) return;
+    if (!this.reconnect) {
+      if (err) this.emit('error', err);
+      this.emit('closed');
+      return;
+    }
+    const delayMs = Math.min(this.maxRetryMs,
+      this.initialRetryMs * Math.pow(ConnectionDefaults.BACKOFF_FACTOR, Math.max(0, this.attempt - 1)));
+    this.emit('reconnecting', { attempt: this.attempt + 1, delayMs, error: err });
+    this.retryTimer = setTimeout(() => this.connect(), delayMs);
+  }
+
+  /**
+   * Stops reconnecting and closes the port if it is open.
+   */
+  stop() {
+    this.stopped = true;
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    const port = this.port;
+    if (port && port.isOpen) port.close();
+  }
+}
+
+module.exports = {
+  ConnectionDefaults,
+  ReaderConnection,
+  findReaderPort,
+  openSerialPort,
+  parseUsbIds
+};
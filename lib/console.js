@@ -0,0 +1,101 @@
+// console.js - Interactive command line for the running server
+// A readline prompt with named commands, tab completion and a history that is
+// kept between runs. Lines that are not a command name go to a fallback
+// handler, which the server uses to send raw hex frames to the reader.
+
+const fs = require('fs');
+const readline = require('readline');
+
+const ConsoleDefaults = {
+  HISTORY_SIZE: 500,
+  PROMPT: '> '
+};
+
+function loadHistory(filePath) {
+  try {
+    // readline keeps the newest entry first
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).reverse().slice(0, ConsoleDefaults.HISTORY_SIZE);
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveHistory(filePath, history) {
+  try {
+    fs.writeFileSync(filePath, history.slice().reverse().join('\n') + '\n', 'utf8');
+  } catch (err) {
+    console.error(`⚠️  Could not save the command history to ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Starts the prompt and returns the readline interface.
+ *
+ * `commands` maps a command name to { usage, description, run(args), complete(partial) }.
+ * `run` may return a promise; the prompt comes back once it settles and a
+ * rejection is printed. `complete` is optional and returns candidates for the
+ * command's arguments. Other input is passed to `fallback(line)`.
+ */
+function startConsole({ commands, fallback, prompt = ConsoleDefaults.PROMPT, historyFile,
+  input = process.stdin, output = process.stdout }) {
+  const names = Object.keys(commands).sort();
+
+  function completer(line) {
+    const words = line.split(/\s+/);
+    if (words.length <= 1) {
+      const hits = names.filter(name => name.startsWith(words[0]));
+      return [hits, words[0]];
+    }
+    const command = commands[words[0]];
+    const partial = words[words.length - 1];
+    if (!command || !command.complete) return [[], partial];
+    return [command.complete(partial).filter(candidate => candidate.startsWith(partial)), partial];
+  }
+
+  const rl = readline.createInterface({
+    input,
+    output,
+    prompt,
+    completer,
+    history: historyFile ? loadHistory(historyFile) : [],
+    historySize: ConsoleDefaults.HISTORY_SIZE,
+    removeHistoryDuplicates: true
+  });
+  if (historyFile) rl.on('history', (history) => saveHistory(historyFile, history));
+
+  async function runLine(line) {
+    const trimmed = line.trim();
+    if (trimmed) {
+      const [name, ...args] = trimmed.split(/\s+/);
+      const command = commands[name.toLowerCase()];
+      try {
+        await (command ? command.run(args) : fallback(trimmed));
+      } catch (err) {
+        console.log(`⚠️  ${err.message}`);
+      }
+    }
+    rl.prompt();
+  }
+
+  // Lines are run one after another, so pasted input keeps its order
+  let running = Promise.resolve();
+  rl.on('line', (line) => { running = running.then(() => runLine(line)); });
+
+  rl.prompt();
+  return rl;
+}
+
+/**
+ * Formats the command table as help text, one "usage  description" line per command.
+ */
+function formatHelp(commands) {
+  const rows = Object.keys(commands).sort().map(name => [commands[name].usage || name, commands[name].description || '']);
+  const width = Math.max(...rows.map(([usage]) => usage.length));
+  return rows.map(([usage, description]) => `  ${usage.padEnd(width)}  ${description}`).join('\n');
+}
+
+module.exports = {
+  ConsoleDefaults,
+  formatHelp,
+  startConsole
+};
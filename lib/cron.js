@@ -0,0 +1,134 @@
+// cron.js - Cron expressions for scheduled audits
+// Five fields, as in crontab: minute hour day-of-month month day-of-week.
+// Each field is "*", a number, a range "1-5", a step "*/15" or "8-18/2", or
+// a comma separated list of those. Months and weekdays may also be given by
+// their three-letter names (jan, mon). Sunday is 0 or 7. As in cron, when
+// both the day of month and the day of week are restricted, a day matching
+// either runs. Times are local time. "@hourly", "@daily" and "@weekly" are
+// accepted as shorthands.
+
+const CronDefaults = {
+  SHORTHANDS: {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0'
+  },
+  // Upper bound on the search for the next run: no match within this many days means it never runs
+  MAX_SEARCH_DAYS: 366 * 5
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const Fields = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 }
+];
+
+function parseValue(text, field) {
+  const name = text.toLowerCase();
+  if (field.names && field.names.includes(name)) return field.names.indexOf(name) + field.nameOffset;
+  if (!/^\d+$/.test(text)) throw new Error(`invalid ${field.name} "${text}".`);
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`the ${field.name} ${value} is out of range (${field.min}-${field.max}).`);
+  }
+  return value;
+}
+
+// The set of values one field matches
+function parseField(text, field) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step <= 0) throw new Error(`invalid step in ${field.name} "${part}".`);
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) throw new Error(`invalid ${field.name} range "${range}".`);
+      start = parseValue(bounds[0], field);
+      // "5/15" runs from 5 to the end of the range, like cron
+      end = bounds.length === 2 ? parseValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+      if (end < start) throw new Error(`invalid ${field.name} range "${range}".`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+}
+
+/**
+ * Parses a cron expression into { expression, minutes, hours, days, months,
+ * weekdays, anyDay, anyWeekday } (Sets of the matching values). Throws an
+ * Error describing the first invalid field.
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (CronDefaults.SHORTHANDS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${text}": expected 5 fields (minute hour day-of-month month day-of-week).`);
+  }
+  let sets;
+  try {
+    sets = fields.map((fieldText, index) => parseField(fieldText, Fields[index]));
+  } catch (err) {
+    throw new Error(`Invalid cron expression "${text}": ${err.message}`);
+  }
+  // Sunday may be written as 7
+  if (sets[4].delete(7)) sets[4].add(0);
+  return {
+    expression: text,
+    minutes: sets[0],
+    hours: sets[1],
+    days: sets[2],
+    months: sets[3],
+    weekdays: sets[4],
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayMatches = schedule.days.has(date.getDate());
+  const weekdayMatches = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay || schedule.anyWeekday) return dayMatches && weekdayMatches;
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * The first time after `after` (a Date) that a parsed schedule runs, as a
+ * Date on a whole minute, or null if it never runs (e.g. "0 0 31 2 *").
+ */
+function nextRun(schedule, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after.getTime() + CronDefaults.MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  CronDefaults,
+  nextRun,
+  parseCron
+};
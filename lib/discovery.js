@@ -0,0 +1,87 @@
+// discovery.js - Tags that were read but are not in the inventory
+// New tools are enrolled from this list instead of reading their EPC with the
+// rest of the tags wrapped in tin foil. The list only lives in memory and is
+// capped, so a busy shop floor full of foreign tags cannot grow it forever.
+
+const DiscoveryDefaults = {
+  MAX_TAGS: 200
+};
+
+class DiscoveredTags {
+  constructor({ maxTags = DiscoveryDefaults.MAX_TAGS } = {}) {
+    this.maxTags = maxTags;
+    this.tags = new Map(); // EPC -> { epc, firstSeen, lastSeen, count, rssi, peakRssi, antenna, location, reader }
+    this.changed = false;
+  }
+
+  /**
+   * Counts a read of an unknown tag (a decoded 'tag' event of the driver).
+   * Once the list is full, the tag that was seen longest ago makes room.
+   */
+  record(tag) {
+    const now = new Date().toISOString();
+    let entry = this.tags.get(tag.epc);
+    if (!entry) {
+      if (this.tags.size >= this.maxTags) this.evictOldest();
+      entry = { epc: tag.epc, firstSeen: now, lastSeen: now, count: 0, rssi: null, peakRssi: null, antenna: null, location: null, reader: null };
+      this.tags.set(tag.epc, entry);
+    }
+    entry.lastSeen = now;
+    entry.count += tag.readCount || 1;
+    if (tag.rssi !== undefined) {
+      entry.rssi = tag.rssi;
+      entry.peakRssi = entry.peakRssi === null ? tag.rssi : Math.max(entry.peakRssi, tag.rssi);
+    }
+    if (tag.antenna !== undefined) entry.antenna = tag.antenna;
+    if (tag.location) entry.location = tag.location;
+    if (tag.reader) entry.reader = tag.reader;
+    this.changed = true;
+    return entry;
+  }
+
+  evictOldest() {
+    let oldest = null;
+    this.tags.forEach(entry => {
+      if (!oldest || entry.lastSeen < oldest.lastSeen) oldest = entry;
+    });
+    if (oldest) this.tags.delete(oldest.epc);
+  }
+
+  /**
+   * Forgets a tag, e.g. once it has been enrolled. Returns whether it was listed.
+   */
+  remove(epc) {
+    const removed = this.tags.delete(epc);
+    if (removed) this.changed = true;
+    return removed;
+  }
+
+  clear() {
+    this.tags.clear();
+    this.changed = true;
+  }
+
+  has(epc) {
+    return this.tags.has(epc);
+  }
+
+  // The listed tags, most recently seen first
+  list() {
+    return Array.from(this.tags.values()).sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+  }
+
+  /**
+   * Returns whether the list changed since the last call, so it is only sent
+   * to the web pages when there is something new.
+   */
+  takeChanged() {
+    const changed = this.changed;
+    this.changed = false;
+    return changed;
+  }
+}
+
+module.exports = {
+  DiscoveredTags,
+  DiscoveryDefaults
+};
@@ -0,0 +1,158 @@
+// gs1.js - Decoding of GS1 EPC binary schemes (Tag Data Standard)
+// An EPC starting with a known header byte carries a GS1 identity, e.g.
+// 303431365428F1D3B10003D9 is an SGTIN-96: company prefix, item reference and
+// serial number of one trade item. Decoded EPCs are shown as pure identity
+// URIs (urn:epc:id:sgtin:0614141.812345.6789), and an inventory row may use an
+// EPC pattern (urn:epc:idpat:sgtin:0614141.812345.*) to stand for every serial
+// of one product instead of a single tag.
+
+const GS1Defaults = {
+  ID_PREFIX: 'urn:epc:id:',
+  PATTERN_PREFIX: 'urn:epc:idpat:'
+};
+
+// Partition tables: [company prefix bits, digits, second field bits, digits] per partition value
+const SGTIN_PARTITIONS = [[40, 12, 4, 1], [37, 11, 7, 2], [34, 10, 10, 3], [30, 9, 14, 4], [27, 8, 17, 5], [24, 7, 20, 6], [20, 6, 24, 7]];
+const GRAI_PARTITIONS = [[40, 12, 4, 0], [37, 11, 7, 1], [34, 10, 10, 2], [30, 9, 14, 3], [27, 8, 17, 4], [24, 7, 20, 5], [20, 6, 24, 6]];
+const SSCC_PARTITIONS = [[40, 12, 18, 5], [37, 11, 21, 6], [34, 10, 24, 7], [30, 9, 28, 8], [27, 8, 31, 9], [24, 7, 34, 10], [20, 6, 38, 11]];
+const GIAI_PARTITIONS = [[40, 12, 42, 13], [37, 11, 45, 14], [34, 10, 48, 15], [30, 9, 52, 16], [27, 8, 55, 17], [24, 7, 58, 18], [20, 6, 62, 19]];
+
+// Header byte -> scheme. Only the 96-bit schemes fit the tags this toolbox uses.
+const Schemes = {
+  0x30: { name: 'sgtin-96', label: 'SGTIN-96', partitions: SGTIN_PARTITIONS, fields: ['companyPrefix', 'itemReference'], serialBits: 38 },
+  0x31: { name: 'sscc-96', label: 'SSCC-96', partitions: SSCC_PARTITIONS, fields: ['companyPrefix', 'serialReference'], serialBits: 0 },
+  0x33: { name: 'grai-96', label: 'GRAI-96', partitions: GRAI_PARTITIONS, fields: ['companyPrefix', 'assetType'], serialBits: 38 },
+  0x34: { name: 'giai-96', label: 'GIAI-96', partitions: GIAI_PARTITIONS, fields: ['companyPrefix', 'assetReference'], serialBits: 0 },
+  0x35: { name: 'gid-96', label: 'GID-96' }
+};
+
+// Reads `length` bits starting `offset` bits into the EPC as a BigInt
+function readBits(value, totalBits, offset, length) {
+  return (value >> BigInt(totalBits - offset - length)) & ((1n << BigInt(length)) - 1n);
+}
+
+function padDigits(value, digits) {
+  const text = value.toString();
+  if (text.length > digits) throw new Error(`${text} does not fit in ${digits} digit(s).`);
+  return text.padStart(digits, '0');
+}
+
+// GS1 mod-10 check digit of a string of digits
+function checkDigit(digits) {
+  const sum = digits.split('').reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Decodes an EPC (hex) with a known GS1 header. Returns null for other EPCs
+ * (e.g. the factory default E280... EPCs) and for invalid encodings. Otherwise
+ *   { scheme, filter, companyPrefix, itemReference | assetType | serialReference | assetReference,
+ *     serial, gtin (SGTIN only), uri, classUri }
+ * classUri is the pattern every serial of the same product matches, or null
+ * for schemes that identify single items only (SSCC, GIAI).
+ */
+function decodeEpc(epcHex) {
+  const hex = String(epcHex || '').toUpperCase();
+  if (hex.length !== 24 || !/^[0-9A-F]+$/.test(hex)) return null;
+  const scheme = Schemes[parseInt(hex.slice(0, 2), 16)];
+  if (!scheme) return null;
+  const value = BigInt(`0x${hex}`);
+  const bits = (offset, length) => readBits(value, 96, offset, length);
+
+  if (scheme.name === 'gid-96') {
+    const fields = [bits(8, 28), bits(36, 24), bits(60, 36)].map(field => field.toString());
+    return {
+      scheme: scheme.name,
+      label: scheme.label,
+      generalManager: fields[0],
+      objectClass: fields[1],
+      serial: fields[2],
+      uri: `${GS1Defaults.ID_PREFIX}gid:${fields.join('.')}`,
+      classUri: `${GS1Defaults.PATTERN_PREFIX}gid:${fields[0]}.${fields[1]}.*`
+    };
+  }
+
+  const partition = Number(bits(11, 3));
+  if (partition >= scheme.partitions.length) return null;
+  const [companyBits, companyDigits, secondBits, secondDigits] = scheme.partitions[partition];
+  const decoded = { scheme: scheme.name, label: scheme.label, filter: Number(bits(8, 3)) };
+  try {
+    decoded[scheme.fields[0]] = padDigits(bits(14, companyBits), companyDigits);
+    decoded[scheme.fields[1]] = secondDigits === 0 ? '' : padDigits(bits(14 + companyBits, secondBits), secondDigits);
+  } catch (err) {
+    return null; // A field value larger than its digits allow is not a valid encoding
+  }
+  const typeName = scheme.name.split('-')[0];
+  const classFields = `${decoded[scheme.fields[0]]}.${decoded[scheme.fields[1]]}`;
+  if (scheme.serialBits > 0) {
+    decoded.serial = bits(96 - scheme.serialBits, scheme.serialBits).toString();
+    decoded.uri = `${GS1Defaults.ID_PREFIX}${typeName}:${classFields}.${decoded.serial}`;
+    decoded.classUri = `${GS1Defaults.PATTERN_PREFIX}${typeName}:${classFields}.*`;
+  } else {
+    decoded.uri = `${GS1Defaults.ID_PREFIX}${typeName}:${classFields}`;
+    decoded.classUri = null;
+  }
+  if (scheme.name === 'sgtin-96') {
+    // The item reference starts with the indicator digit, which leads the GTIN-14
+    const body = decoded.itemReference.slice(0, 1) + decoded.companyPrefix + decoded.itemReference.slice(1);
+    decoded.gtin = body + checkDigit(body);
+  }
+  return decoded;
+}
+
+/**
+ * A short description of a decoded EPC for tables and logs, e.g.
+ * "SGTIN-96 GTIN 10614141123459 serial 6789", or null if it is not a GS1 EPC.
+ */
+function describeEpc(epcHex) {
+  const decoded = typeof epcHex === 'string' ? decodeEpc(epcHex) : epcHex;
+  if (!decoded) return null;
+  switch (decoded.scheme) {
+    case 'sgtin-96':
+      return `${decoded.label} GTIN ${decoded.gtin} serial ${decoded.serial}`;
+    case 'grai-96':
+      return `${decoded.label} ${decoded.companyPrefix}.${decoded.assetType} serial ${decoded.serial}`;
+    case 'gid-96':
+      return `${decoded.label} ${decoded.generalManager}.${decoded.objectClass} serial ${decoded.serial}`;
+    default:
+      return `${decoded.label} ${decoded.uri.split(':').pop()}`;
+  }
+}
+
+function isEpcPattern(text) {
+  return String(text || '').trim().toLowerCase().startsWith(GS1Defaults.PATTERN_PREFIX);
+}
+
+/**
+ * Validates an EPC pattern URI that stands for every serial of one product
+ * (urn:epc:idpat:sgtin:<company>.<item>.*, likewise grai and gid) and returns
+ * it in canonical form. Throws an Error describing what is wrong.
+ */
+function parseEpcPattern(text) {
+  const match = /^urn:epc:idpat:(sgtin|grai|gid):(\d+)\.(\d*)\.\*$/i.exec(String(text || '').trim());
+  if (!match) {
+    throw new Error(`Invalid EPC pattern "${text}". Use e.g. urn:epc:idpat:sgtin:0614141.812345.* for every serial of one product.`);
+  }
+  const [, type, first, second] = match;
+  if (type.toLowerCase() !== 'gid' && first.length + second.length !== (type.toLowerCase() === 'sgtin' ? 13 : 12)) {
+    throw new Error(`Invalid EPC pattern "${text}": the company prefix and ${type.toLowerCase() === 'sgtin' ? 'item reference have 13' : 'asset type have 12'} digits together.`);
+  }
+  return `${GS1Defaults.PATTERN_PREFIX}${type.toLowerCase()}:${first}.${second}.*`;
+}
+
+/**
+ * Whether an EPC (hex) belongs to the product an EPC pattern stands for.
+ */
+function matchesEpcPattern(epcHex, pattern) {
+  const decoded = decodeEpc(epcHex);
+  return Boolean(decoded && decoded.classUri && decoded.classUri === pattern);
+}
+
+module.exports = {
+  GS1Defaults,
+  decodeEpc,
+  describeEpc,
+  isEpcPattern,
+  matchesEpcPattern,
+  parseEpcPattern
+};
@@ -0,0 +1,101 @@
+// history.js - On-disk history of tag reads and presence changes
+// Entries are appended to one JSON Lines file per UTC day under the history
+// directory, so the history survives restarts and old days can be dropped by
+// deleting whole files:
+//   work/history/history-2025-08-22.jsonl
+//   {"type":"read","epc":"E280...","timestamp":"...","count":12,"rssi":-52,"peakRssi":-49,"antenna":1,"location":"Toolbox","reader":"reader"}
+//   {"type":"presence","epc":"E280...","state":"missing","timestamp":"...","lastSeen":"...","location":"Toolbox"}
+
+const fs = require('fs');
+const path = require('path');
+
+const HistoryDefaults = {
+  DIR: path.join(__dirname, '..', 'work', 'history'),
+  // Days of history kept; 0 keeps everything
+  RETENTION_DAYS: 30,
+  // Reads are summed per tag and written once per interval to keep the files small
+  READ_INTERVAL_MS: 60000,
+  QUERY_LIMIT: 1000,
+  FILE_PATTERN: /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoryStore {
+  constructor(dir, { retentionDays = HistoryDefaults.RETENTION_DAYS } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fileFor(day) {
+    return path.join(this.dir, `history-${day}.jsonl`);
+  }
+
+  /**
+   * Appends one entry to the file of the day of its timestamp. Written
+   * synchronously so nothing is lost on process.exit().
+   */
+  append(entry) {
+    const day = new Date(entry.timestamp).toISOString().slice(0, 10);
+    fs.appendFileSync(this.fileFor(day), JSON.stringify(entry) + '\n', 'utf8');
+  }
+
+  // The history files as [{ day, filePath }], oldest first
+  listFiles() {
+    return fs.readdirSync(this.dir)
+      .map(name => HistoryDefaults.FILE_PATTERN.exec(name))
+      .filter(match => match)
+      .map(match => ({ day: match[1], filePath: path.join(this.dir, match[0]) }))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  /**
+   * Deletes the files of days older than the retention period. Returns how many were deleted.
+   */
+  prune(now = Date.now()) {
+    if (!this.retentionDays || this.retentionDays <= 0) return 0;
+    const oldestKept = new Date(now - (this.retentionDays - 1) * DAY_MS).toISOString().slice(0, 10);
+    const expired = this.listFiles().filter(file => file.day < oldestKept);
+    expired.forEach(file => fs.unlinkSync(file.filePath));
+    return expired.length;
+  }
+
+  /**
+   * Resolves with the entries between `from` and `to` (milliseconds, both
+   * optional), newest first and at most `limit` of them. `epcs` (a list) and
+   * `type` ('read' or 'presence') narrow the result.
+   */
+  async query({ epcs = null, from = null, to = null, type = null, limit = HistoryDefaults.QUERY_LIMIT } = {}) {
+    const fromDay = from === null ? null : new Date(from).toISOString().slice(0, 10);
+    const toDay = to === null ? null : new Date(to).toISOString().slice(0, 10);
+    const files = this.listFiles().filter(file => (!fromDay || file.day >= fromDay) && (!toDay || file.day <= toDay));
+    const epcSet = epcs ? new Set(epcs) : null;
+    const entries = [];
+    for (const file of files) {
+      const content = await fs.promises.readFile(file.filePath, 'utf8');
+      content.split('\n').forEach(line => {
+        if (line.trim() === '') return;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          return; // A line cut short by a power loss
+        }
+        const time = Date.parse(entry.timestamp);
+        if (from !== null && time < from) return;
+        if (to !== null && time > to) return;
+        if (type && entry.type !== type) return;
+        if (epcSet && !epcSet.has(entry.epc)) return;
+        entries.push(entry);
+      });
+    }
+    entries.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    return entries.slice(0, limit);
+  }
+}
+
+module.exports = {
+  HistoryDefaults,
+  HistoryStore
+};
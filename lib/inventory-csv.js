@@ -0,0 +1,381 @@
+// inventory-csv.js - Parsing and validation of the inventory CSV
+// Inventories are edited in spreadsheets, so the parser accepts quoted fields
+// (with commas, quotes and line breaks inside), a UTF-8 byte order mark, CRLF
+// line endings and common header spellings. Every problem is collected in a
+// report instead of being skipped silently. Columns other than the built-in
+// ones (e.g. category, owner, serial number, cost) are kept as the row's
+// attributes and written back after the built-in columns. The last_service
+// and service_interval_days columns hold the maintenance schedule of a tool
+// (see maintenance.js).
+
+const fs = require('fs');
+const path = require('path');
+const { parseEpc } = require('./tag-memory');
+const gs1 = require('./gs1');
+const maintenance = require('./maintenance');
+
+const InventoryCsvDefaults = {
+  // Accepted header spellings, compared case-insensitively after trimming
+  HEADER_ALIASES: {
+    id: ['id', 'no', 'number', '#'],
+    epc: ['epc', 'epc code', 'epc hex', 'tag', 'tag id', 'tag epc'],
+    item: ['item', 'item name', 'name', 'tool', 'description'],
+    expected: ['expected', 'expected quantity', 'qty', 'quantity'],
+    min: ['min', 'minimum', 'min quantity'],
+    lastService: ['last_service', 'last service', 'last serviced', 'last calibration', 'last calibrated', 'calibrated'],
+    serviceInterval: ['service_interval_days', 'service interval', 'service interval (days)', 'service interval days', 'calibration interval', 'interval days']
+  },
+  ITEM_PLACEHOLDER: 'N/A',
+  // The previous version of the inventory file is kept next to it with this suffix
+  BACKUP_SUFFIX: '.bak'
+};
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180). Each row is returned as
+ * { line, fields } where line is the 1-based line the row starts on.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRow = () => {
+    fields.push(field);
+    // Blank lines are not rows
+    if (fields.length > 1 || fields[0].trim() !== '') rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Finds the column of each known field in a header row: { id, epc, item, expected, min,
+ * lastService, serviceInterval } with -1 for missing columns, and `attributes`: [{ name, index }] for the other columns.
+ */
+function mapHeaders(headerFields) {
+  const normalized = headerFields.map(header => header.trim().toLowerCase());
+  const columns = {};
+  Object.entries(InventoryCsvDefaults.HEADER_ALIASES).forEach(([name, aliases]) => {
+    columns[name] = normalized.findIndex(header => aliases.includes(header));
+  });
+  const known = new Set(Object.keys(InventoryCsvDefaults.HEADER_ALIASES).map(name => columns[name]));
+  const seen = new Set();
+  columns.attributes = [];
+  headerFields.forEach((header, index) => {
+    const name = header.trim();
+    if (known.has(index) || !name || seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+    columns.attributes.push({ name, index });
+  });
+  return columns;
+}
+
+// Whether a column name is one of the built-in columns (or one of their aliases)
+function isBuiltInColumn(name) {
+  const normalized = String(name).trim().toLowerCase();
+  return Object.values(InventoryCsvDefaults.HEADER_ALIASES).some(aliases => aliases.includes(normalized));
+}
+
+/**
+ * Normalises an EPC cell ("e280 6915-0000", "0xE280...") to upper-case hex.
+ * A GS1 EPC pattern (urn:epc:idpat:sgtin:0614141.812345.*) is kept as a
+ * pattern in canonical form. Throws with a message for the validation report
+ * if it is neither.
+ */
+function normalizeEpc(value) {
+  const text = String(value || '').trim();
+  if (gs1.isEpcPattern(text)) return gs1.parseEpcPattern(text);
+  if (/^\d+(\.\d+)?E\+\d+$/i.test(text)) {
+    throw new Error(`EPC "${text}" looks like a number rounded by a spreadsheet. Format the column as text and export again.`);
+  }
+  const hex = text.replace(/^0x/i, '').replace(/[\s:-]/g, '');
+  try {
+    return parseEpc(hex).toString('hex').toUpperCase();
+  } catch (err) {
+    throw new Error(`Invalid EPC "${text}": ${err.message}`);
+  }
+}
+
+// A quantity cell: a whole number, undefined when empty, or NaN when invalid
+function parseQuantity(value) {
+  const text = String(value || '').trim();
+  if (text === '') return undefined;
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+/**
+ * Parses inventory CSV text into { items, report }. items are
+ * [{ id, epc, item, expected, min, lastService, serviceInterval, attributes: { column: value } }]
+ * in file order. report is
+ *   { ok, rows, imported, errors: [{ line, message }], warnings: [{ line, message }] }
+ * Rows with errors (bad or duplicate EPCs) are left out; warnings are fixed up.
+ * ok is false when nothing usable was found, e.g. there is no EPC column.
+ */
+function parseInventoryCsv(text) {
+  const report = { ok: true, rows: 0, imported: 0, errors: [], warnings: [] };
+  const items = [];
+  const rows = parseCsv(String(text || ''));
+  if (rows.length === 0) {
+    report.ok = false;
+    report.errors.push({ line: 1, message: 'The file is empty.' });
+    return { items, report };
+  }
+
+  const columns = mapHeaders(rows[0].fields);
+  if (columns.epc === -1) {
+    report.ok = false;
+    report.errors.push({ line: rows[0].line, message: `No EPC column found. Headers: ${rows[0].fields.join(', ')}` });
+    return { items, report };
+  }
+  if (columns.item === -1) report.warnings.push({ line: rows[0].line, message: 'No item column found; items are named N/A.' });
+
+  const seen = new Map(); // EPC -> line of its first row
+  const usedIds = new Set();
+  rows.slice(1).forEach((row, index) => {
+    report.rows++;
+    const cell = (name) => (columns[name] === -1 ? '' : (row.fields[columns[name]] || '').trim());
+    const warn = (message) => report.warnings.push({ line: row.line, message });
+
+    let epc;
+    try {
+      if (!cell('epc')) throw new Error(row.fields.length <= columns.epc ? 'Row is too short and has no EPC.' : 'EPC is empty.');
+      epc = normalizeEpc(cell('epc'));
+    } catch (err) {
+      report.errors.push({ line: row.line, message: err.message });
+      return;
+    }
+    if (seen.has(epc)) {
+      report.errors.push({ line: row.line, message: `Duplicate EPC ${epc}, already on line ${seen.get(epc)}.` });
+      return;
+    }
+    seen.set(epc, row.line);
+
+    let id = cell('id') === '' ? NaN : Number(cell('id'));
+    if (columns.id !== -1 && !(Number.isInteger(id) && id >= 0)) {
+      warn(cell('id') === '' ? 'Id is empty; numbered automatically.' : `Invalid id "${cell('id')}"; numbered automatically.`);
+    }
+    if (!(Number.isInteger(id) && id >= 0) || usedIds.has(id)) {
+      if (usedIds.has(id)) warn(`Duplicate id ${id}; numbered automatically.`);
+      id = index + 1;
+      while (usedIds.has(id)) id++;
+    }
+    usedIds.add(id);
+
+    let item = cell('item');
+    if (!item) {
+      if (columns.item !== -1) warn('Item name is empty.');
+      item = InventoryCsvDefaults.ITEM_PLACEHOLDER;
+    }
+
+    const quantities = {};
+    ['expected', 'min'].forEach(name => {
+      const quantity = parseQuantity(cell(name));
+      if (Number.isNaN(quantity)) {
+        warn(`Invalid ${name} quantity "${cell(name)}"; ignored.`);
+      } else {
+        quantities[name] = quantity;
+      }
+    });
+
+    const schedule = {};
+    [['lastService', maintenance.parseServiceDate], ['serviceInterval', maintenance.parseServiceInterval]].forEach(([name, parse]) => {
+      try {
+        schedule[name] = parse(cell(name));
+      } catch (err) {
+        warn(`${err.message} Ignored.`);
+      }
+    });
+
+    const attributes = {};
+    columns.attributes.forEach(({ name, index: column }) => {
+      attributes[name] = (row.fields[column] || '').trim();
+    });
+
+    items.push({
+      id, epc, item, expected: quantities.expected, min: quantities.min,
+      lastService: schedule.lastService, serviceInterval: schedule.serviceInterval, attributes
+    });
+  });
+
+  report.imported = items.length;
+  return { items, report };
+}
+
+/**
+ * Validates an inventory item edited through the API and returns a normalised
+ * { id, epc, item, expected, min, lastService, serviceInterval, attributes }. Fields missing from `raw` are
+ * taken from `current` (the item being updated, if any); `raw.attributes` only
+ * changes the attributes it names, and a null value removes one. Throws an
+ * Error describing the first invalid value.
+ */
+function normalizeInventoryItem(raw = {}, current = {}) {
+  const value = (name) => (raw[name] === undefined ? current[name] : raw[name]);
+  if (!value('epc')) throw new Error('EPC is required.');
+  const epc = normalizeEpc(value('epc'));
+
+  const item = String(value('item') === undefined || value('item') === null ? '' : value('item')).trim();
+  if (!item) throw new Error('Item name is required.');
+
+  let id = value('id');
+  if (id !== undefined && id !== null && id !== '') {
+    id = Number(id);
+    if (!Number.isInteger(id) || id < 0) throw new Error(`Invalid id "${value('id')}".`);
+  } else {
+    id = undefined;
+  }
+
+  const quantities = {};
+  ['expected', 'min'].forEach(name => {
+    const quantity = parseQuantity(value(name) === null || value(name) === undefined ? '' : String(value(name)));
+    if (Number.isNaN(quantity)) throw new Error(`Invalid ${name} quantity "${value(name)}". Use a whole number or leave it empty.`);
+    quantities[name] = quantity;
+  });
+
+  // An empty or null value clears the schedule
+  const lastService = maintenance.parseServiceDate(value('lastService'));
+  const serviceInterval = maintenance.parseServiceInterval(value('serviceInterval'));
+
+  const attributes = { ...(current.attributes || {}) };
+  if (raw.attributes !== undefined && raw.attributes !== null) {
+    if (typeof raw.attributes !== 'object' || Array.isArray(raw.attributes)) {
+      throw new Error('Attributes must be an object of column name to value.');
+    }
+    Object.entries(raw.attributes).forEach(([name, attributeValue]) => {
+      const column = name.trim();
+      if (!column) throw new Error('Attribute names must not be empty.');
+      if (isBuiltInColumn(column)) throw new Error(`"${column}" is a built-in column, not an attribute.`);
+      if (attributeValue === null) {
+        delete attributes[column];
+      } else {
+        attributes[column] = String(attributeValue).trim();
+      }
+    });
+  }
+
+  return { id, epc, item, expected: quantities.expected, min: quantities.min, lastService, serviceInterval, attributes };
+}
+
+/**
+ * The attribute columns used by any of the items, in the order they first appear.
+ */
+function listAttributeNames(items) {
+  const names = [];
+  items.forEach(row => {
+    Object.keys(row.attributes || {}).forEach(name => {
+      if (!names.includes(name)) names.push(name);
+    });
+  });
+  return names;
+}
+
+// Quotes a CSV field if it contains a comma, quote or line break
+function formatCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats inventory items as CSV text that parseInventoryCsv() reads back.
+ * The expected and min columns and the maintenance columns are only written
+ * when an item uses them, and the attribute columns follow the built-in ones.
+ */
+function formatInventoryCsv(items) {
+  const headers = ['id', 'EPC', 'item'];
+  const hasQuantities = items.some(row => Number.isInteger(row.expected) || Number.isInteger(row.min));
+  if (hasQuantities) headers.push('expected', 'min');
+  const hasSchedules = items.some(row => row.lastService || Number.isInteger(row.serviceInterval));
+  if (hasSchedules) headers.push('last_service', 'service_interval_days');
+  const attributeNames = listAttributeNames(items);
+  const lines = items.map(row => {
+    const values = [row.id, row.epc, row.item];
+    if (hasQuantities) values.push(row.expected, row.min);
+    if (hasSchedules) values.push(row.lastService, row.serviceInterval);
+    attributeNames.forEach(name => values.push((row.attributes || {})[name]));
+    return values.map(formatCsvField).join(',');
+  });
+  return [[...headers, ...attributeNames].map(formatCsvField).join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Writes the inventory file atomically: the CSV goes to a temporary file in
+ * the same directory, which then replaces the file in one rename, so a power
+ * loss leaves either the old or the new inventory. The old file is copied to
+ * <file>.bak first. Nothing is written if the file already holds this inventory.
+ */
+function saveInventoryFile(filePath, items) {
+  const text = formatInventoryCsv(items);
+  // Saving the same inventory again must not overwrite the backup of the previous one
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === text) return;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    if (fs.existsSync(filePath)) fs.copyFileSync(filePath, filePath + InventoryCsvDefaults.BACKUP_SUFFIX);
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Formats a report as one summary line followed by one line per problem.
+ */
+function formatReport(report) {
+  const lines = [`${report.imported} of ${report.rows} row(s) imported, ${report.errors.length} error(s), ${report.warnings.length} warning(s).`];
+  report.errors.forEach(({ line, message }) => lines.push(`Error on line ${line}: ${message}`));
+  report.warnings.forEach(({ line, message }) => lines.push(`Warning on line ${line}: ${message}`));
+  return lines.join('\n');
+}
+
+module.exports = {
+  InventoryCsvDefaults,
+  formatCsvField,
+  formatInventoryCsv,
+  formatReport,
+  listAttributeNames,
+  normalizeEpc,
+  normalizeInventoryItem,
+  parseCsv,
+  parseInventoryCsv,
+  saveInventoryFile
+};
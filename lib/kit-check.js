@@ -0,0 +1,59 @@
+// kit-check.js - Is every tool of the kit in the box?
+// Inventory rows may carry an "expected" quantity for their item and an
+// optional "min" below which the item counts as short. Without "expected" the
+// kit needs every tagged tool of that item; without "min" anything below the
+// expected quantity is short. A row whose EPC is a GS1 pattern
+// (urn:epc:idpat:...) only sets the quantities of its item; the tags that
+// match it are rows of their own.
+
+const { isEpcPattern } = require('./gs1');
+
+const KitStatus = {
+  COMPLETE: 'complete', // at least the expected quantity is present
+  LOW: 'low',           // below expected, but not below min
+  SHORT: 'short'        // below min
+};
+
+/**
+ * Compares what is present against what is expected for every item name.
+ * `inventoryItems` are inventory rows ({ epc, item, expected, min }; the first
+ * row of an item that gives a quantity sets it) and `isPresent(epc)` says
+ * whether a tool is in the box. Returns
+ *   { complete, items: [{ item, expected, min, present, status, missing: [epc] }] }
+ * with the items sorted by name.
+ */
+function checkKit(inventoryItems, isPresent) {
+  const byItem = new Map();
+  inventoryItems.forEach(row => {
+    const entry = byItem.get(row.item) || { item: row.item, expected: null, min: null, tagged: 0, present: 0, missing: [] };
+    if (entry.expected === null && Number.isInteger(row.expected)) entry.expected = row.expected;
+    if (entry.min === null && Number.isInteger(row.min)) entry.min = row.min;
+    byItem.set(row.item, entry);
+    if (isEpcPattern(row.epc)) return;
+    entry.tagged++;
+    if (isPresent(row.epc)) {
+      entry.present++;
+    } else {
+      entry.missing.push(row.epc);
+    }
+  });
+
+  const items = Array.from(byItem.values()).map(entry => {
+    const expected = entry.expected === null ? entry.tagged : entry.expected;
+    const min = entry.min === null ? expected : Math.min(entry.min, expected);
+    let status = KitStatus.SHORT;
+    if (entry.present >= expected) {
+      status = KitStatus.COMPLETE;
+    } else if (entry.present >= min) {
+      status = KitStatus.LOW;
+    }
+    return { item: entry.item, expected, min, present: entry.present, status, missing: entry.missing };
+  }).sort((a, b) => a.item.localeCompare(b.item));
+
+  return { complete: items.every(entry => entry.status === KitStatus.COMPLETE), items };
+}
+
+module.exports = {
+  KitStatus,
+  checkKit
+};
@@ -0,0 +1,882 @@
+// klm900p.js - Protocol driver for the KLM900P UHF RFID reader
+// Frames the serial byte stream into packets, builds commands from the protocol
+// codes and emits decoded events, so the reader can be scripted from any Node tool.
+
+const { EventEmitter } = require('events');
+
+// --- Protocol Constants ---
+const Constants = {
+  // Framing
+  HEADER_BYTE: 0xFF,
+  MIN_PACKET_LENGTH: 5,
+  // header(1) + length(1) + command(1) + status(2) + crc(2)
+  RESPONSE_OVERHEAD: 7,
+
+  // Command Codes
+  CMD_GET_VERSION: 0x03,
+  CMD_START_APP: 0x04,
+  CMD_GET_RUNNING_STAGE: 0x0C,
+  CMD_GET_HARDWARE_INFO: 0x10,
+  CMD_RFID_INVENTORY: 0x21,
+  CMD_WRITE_TAG_EPC: 0x23,
+  CMD_WRITE_TAG_DATA: 0x24,
+  CMD_LOCK_TAG: 0x25,
+  CMD_READ_DATA_AREA: 0x28,
+  CMD_GET_READ_TX_POWER: 0x62,
+  CMD_GET_REGION: 0x67,
+  CMD_GET_PROTOCOL_PARAM: 0x6B,
+  CMD_SET_READ_TX_POWER: 0x92,
+  CMD_SET_REGION: 0x97,
+  CMD_SET_PROTOCOL_PARAM: 0x9B,
+  CMD_MULTI_TAG_INVENTORY: 0xAA,
+
+  // Gen2 protocol parameters (used with CMD_GET/SET_PROTOCOL_PARAM)
+  PROTOCOL_GEN2: 0x05,
+  GEN2_PARAM_SESSION: 0x00,
+  GEN2_PARAM_TARGET: 0x01,
+  GEN2_PARAM_Q: 0x12,
+  GEN2_Q_DYNAMIC: 0x00,
+  GEN2_Q_STATIC: 0x01,
+
+  // Gen2 memory banks
+  MEMBANK_RESERVED: 0x00,
+  MEMBANK_EPC: 0x01,
+  MEMBANK_TID: 0x02,
+  MEMBANK_USER: 0x03,
+  // The EPC itself starts after the StoredCRC and PC words of the EPC bank
+  EPC_BANK_EPC_WORD: 2,
+  // The access password occupies words 2-3 of the reserved bank
+  RESERVED_ACCESS_PASSWORD_WORD: 2,
+  // Time the reader spends looking for a tag during a single-tag operation
+  TAG_OP_TIMEOUT_MS: 1000,
+
+  // Command queue: how long to wait for a reply, and how often to resend on silence
+  REPLY_TIMEOUT_MS: 1000,
+  APP_START_TIMEOUT_MS: 2000,
+  COMMAND_RETRIES: 2,
+
+  // Vendor (0xAA) command framing: "Moduletech" + 0xAA + sub-command + params + checksum + 0xBB
+  MODULETECH_SIGNATURE: Buffer.from('Moduletech', 'ascii'),
+  MODULETECH_MARKER: 0xAA,
+  MODULETECH_END: 0xBB,
+  SUBCMD_SCAN_START: 0x48,
+  SUBCMD_SCAN_STOP: 0x49,
+  // Scan start params: option(1) + search flags(2) + timeout(2) [+ metadata flags(2)]
+  SCAN_OPTION_METADATA: 0x10,
+
+  // Tag metadata flags, in the order the fields appear in an inventory payload
+  METADATA_READ_COUNT: 0x0001,
+  METADATA_RSSI: 0x0002,
+  METADATA_ANTENNA: 0x0004,
+  METADATA_FREQUENCY: 0x0008,
+  METADATA_TIMESTAMP: 0x0010,
+  METADATA_PHASE: 0x0020,
+  METADATA_PROTOCOL: 0x0040,
+  METADATA_DATA: 0x0080,
+  METADATA_GPIO: 0x0100,
+
+  // Version block returned by CMD_GET_VERSION and a successful CMD_START_APP:
+  // bootloader version(4) + hardware version(4) + firmware date(4) + firmware version(4) + supported protocols(4)
+  VERSION_INFO_LENGTH: 20,
+  // CMD_GET_HARDWARE_INFO option(1) + field(1) selecting the serial number;
+  // the reply is option(1) + field(1) + length(1) + ASCII serial number
+  HARDWARE_INFO_SERIAL_NUMBER: 0x40,
+
+  // Firmware running stages
+  STAGE_BOOTLOADER: 0x11,
+  STAGE_APP: 0x12,
+  STAGE_UNKNOWN: 0x13,
+
+  // Status Codes
+  STATUS_SUCCESS: 0x0000,
+  // Also returned to app-start when the app firmware is already running
+  STATUS_INVALID_OPCODE: 0x0101,
+  STATUS_NO_TAG: 0x0400,
+  STATUS_MEMORY_OVERRUN: 0x0423,
+  STATUS_MEMORY_LOCKED: 0x0424,
+
+  // Inventory payload layout: option(1) + metadata flags(2) + metadata fields + PC word(2) + EPC + tag CRC(2)
+  TAG_METADATA_OFFSET: 3,
+  TAG_PC_LENGTH: 2,
+  TAG_CRC_LENGTH: 2
+};
+
+// Frequency regions accepted by CMD_SET_REGION
+const Regions = {
+  NA: 0x01,
+  EU: 0x02,
+  KR: 0x03,
+  IN: 0x04,
+  JP: 0x05,
+  PRC: 0x06,
+  EU3: 0x08,
+  KR2: 0x09,
+  AU: 0x0B,
+  NZ: 0x0C,
+  OPEN: 0xFF
+};
+
+// Gen2 inventory target values accepted by GEN2_PARAM_TARGET
+const Gen2Targets = {
+  AB: 0x0000,
+  BA: 0x0001,
+  A: 0x0100,
+  B: 0x0101
+};
+
+// Field sizes for each metadata flag, in payload order
+const MetadataFields = [
+  { flag: Constants.METADATA_READ_COUNT, name: 'readCount', length: 1, read: (b, o) => b.readUInt8(o) },
+  { flag: Constants.METADATA_RSSI, name: 'rssi', length: 1, read: (b, o) => b.readInt8(o) },
+  { flag: Constants.METADATA_ANTENNA, name: 'antenna', length: 1, read: (b, o) => b.readUInt8(o) },
+  { flag: Constants.METADATA_FREQUENCY, name: 'frequency', length: 3, read: (b, o) => b.readUIntBE(o, 3) },
+  { flag: Constants.METADATA_TIMESTAMP, name: 'readTimestamp', length: 4, read: (b, o) => b.readUInt32BE(o) },
+  { flag: Constants.METADATA_PHASE, name: 'phase', length: 2, read: (b, o) => b.readUInt16BE(o) },
+  { flag: Constants.METADATA_PROTOCOL, name: 'protocol', length: 1, read: (b, o) => b.readUInt8(o) },
+  // Embedded tag data: bit length(2) followed by the data bytes
+  { flag: Constants.METADATA_DATA, name: 'data', length: (b, o) => 2 + Math.ceil(b.readUInt16BE(o) / 8), read: (b, o) => b.slice(o + 2, o + 2 + Math.ceil(b.readUInt16BE(o) / 8)).toString('hex').toUpperCase() },
+  { flag: Constants.METADATA_GPIO, name: 'gpio', length: 1, read: (b, o) => b.readUInt8(o) }
+];
+
+// Metadata requested by default when starting a scan
+const DEFAULT_METADATA_FLAGS = Constants.METADATA_READ_COUNT | Constants.METADATA_RSSI | Constants.METADATA_ANTENNA |
+  Constants.METADATA_FREQUENCY | Constants.METADATA_PHASE;
+
+/**
+ * Parses a metadata flag list such as "rssi,antenna,count", "none" or "0x0007".
+ */
+function parseMetadataFlags(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_METADATA_FLAGS;
+  if (typeof value === 'number') return value & 0xFFFF;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'none') return 0;
+  if (/^0x[0-9a-f]+$/.test(text)) return parseInt(text, 16) & 0xFFFF;
+  const names = {
+    count: Constants.METADATA_READ_COUNT,
+    rssi: Constants.METADATA_RSSI,
+    antenna: Constants.METADATA_ANTENNA,
+    frequency: Constants.METADATA_FREQUENCY,
+    timestamp: Constants.METADATA_TIMESTAMP,
+    phase: Constants.METADATA_PHASE,
+    protocol: Constants.METADATA_PROTOCOL
+  };
+  return text.split(',').map(name => name.trim()).filter(Boolean).reduce((flags, name) => {
+    if (!(name in names)) throw new Error(`Unknown metadata field "${name}". Use one of: ${Object.keys(names).join(', ')}, none.`);
+    return flags | names[name];
+  }, 0);
+}
+
+// --- CRC-16-CCITT Implementation ---
+const MSG_CRC_INIT = 0xFFFF;
+const MSG_CCITT_CRC_POLY = 0x1021;
+
+class CRC {
+  constructor(poly_value = MSG_CCITT_CRC_POLY, init_value = MSG_CRC_INIT) {
+    this.init_value = init_value;
+    this.poly_value = poly_value;
+    this.value = 0;
+    this.reset();
+  }
+
+  reset() { this.value = this.init_value; }
+
+  crc8(v) {
+    var xorFlag = 0;
+    var bit = 0;
+    var dcdBitMask = 0x80;
+    for (let i = 0; i < 8; i++) {
+      xorFlag = this.value & 0x8000;
+      this.value = (this.value << 1) & 0xFFFF;
+      bit = ((v & dcdBitMask) === dcdBitMask);
+      this.value = this.value | bit;
+      if (xorFlag > 0) { this.value = this.value ^ this.poly_value; }
+      dcdBitMask = dcdBitMask >> 1;
+    }
+  }
+
+  calculate(data) {
+    this.reset();
+    for (const b of data) { this.crc8(b); }
+    return this.value;
+  }
+}
+
+// --- Helpers ---
+
+/**
+ * Formats a buffer as space separated upper-case hex bytes, e.g. "FF 00 04".
+ */
+function formatHex(buffer) {
+  if (!buffer || buffer.length === 0) return '';
+  return buffer.toString('hex').toUpperCase().match(/.{1,2}/g).join(' ');
+}
+
+/**
+ * Appends the CRC (calculated over everything after the header byte) to a frame.
+ */
+function appendCrc(data) {
+  const crcBuffer = Buffer.alloc(2);
+  crcBuffer.writeUInt16BE(new CRC().calculate(data.slice(1)));
+  return Buffer.concat([data, crcBuffer]);
+}
+
+/**
+ * Builds a complete outbound frame: header, length, command code, data and CRC.
+ */
+function buildFrame(commandCode, data = Buffer.alloc(0)) {
+  return appendCrc(Buffer.concat([Buffer.from([Constants.HEADER_BYTE, data.length, commandCode]), data]));
+}
+
+/**
+ * Builds the data block of a vendor (0xAA) command, including its additive checksum.
+ */
+function buildModuletechData(subCommand, params = Buffer.alloc(0)) {
+  const checked = Buffer.concat([Buffer.from([Constants.MODULETECH_MARKER, subCommand]), params]);
+  let checksum = 0;
+  for (const b of checked) { checksum = (checksum + b) & 0xFF; }
+  return Buffer.concat([
+    Constants.MODULETECH_SIGNATURE,
+    checked,
+    Buffer.from([checksum, Constants.MODULETECH_END])
+  ]);
+}
+
+/**
+ * Parses a hex string typed by a user ("ff 00 04", "0xff,0x00") into a buffer.
+ * Throws if the input is not an even-length hexadecimal string.
+ */
+function parseHexInput(input) {
+  const cleanedParts = input.trim().split(/[,\s]+/).filter(Boolean).map(part => {
+    return part.toLowerCase().startsWith('0x') ? part.substring(2) : part;
+  });
+  const finalHexString = cleanedParts.join('');
+  if (!/^[0-9a-fA-F]+$/.test(finalHexString)) {
+    throw new Error('Invalid hex input. Please enter a valid hexadecimal string.');
+  }
+  if (finalHexString.length % 2 !== 0) {
+    throw new Error('Invalid hex input. The length must be an even number.');
+  }
+  return Buffer.from(finalHexString, 'hex');
+}
+
+/**
+ * Builds an inbound (reader to host) packet: header, length, command, status, payload and CRC.
+ */
+function buildResponse(commandCode, statusCode, payload = Buffer.alloc(0)) {
+  const head = Buffer.from([Constants.HEADER_BYTE, payload.length, commandCode, 0, 0]);
+  head.writeUInt16BE(statusCode, 3);
+  return appendCrc(Buffer.concat([head, payload]));
+}
+
+// --- Command Builders ---
+const Commands = {
+  startApp: () => buildFrame(Constants.CMD_START_APP),
+  getRunningStage: () => buildFrame(Constants.CMD_GET_RUNNING_STAGE),
+  getVersion: () => buildFrame(Constants.CMD_GET_VERSION),
+  getSerialNumber: () => buildFrame(Constants.CMD_GET_HARDWARE_INFO, Buffer.from([0x00, Constants.HARDWARE_INFO_SERIAL_NUMBER])),
+  scanStart: (metadataFlags = 0) => {
+    // Without metadata this is the original 5 zero-byte parameter block
+    const params = Buffer.alloc(metadataFlags ? 7 : 5);
+    if (metadataFlags) {
+      params[0] = Constants.SCAN_OPTION_METADATA;
+      params.writeUInt16BE(metadataFlags, 5);
+    }
+    return buildFrame(Constants.CMD_MULTI_TAG_INVENTORY, buildModuletechData(Constants.SUBCMD_SCAN_START, params));
+  },
+  scanStop: () => buildFrame(Constants.CMD_MULTI_TAG_INVENTORY,
+    buildModuletechData(Constants.SUBCMD_SCAN_STOP)),
+  // RF power is carried in centi-dBm
+  getReadPower: () => buildFrame(Constants.CMD_GET_READ_TX_POWER, Buffer.from([0x00])),
+  setReadPower: (dBm) => {
+    const data = Buffer.alloc(2);
+    data.writeUInt16BE(Math.round(dBm * 100));
+    return buildFrame(Constants.CMD_SET_READ_TX_POWER, data);
+  },
+  getRegion: () => buildFrame(Constants.CMD_GET_REGION),
+  setRegion: (regionCode) => buildFrame(Constants.CMD_SET_REGION, Buffer.from([regionCode])),
+  getGen2Param: (param) => buildFrame(Constants.CMD_GET_PROTOCOL_PARAM, Buffer.from([Constants.PROTOCOL_GEN2, param])),
+  setGen2Session: (session) => buildFrame(Constants.CMD_SET_PROTOCOL_PARAM,
+    Buffer.from([Constants.PROTOCOL_GEN2, Constants.GEN2_PARAM_SESSION, session])),
+  setGen2Target: (target) => buildFrame(Constants.CMD_SET_PROTOCOL_PARAM,
+    Buffer.from([Constants.PROTOCOL_GEN2, Constants.GEN2_PARAM_TARGET, target >> 8, target & 0xFF])),
+  // --- Single-tag memory operations (act on the first tag that answers) ---
+  // timeout(2) + option(1) + bank(1) + word address(4) + word count(1) + access password(4)
+  readTagData: ({ bank, wordAddress = 0, wordCount, accessPassword = 0, timeout = Constants.TAG_OP_TIMEOUT_MS }) => {
+    const data = Buffer.alloc(13);
+    data.writeUInt16BE(timeout, 0);
+    data[2] = 0x00;
+    data[3] = bank;
+    data.writeUInt32BE(wordAddress, 4);
+    data[8] = wordCount;
+    data.writeUInt32BE(accessPassword >>> 0, 9);
+    return buildFrame(Constants.CMD_READ_DATA_AREA, data);
+  },
+  // timeout(2) + RFU(1) + EPC; the reader updates the PC word to match the EPC length
+  writeTagEpc: ({ epc, timeout = Constants.TAG_OP_TIMEOUT_MS }) => {
+    const head = Buffer.alloc(3);
+    head.writeUInt16BE(timeout, 0);
+    return buildFrame(Constants.CMD_WRITE_TAG_EPC, Buffer.concat([head, epc]));
+  },
+  // timeout(2) + option(1) + word address(4) + bank(1) + access password(4) + data
+  writeTagData: ({ bank, wordAddress, data, accessPassword = 0, timeout = Constants.TAG_OP_TIMEOUT_MS }) => {
+    const head = Buffer.alloc(12);
+    head.writeUInt16BE(timeout, 0);
+    head[2] = 0x00;
+    head.writeUInt32BE(wordAddress, 3);
+    head[7] = bank;
+    head.writeUInt32BE(accessPassword >>> 0, 8);
+    return buildFrame(Constants.CMD_WRITE_TAG_DATA, Buffer.concat([head, data]));
+  },
+  // timeout(2) + option(1) + access password(4) + mask bits(2) + action bits(2)
+  lockTag: ({ accessPassword, mask, action, timeout = Constants.TAG_OP_TIMEOUT_MS }) => {
+    const data = Buffer.alloc(11);
+    data.writeUInt16BE(timeout, 0);
+    data[2] = 0x00;
+    data.writeUInt32BE(accessPassword >>> 0, 3);
+    data.writeUInt16BE(mask, 7);
+    data.writeUInt16BE(action, 9);
+    return buildFrame(Constants.CMD_LOCK_TAG, data);
+  },
+  // q is either 'dynamic' or a static Q value from 0 to 15
+  setGen2Q: (q) => buildFrame(Constants.CMD_SET_PROTOCOL_PARAM, Buffer.from(q === 'dynamic'
+    ? [Constants.PROTOCOL_GEN2, Constants.GEN2_PARAM_Q, Constants.GEN2_Q_DYNAMIC]
+    : [Constants.PROTOCOL_GEN2, Constants.GEN2_PARAM_Q, Constants.GEN2_Q_STATIC, q])),
+  // A hand-written frame without CRC: FF <len> <cmd> <data...>
+  raw: (data) => appendCrc(data)
+};
+
+// --- Reader Driver ---
+
+/**
+ * Driver for a KLM900P reader attached to a serial port (or any object with
+ * `write(buffer, callback)` that emits 'data').
+ *
+ * Events:
+ *   'received' (chunk)          every raw inbound chunk, before framing
+ *   'frame'  (frame)            every complete inbound packet, decoded
+ *   'sent'   (packet, label)    every outbound packet as it is handed to the port
+ *   'appStart' (frame)          reply to the app-start command; a success status means the app firmware now runs
+ *   'stage'  ({ stage, frame }) reply to the running-stage query
+ *   'deviceInfo' (info)         hardware/firmware versions or serial number were decoded;
+ *             info is the merged getDeviceInfo() object
+ *   'ack'    ({ subCommand, frame }) vendor command acknowledgement
+ *   'tag'    ({ epc, rssi, antenna, readCount, ..., frame }) an EPC read by an inventory round
+ *   'setting' ({ name, value, ok, frame }) reply to a get/set reader parameter command;
+ *             name is power, region, session, target or q, value is undefined for set replies
+ *   'crcError' ({ packet, receivedCrc, calculatedCrc }) a candidate packet failed its CRC
+ *   'discarded' (bytes)         bytes skipped while looking for the next header
+ *   'malformed' ({ packet, error }) a packet passed its CRC but could not be decoded
+ *   'commandError' ({ label, error }) a queued command timed out, was refused or was dropped
+ *   'error'  (err)              write failures and malformed packets
+ *
+ * Commands go through a queue: one is on the wire at a time, and the next is
+ * only sent once the reply with the matching command code (or, for vendor
+ * commands, the matching sub-command echo) arrives or the command times out.
+ * Every command method returns a promise of the reply frame. Failures reject
+ * it with an Error whose `code` is READER_TIMEOUT, READER_STATUS or
+ * READER_DISCONNECTED and are also emitted as 'commandError', so callers that
+ * fire and forget still see them.
+ *
+ * Inbound packets are only accepted when their CRC matches. On a mismatch the
+ * header byte is discarded and the stream is rescanned for the next 0xFF, so a
+ * corrupted byte costs at most one packet instead of desynchronising the stream.
+ */
+class Klm900pReader extends EventEmitter {
+  // waitForReplies: false completes queued commands as soon as they are written
+  // (for replayed sessions, whose port never answers).
+  constructor({ port = null, debug = false, metadataFlags = DEFAULT_METADATA_FLAGS, waitForReplies = true } = {}) {
+    super();
+    this.debug = debug;
+    this.metadataFlags = metadataFlags;
+    this.waitForReplies = waitForReplies;
+    this.queue = [];
+    this.pending = null;
+    this.port = null;
+    this.packetBuffer = Buffer.alloc(0);
+    this.stats = { frames: 0, crcFailures: 0, droppedBytes: 0, malformed: 0 };
+    this.deviceInfo = {};
+    this.onPortData = (data) => this.handleData(data);
+    if (port) this.attach(port);
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  resetStats() {
+    this.stats = { frames: 0, crcFailures: 0, droppedBytes: 0, malformed: 0 };
+  }
+
+  /**
+   * What the reader reported about itself: hardwareVersion, firmwareVersion,
+   * firmwareDate, bootloaderVersion, supportedProtocols and serialNumber.
+   * Fields the reader has not reported yet are missing.
+   */
+  getDeviceInfo() {
+    return { ...this.deviceInfo };
+  }
+
+  /**
+   * Opens a serial port by path and returns a reader attached to it.
+   */
+  static open(path, baudRate, options = {}) {
+    const { SerialPort } = require('serialport');
+    const port = new SerialPort({ path, baudRate });
+    return new Klm900pReader({ ...options, port });
+  }
+
+  attach(port) {
+    this.detach();
+    this.port = port;
+    this.packetBuffer = Buffer.alloc(0);
+    // The port may now lead to a different reader
+    this.deviceInfo = {};
+    port.on('data', this.onPortData);
+  }
+
+  detach() {
+    if (this.port) {
+      this.port.removeListener('data', this.onPortData);
+      this.port = null;
+    }
+    this.dropQueuedCommands('reader disconnected');
+  }
+
+  /**
+   * Writes a packet immediately, bypassing the command queue and without
+   * waiting for a reply. Prefer the command methods, which are queued.
+   */
+  send(packet, label = 'Sending command') {
+    if (this.debug) console.log(`[DEBUG] ${label}: ${formatHex(packet)}`);
+    if (!this.port) {
+      this.emit('error', new Error('Reader is not attached to a port.'));
+      return;
+    }
+    this.port.write(packet, (err) => {
+      if (err) { this.emit('error', new Error(`Error writing to port: ${err.message}`)); }
+    });
+    this.emit('sent', packet, label);
+  }
+
+  // --- Command Queue ---
+
+  /**
+   * Queues a command and resolves with its reply frame.
+   * Options: label, timeoutMs, retries (resends after a timeout), okStatuses
+   * (reply statuses that count as success) and quiet (do not emit 'commandError').
+   */
+  request(packet, { label = 'Sending command', timeoutMs = Constants.REPLY_TIMEOUT_MS, retries = 0,
+    okStatuses = [Constants.STATUS_SUCCESS], quiet = false } = {}) {
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ packet, label, timeoutMs, retries, okStatuses, quiet, match: replyMatcher(packet), attempts: 0, timer: null, resolve, reject });
+    });
+    // Unhandled failures are still reported through 'commandError'
+    promise.catch(() => {});
+    this.sendNextCommand();
+    return promise;
+  }
+
+  sendNextCommand() {
+    if (this.pending || this.queue.length === 0) return;
+    this.pending = this.queue.shift();
+    this.transmitCommand(this.pending);
+  }
+
+  transmitCommand(command) {
+    if (!this.port) {
+      this.finishCommand(command, readerError('READER_DISCONNECTED', `${command.label} failed: reader is not connected.`));
+      return;
+    }
+    command.attempts++;
+    this.send(command.packet, command.attempts > 1 ? `${command.label} (retry ${command.attempts - 1})` : command.label);
+    if (!this.waitForReplies) {
+      this.finishCommand(command, null, null);
+      return;
+    }
+    command.timer = setTimeout(() => this.handleCommandTimeout(command), command.timeoutMs);
+  }
+
+  handleCommandTimeout(command) {
+    if (this.pending !== command) return;
+    if (command.attempts <= command.retries) {
+      if (this.debug) console.log(`[DEBUG] ${command.label}: no reply within ${command.timeoutMs} ms, resending.`);
+      this.transmitCommand(command);
+      return;
+    }
+    this.finishCommand(command, readerError('READER_TIMEOUT', `${command.label} was not acknowledged within ${command.timeoutMs} ms.`));
+  }
+
+  // Completes the command on the wire if this frame is its reply
+  matchPendingCommand(frame) {
+    const command = this.pending;
+    if (!command || !command.match(frame)) return;
+    if (command.okStatuses.includes(frame.statusCode)) {
+      this.finishCommand(command, null, frame);
+      return;
+    }
+    const err = readerError('READER_STATUS', `${command.label} failed: ${describeStatus(frame.statusCode)}.`);
+    err.readerStatus = frame.statusCode;
+    err.frame = frame;
+    this.finishCommand(command, err);
+  }
+
+  finishCommand(command, err, frame) {
+    clearTimeout(command.timer);
+    if (this.pending === command) this.pending = null;
+    if (err) {
+      if (!command.quiet) this.emit('commandError', { label: command.label, error: err });
+      command.reject(err);
+    } else {
+      command.resolve(frame);
+    }
+    this.sendNextCommand();
+  }
+
+  dropQueuedCommands(reason) {
+    const dropped = this.pending ? [this.pending, ...this.queue] : [...this.queue];
+    this.pending = null;
+    this.queue = [];
+    dropped.forEach(command => {
+      clearTimeout(command.timer);
+      const err = readerError('READER_DISCONNECTED', `${command.label} failed: ${reason}.`);
+      if (!command.quiet) this.emit('commandError', { label: command.label, error: err });
+      command.reject(err);
+    });
+  }
+
+  // --- Commands ---
+  // A reply of STATUS_INVALID_OPCODE means the app firmware was already running
+  startApp(options = {}) {
+    return this.request(Commands.startApp(), { label: 'Starting App firmware', timeoutMs: Constants.APP_START_TIMEOUT_MS,
+      okStatuses: [Constants.STATUS_SUCCESS, Constants.STATUS_INVALID_OPCODE], ...options });
+  }
+  getRunningStage() { return this.request(Commands.getRunningStage(), { label: 'Requesting current running stage', retries: Constants.COMMAND_RETRIES }); }
+  getVersion() { return this.request(Commands.getVersion(), { label: 'Requesting firmware and hardware version', retries: 1 }); }
+  getSerialNumber() { return this.request(Commands.getSerialNumber(), { label: 'Requesting serial number', retries: 1 }); }
+  startScan() { return this.request(Commands.scanStart(this.metadataFlags), { label: 'Starting continuous scan', retries: Constants.COMMAND_RETRIES }); }
+  stopScan() { return this.request(Commands.scanStop(), { label: 'Stopping continuous scan', retries: Constants.COMMAND_RETRIES }); }
+  sendRaw(data) { this.send(Commands.raw(data), 'Sending raw command'); }
+
+  // --- Reader Parameters ---
+  getReadPower() { return this.request(Commands.getReadPower(), { label: 'Reading RF power', retries: 1 }); }
+  setReadPower(dBm) { return this.request(Commands.setReadPower(dBm), { label: `Setting RF power to ${dBm} dBm`, retries: 1 }); }
+  getRegion() { return this.request(Commands.getRegion(), { label: 'Reading frequency region', retries: 1 }); }
+  setRegion(region) { return this.request(Commands.setRegion(Regions[region]), { label: `Setting frequency region to ${region}`, retries: 1 }); }
+  getGen2Session() { return this.request(Commands.getGen2Param(Constants.GEN2_PARAM_SESSION), { label: 'Reading Gen2 session', retries: 1 }); }
+  setGen2Session(session) { return this.request(Commands.setGen2Session(session), { label: `Setting Gen2 session to S${session}`, retries: 1 }); }
+  getGen2Target() { return this.request(Commands.getGen2Param(Constants.GEN2_PARAM_TARGET), { label: 'Reading Gen2 target', retries: 1 }); }
+  setGen2Target(target) { return this.request(Commands.setGen2Target(Gen2Targets[target]), { label: `Setting Gen2 target to ${target}`, retries: 1 }); }
+  getGen2Q() { return this.request(Commands.getGen2Param(Constants.GEN2_PARAM_Q), { label: 'Reading Gen2 Q', retries: 1 }); }
+  setGen2Q(q) { return this.request(Commands.setGen2Q(q), { label: `Setting Gen2 Q to ${q}`, retries: 1 }); }
+
+  // --- Framing ---
+  handleData(data) {
+    this.emit('received', data);
+    this.packetBuffer = Buffer.concat([this.packetBuffer, data]);
+    while (this.packetBuffer.length >= Constants.MIN_PACKET_LENGTH) {
+      if (this.packetBuffer[0] !== Constants.HEADER_BYTE) {
+        this.discardUntilHeader();
+        continue;
+      }
+      const totalPacketLength = Constants.RESPONSE_OVERHEAD + this.packetBuffer.readUInt8(1);
+      if (this.packetBuffer.length < totalPacketLength) { break; }
+      const packet = this.packetBuffer.slice(0, totalPacketLength);
+
+      if (!hasValidCrc(packet)) {
+        this.stats.crcFailures++;
+        this.stats.droppedBytes++;
+        if (this.debug) console.log(`[DEBUG] CRC check failed, resynchronising: ${formatHex(packet)}`);
+        this.emit('crcError', {
+          packet,
+          receivedCrc: packet.readUInt16BE(packet.length - 2),
+          calculatedCrc: new CRC().calculate(packet.slice(1, packet.length - 2))
+        });
+        // The 0xFF may have been noise; rescan from the byte after it
+        this.packetBuffer = this.packetBuffer.slice(1);
+        continue;
+      }
+
+      this.packetBuffer = this.packetBuffer.slice(totalPacketLength);
+      this.stats.frames++;
+      try {
+        this.handleFrame(decodeFrame(packet));
+      } catch (e) {
+        this.stats.malformed++;
+        this.emit('malformed', { packet, error: e });
+        this.emit('error', new Error(`Dropping malformed packet ${formatHex(packet)}: ${e.message}`));
+      }
+    }
+  }
+
+  discardUntilHeader() {
+    let nextHeader = this.packetBuffer.indexOf(Constants.HEADER_BYTE);
+    if (nextHeader === -1) nextHeader = this.packetBuffer.length;
+    this.stats.droppedBytes += nextHeader;
+    if (this.debug) console.log(`[DEBUG] Discarding ${nextHeader} byte(s) before next header: ${formatHex(this.packetBuffer.slice(0, nextHeader))}`);
+    this.emit('discarded', this.packetBuffer.slice(0, nextHeader));
+    this.packetBuffer = this.packetBuffer.slice(nextHeader);
+  }
+
+  handleFrame(frame) {
+    if (this.debug) {
+      console.log(`[DEBUG] Received Raw Packet: ${formatHex(frame.raw)}`);
+      console.log(`[DEBUG] Command: 0x${frame.commandCode.toString(16).toUpperCase()}, Status: 0x${frame.statusCode.toString(16).toUpperCase()}`);
+    }
+    this.emit('frame', frame);
+    this.matchPendingCommand(frame);
+
+    if (frame.commandCode === Constants.CMD_START_APP || frame.commandCode === Constants.CMD_GET_VERSION) {
+      if (frame.statusCode === Constants.STATUS_SUCCESS) {
+        const version = decodeVersionInfo(frame.payload);
+        if (version) this.updateDeviceInfo(version);
+      }
+      if (frame.commandCode === Constants.CMD_START_APP) this.emit('appStart', frame);
+    } else if (frame.commandCode === Constants.CMD_GET_HARDWARE_INFO) {
+      const serialNumber = frame.statusCode === Constants.STATUS_SUCCESS ? decodeSerialNumber(frame.payload) : null;
+      if (serialNumber) this.updateDeviceInfo({ serialNumber });
+    } else if (frame.commandCode === Constants.CMD_GET_RUNNING_STAGE) {
+      this.emit('stage', { stage: frame.payload[0], frame });
+    } else if (SettingCommands.has(frame.commandCode)) {
+      const setting = decodeSetting(frame);
+      if (setting) this.emit('setting', { ...setting, frame });
+    } else if (frame.commandCode === Constants.CMD_RFID_INVENTORY || frame.commandCode === Constants.CMD_MULTI_TAG_INVENTORY) {
+      if (isModuletechReply(frame.payload)) {
+        const subCommand = frame.payload[Constants.MODULETECH_SIGNATURE.length + 1];
+        this.emit('ack', { subCommand, frame });
+      } else if (frame.statusCode === Constants.STATUS_SUCCESS) {
+        const tag = decodeTag(frame.payload);
+        if (tag) this.emit('tag', { ...tag, frame });
+      }
+    }
+  }
+
+  updateDeviceInfo(fields) {
+    Object.assign(this.deviceInfo, fields);
+    if (this.debug) console.log(`[DEBUG] Device info: ${JSON.stringify(this.deviceInfo)}`);
+    this.emit('deviceInfo', this.getDeviceInfo());
+  }
+}
+
+// --- Decoders ---
+
+// Formats 4 version bytes as "A4.00.03.00"
+function formatVersion(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join('.');
+}
+
+/**
+ * Decodes the 20-byte version block into { bootloaderVersion, hardwareVersion,
+ * firmwareDate, firmwareVersion, supportedProtocols }, or null if it is too short.
+ * The firmware date is BCD (20 22 05 23 -> "2022-05-23").
+ */
+function decodeVersionInfo(payload) {
+  if (!payload || payload.length < Constants.VERSION_INFO_LENGTH) return null;
+  const date = payload.slice(8, 12).toString('hex');
+  return {
+    bootloaderVersion: formatVersion(payload.slice(0, 4)),
+    hardwareVersion: formatVersion(payload.slice(4, 8)),
+    firmwareDate: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`,
+    firmwareVersion: formatVersion(payload.slice(12, 16)),
+    supportedProtocols: payload.readUInt32BE(16)
+  };
+}
+
+/**
+ * Decodes the serial number reply: option(1) + field(1) + length(1) + ASCII.
+ */
+function decodeSerialNumber(payload) {
+  if (!payload || payload.length < 3 || payload[1] !== Constants.HARDWARE_INFO_SERIAL_NUMBER) return null;
+  const length = Math.min(payload[2], payload.length - 3);
+  const serialNumber = payload.slice(3, 3 + length).toString('ascii').replace(/\0+$/, '').trim();
+  return serialNumber || null;
+}
+
+/**
+ * Splits a complete inbound packet into its fields.
+ */
+function decodeFrame(packet) {
+  const dataLength = packet[1];
+  const payloadStartIndex = 5;
+  const payloadEndIndex = payloadStartIndex + dataLength;
+  return {
+    raw: packet,
+    dataLength,
+    commandCode: packet[2],
+    statusCode: packet.readUInt16BE(3),
+    payload: packet.slice(payloadStartIndex, payloadEndIndex),
+    crc: packet.readUInt16BE(payloadEndIndex)
+  };
+}
+
+const SettingCommands = new Set([
+  Constants.CMD_GET_READ_TX_POWER, Constants.CMD_SET_READ_TX_POWER,
+  Constants.CMD_GET_REGION, Constants.CMD_SET_REGION,
+  Constants.CMD_GET_PROTOCOL_PARAM, Constants.CMD_SET_PROTOCOL_PARAM
+]);
+
+const Gen2ParamNames = {
+  [Constants.GEN2_PARAM_SESSION]: 'session',
+  [Constants.GEN2_PARAM_TARGET]: 'target',
+  [Constants.GEN2_PARAM_Q]: 'q'
+};
+
+function nameOf(table, code) {
+  const entry = Object.entries(table).find(([, value]) => value === code);
+  return entry ? entry[0] : `0x${code.toString(16).toUpperCase()}`;
+}
+
+/**
+ * Decodes the reply to a reader parameter command into { name, value, ok }.
+ * Set replies carry no value; protocol parameter set replies cannot be
+ * attributed to one parameter and are reported with name 'gen2'.
+ */
+function decodeSetting(frame) {
+  const ok = frame.statusCode === Constants.STATUS_SUCCESS;
+  const payload = frame.payload;
+  switch (frame.commandCode) {
+    case Constants.CMD_SET_READ_TX_POWER:
+      return { name: 'power', ok };
+    case Constants.CMD_SET_REGION:
+      return { name: 'region', ok };
+    case Constants.CMD_SET_PROTOCOL_PARAM:
+      return { name: 'gen2', ok };
+    case Constants.CMD_GET_READ_TX_POWER:
+      // option(1) + power in centi-dBm(2)
+      return { name: 'power', ok, value: ok && payload.length >= 3 ? payload.readUInt16BE(1) / 100 : undefined };
+    case Constants.CMD_GET_REGION:
+      return { name: 'region', ok, value: ok && payload.length >= 1 ? nameOf(Regions, payload[0]) : undefined };
+    case Constants.CMD_GET_PROTOCOL_PARAM: {
+      // protocol(1) + parameter(1) + value
+      if (!ok || payload.length < 3) return { name: 'gen2', ok };
+      const name = Gen2ParamNames[payload[1]] || 'gen2';
+      let value;
+      if (payload[1] === Constants.GEN2_PARAM_SESSION) {
+        value = payload[2];
+      } else if (payload[1] === Constants.GEN2_PARAM_TARGET && payload.length >= 4) {
+        value = nameOf(Gen2Targets, payload.readUInt16BE(2));
+      } else if (payload[1] === Constants.GEN2_PARAM_Q) {
+        value = payload[2] === Constants.GEN2_Q_STATIC && payload.length >= 4 ? payload[3] : 'dynamic';
+      }
+      return { name, ok, value };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks the trailing CRC of a complete packet against its contents.
+ */
+function hasValidCrc(packet) {
+  const receivedCrc = packet.readUInt16BE(packet.length - 2);
+  return new CRC().calculate(packet.slice(1, packet.length - 2)) === receivedCrc;
+}
+
+/**
+ * Returns a predicate recognising the reply to an outbound packet: the same
+ * command code, and for vendor commands the echo of the same sub-command
+ * (inventory frames share the vendor command code).
+ */
+function replyMatcher(packet) {
+  const commandCode = packet[2];
+  const data = packet.slice(3, packet.length - 2);
+  if (commandCode === Constants.CMD_MULTI_TAG_INVENTORY && isModuletechReply(data)) {
+    const subCommand = data[Constants.MODULETECH_SIGNATURE.length + 1];
+    return (frame) => frame.commandCode === commandCode && isModuletechReply(frame.payload) &&
+      frame.payload[Constants.MODULETECH_SIGNATURE.length + 1] === subCommand;
+  }
+  return (frame) => frame.commandCode === commandCode;
+}
+
+/**
+ * Names a command code after its constant, e.g. 0x0C -> "GET_RUNNING_STAGE", or "0x99" if unknown.
+ */
+function describeCommand(commandCode) {
+  const entry = Object.entries(Constants).find(([key, value]) => key.startsWith('CMD_') && value === commandCode);
+  return entry ? entry[0].slice('CMD_'.length) : `0x${commandCode.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+const StatusDescriptions = {
+  [Constants.STATUS_INVALID_OPCODE]: 'command not supported in the current firmware stage',
+  [Constants.STATUS_NO_TAG]: 'no tag found',
+  [Constants.STATUS_MEMORY_OVERRUN]: 'address is outside the tag memory',
+  [Constants.STATUS_MEMORY_LOCKED]: 'tag memory is locked or the access password is wrong'
+};
+
+/**
+ * Describes a reply status code for error messages, e.g. "no tag found" or "status 0x0423".
+ */
+function describeStatus(statusCode) {
+  return StatusDescriptions[statusCode] || `status 0x${statusCode.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function readerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * True if a frame payload is a vendor (0xAA) command echo rather than a tag read.
+ */
+function isModuletechReply(payload) {
+  const signature = Constants.MODULETECH_SIGNATURE;
+  return payload.length >= signature.length && payload.slice(0, signature.length).equals(signature);
+}
+
+/**
+ * Decodes an inventory payload into the EPC and whichever metadata fields the
+ * flags announce (readCount, rssi in dBm, antenna, frequency in kHz, phase, ...).
+ * Returns null when there is no EPC.
+ */
+function decodeTag(payload) {
+  if (payload.length < Constants.TAG_METADATA_OFFSET) return null;
+  const option = payload[0];
+  const metadataFlags = payload.readUInt16BE(1);
+  const tag = { option, metadataFlags };
+
+  let offset = Constants.TAG_METADATA_OFFSET;
+  for (const field of MetadataFields) {
+    if (!(metadataFlags & field.flag)) continue;
+    const length = typeof field.length === 'function' ? field.length(payload, offset) : field.length;
+    if (offset + length > payload.length) {
+      throw new Error(`Metadata field ${field.name} runs past the end of the payload.`);
+    }
+    tag[field.name] = field.read(payload, offset);
+    offset += length;
+  }
+
+  const pcEnd = offset + Constants.TAG_PC_LENGTH;
+  const epcData = payload.slice(pcEnd, payload.length - Constants.TAG_CRC_LENGTH);
+  if (epcData.length === 0) return null;
+  tag.pc = payload.readUInt16BE(offset);
+  tag.epc = epcData.toString('hex').toUpperCase();
+  if (tag.readCount === undefined) tag.readCount = 1;
+  return tag;
+}
+
+module.exports = {
+  Constants,
+  DEFAULT_METADATA_FLAGS,
+  Gen2Targets,
+  Regions,
+  CRC,
+  Commands,
+  Klm900pReader,
+  appendCrc,
+  buildFrame,
+  buildModuletechData,
+  buildResponse,
+  decodeFrame,
+  decodeSerialNumber,
+  decodeSetting,
+  decodeTag,
+  decodeVersionInfo,
+  describeCommand,
+  describeStatus,
+  formatHex,
+  hasValidCrc,
+  isModuletechReply,
+  parseHexInput,
+  parseMetadataFlags
+};
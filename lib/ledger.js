@@ -0,0 +1,159 @@
+// ledger.js - Who took which tool
+// People carry badge tags listed in a users CSV (columns "badge" and "name").
+// When a tool leaves the box, the badge read most recently around that time is
+// recorded as the borrower. The ledger is a JSON Lines file that is only ever
+// appended to, so it survives restarts:
+//   {"type":"checkout","epc":"E280...","item":"multimeter","badge":"3000...","user":"Alice","timestamp":"...","detectedAt":"..."}
+//   {"type":"return","epc":"E280...","timestamp":"..."}
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./inventory-csv');
+
+const LedgerDefaults = {
+  USERS_FILE_PATH: path.join(__dirname, '..', 'work', 'users.csv'),
+  FILE_PATH: path.join(__dirname, '..', 'work', 'ledger.jsonl'),
+  // How long before a tool was last seen a badge read still counts as the borrower's
+  BADGE_WINDOW_MS: 60000,
+  // A badge and a tool taken together can be read in either order within one reader round
+  BADGE_LATE_MS: 2000
+};
+
+/**
+ * Reads the users CSV into a Map of badge EPC -> { badge, name }. A missing
+ * file gives an empty map; a file without "badge" and "name" columns throws.
+ */
+function loadUsers(filePath) {
+  const users = new Map();
+  if (!fs.existsSync(filePath)) return users;
+  const rows = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  if (rows.length === 0) return users;
+  const headers = rows[0].fields.map(header => header.trim().toLowerCase());
+  const badgeIndex = headers.indexOf('badge');
+  const nameIndex = headers.indexOf('name');
+  if (badgeIndex === -1 || nameIndex === -1) {
+    throw new Error(`${filePath} must have "badge" and "name" columns.`);
+  }
+  rows.slice(1).forEach(({ fields }) => {
+    const badge = (fields[badgeIndex] || '').trim().toUpperCase();
+    const name = (fields[nameIndex] || '').trim();
+    if (badge && name) users.set(badge, { badge, name });
+  });
+  return users;
+}
+
+/**
+ * Events:
+ *   'change' ()   a checkout or return was recorded
+ */
+class CheckoutLedger extends EventEmitter {
+  constructor(filePath, { badgeWindowMs = LedgerDefaults.BADGE_WINDOW_MS } = {}) {
+    super();
+    this.filePath = filePath;
+    this.badgeWindowMs = badgeWindowMs;
+    this.records = []; // checkouts, oldest first, with returnedAt once returned
+    this.open = new Map(); // EPC -> its checkout record that has not been returned
+    this.lastBadgeRead = null; // { badge, user, time }
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    fs.readFileSync(this.filePath, 'utf8').split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // A line cut short by a power loss should not hide the rest of the ledger
+        console.error(`⚠️  Skipping invalid ledger line ${index + 1} in ${this.filePath}: ${e.message}`);
+        return;
+      }
+      this.apply(entry);
+    });
+  }
+
+  apply(entry) {
+    if (entry.type === 'checkout') {
+      const record = { ...entry, returnedAt: null };
+      delete record.type;
+      this.records.push(record);
+      this.open.set(entry.epc, record);
+    } else if (entry.type === 'return') {
+      const record = this.open.get(entry.epc);
+      if (record) record.returnedAt = entry.timestamp;
+      this.open.delete(entry.epc);
+    }
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+    this.apply(entry);
+    this.emit('change');
+  }
+
+  /**
+   * Notes that a user's badge was read.
+   */
+  recordBadge(user, time = Date.now()) {
+    this.lastBadgeRead = { badge: user.badge, user: user.name, time };
+  }
+
+  /**
+   * Records a tool leaving the box. `event` is a presence 'checked_out' event
+   * ({ epc, timestamp, lastSeen }). Returns the record; its user is null when
+   * no badge was read within the badge window before the tool was last seen.
+   * A badge read after that (someone who came by once the tool was already
+   * gone) is not the borrower.
+   */
+  recordCheckout(event, item = null) {
+    const takenAt = Date.parse(event.lastSeen || event.timestamp);
+    const badgeRead = this.lastBadgeRead;
+    const badge = badgeRead && badgeRead.time >= takenAt - this.badgeWindowMs &&
+      badgeRead.time <= takenAt + LedgerDefaults.BADGE_LATE_MS ? badgeRead : null;
+    this.append({
+      type: 'checkout',
+      epc: event.epc,
+      item,
+      badge: badge ? badge.badge : null,
+      user: badge ? badge.user : null,
+      timestamp: new Date(takenAt).toISOString(),
+      detectedAt: event.timestamp
+    });
+    return this.open.get(event.epc);
+  }
+
+  /**
+   * Closes the open checkout of a tool that is back in the box, if there is one.
+   */
+  recordReturn(event) {
+    if (!this.open.has(event.epc)) return null;
+    const record = this.open.get(event.epc);
+    this.append({ type: 'return', epc: event.epc, timestamp: event.timestamp });
+    return record;
+  }
+
+  /**
+   * Tools that are out, as checkout records ({ epc, item, badge, user, timestamp, ... }).
+   */
+  getCheckouts() {
+    return Array.from(this.open.values());
+  }
+
+  /**
+   * Checkout records, newest first, optionally only for one user name or one tool EPC.
+   */
+  getHistory({ user, epc } = {}) {
+    return this.records
+      .filter(record => (!user || record.user === user) && (!epc || record.epc === epc))
+      .slice()
+      .reverse();
+  }
+}
+
+module.exports = {
+  CheckoutLedger,
+  LedgerDefaults,
+  loadUsers
+};
@@ -0,0 +1,125 @@
+// maintenance.js - Service and calibration due dates of tools
+// An inventory row may give the date a tool was last serviced or calibrated
+// (lastService, YYYY-MM-DD) and how many days that holds (serviceInterval).
+// The tool is due that many days after its last service; it counts as due
+// soon within the warning window before that and as overdue after it.
+// Schedules belong to single tags, so GS1 pattern rows have none.
+
+const { isEpcPattern } = require('./gs1');
+
+const MaintenanceDefaults = {
+  // Days before the due date from which a tool is reported as due soon
+  DUE_SOON_DAYS: 14
+};
+
+const MaintenanceStatus = {
+  OK: 'ok',
+  DUE_SOON: 'due_soon',
+  OVERDUE: 'overdue',
+  UNKNOWN: 'unknown' // an interval but no last service date
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates a last service date cell and returns it as YYYY-MM-DD, or
+ * undefined when it is empty. Throws an Error if it is not a valid date.
+ */
+function parseServiceDate(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') return undefined;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text) {
+    throw new Error(`Invalid last service date "${text}"; use YYYY-MM-DD.`);
+  }
+  return text;
+}
+
+/**
+ * Validates a service interval cell (whole days, at least 1) and returns it
+ * as a number, or undefined when it is empty. Throws an Error otherwise.
+ */
+function parseServiceInterval(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') return undefined;
+  if (!/^\d+$/.test(text) || parseInt(text, 10) === 0) {
+    throw new Error(`Invalid service interval "${text}"; use a whole number of days.`);
+  }
+  return parseInt(text, 10);
+}
+
+// Midnight UTC of the day `time` falls on
+function startOfDay(time) {
+  return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+/**
+ * The schedule of one inventory row ({ epc, item, lastService, serviceInterval }):
+ *   { epc, id, item, lastService, serviceInterval, dueDate, daysLeft, status }
+ * or null if the row has no service interval. daysLeft is negative once overdue.
+ */
+function checkSchedule(row, { now = Date.now(), dueSoonDays = MaintenanceDefaults.DUE_SOON_DAYS } = {}) {
+  if (!Number.isInteger(row.serviceInterval) || isEpcPattern(row.epc)) return null;
+  const entry = {
+    epc: row.epc, id: row.id, item: row.item, lastService: row.lastService || null, serviceInterval: row.serviceInterval,
+    dueDate: null, daysLeft: null, status: MaintenanceStatus.UNKNOWN
+  };
+  if (!row.lastService) return entry;
+
+  const due = Date.parse(`${row.lastService}T00:00:00Z`) + row.serviceInterval * DAY_MS;
+  entry.dueDate = new Date(due).toISOString().slice(0, 10);
+  entry.daysLeft = Math.round((due - startOfDay(now)) / DAY_MS);
+  if (entry.daysLeft < 0) {
+    entry.status = MaintenanceStatus.OVERDUE;
+  } else if (entry.daysLeft <= dueSoonDays) {
+    entry.status = MaintenanceStatus.DUE_SOON;
+  } else {
+    entry.status = MaintenanceStatus.OK;
+  }
+  return entry;
+}
+
+/**
+ * Checks the schedules of all inventory rows. Returns
+ *   { overdue, dueSoon, unknown, items: [entry] }
+ * with counts per status and the scheduled tools, the soonest due first
+ * (tools without a last service date lead, as nobody knows when they are due).
+ */
+function checkSchedules(inventoryItems, options = {}) {
+  const items = inventoryItems.map(row => checkSchedule(row, options)).filter(entry => entry !== null)
+    .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || '') || a.item.localeCompare(b.item));
+  const count = (status) => items.filter(entry => entry.status === status).length;
+  return {
+    overdue: count(MaintenanceStatus.OVERDUE),
+    dueSoon: count(MaintenanceStatus.DUE_SOON),
+    unknown: count(MaintenanceStatus.UNKNOWN),
+    items
+  };
+}
+
+/**
+ * A short description of a schedule entry for logs, e.g. "overdue, was
+ * due 2026-09-30" or "due 2026-11-02 (in 14 days)".
+ */
+function describeSchedule(entry) {
+  switch (entry.status) {
+    case MaintenanceStatus.OVERDUE:
+      return `overdue, was due ${entry.dueDate}`;
+    case MaintenanceStatus.UNKNOWN:
+      return `due every ${entry.serviceInterval} days, no last service date`;
+    default:
+      if (entry.daysLeft === 0) return `due today (${entry.dueDate})`;
+      return `due ${entry.dueDate} (in ${entry.daysLeft} day${entry.daysLeft === 1 ? '' : 's'})`;
+  }
+}
+
+module.exports = {
+  MaintenanceDefaults,
+  MaintenanceStatus,
+  checkSchedule,
+  checkSchedules,
+  describeSchedule,
+  parseServiceDate,
+  parseServiceInterval
+};
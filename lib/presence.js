@@ -0,0 +1,146 @@
+// presence.js - Debounced in-box / out-of-box state for every tracked EPC
+// A single missed refresh period must not make a tool look gone, and a single
+// stray read must not make it look back. A tag becomes present after
+// `minReadCount` reads and missing once it has not been read for
+// `absenceTimeoutMs`. Tools that move between those two states produce
+// 'checked_out' and 'returned' events.
+
+const { EventEmitter } = require('events');
+
+const PresenceDefaults = {
+  ABSENCE_TIMEOUT_MS: 30000,
+  MIN_READ_COUNT: 2,
+  STATE_UNKNOWN: 'unknown',
+  STATE_PRESENT: 'present',
+  STATE_MISSING: 'missing'
+};
+
+/**
+ * Events:
+ *   'change'      (state)                                   an EPC changed state; state as in getState()
+ *   'checked_out' ({ epc, timestamp, lastSeen, location })  a present tool has not been read for the absence timeout
+ *   'returned'    ({ epc, timestamp, lastSeen, location })  a missing tool was read again
+ *
+ * Tags that have never been read start as unknown and become missing without
+ * a 'checked_out' event, since nobody saw them leave. The absence clock only
+ * runs while the caller keeps calling evaluate(); call restartClock() when
+ * scanning resumes so a pause does not count as absence.
+ */
+class PresenceTracker extends EventEmitter {
+  constructor({ absenceTimeoutMs = PresenceDefaults.ABSENCE_TIMEOUT_MS, minReadCount = PresenceDefaults.MIN_READ_COUNT, now = Date.now } = {}) {
+    super();
+    this.absenceTimeoutMs = absenceTimeoutMs;
+    this.minReadCount = minReadCount;
+    this.now = now;
+    this.clockStart = now();
+    this.entries = new Map();
+  }
+
+  /**
+   * Starts tracking an EPC (e.g. an inventory item) before it is first read.
+   */
+  track(epc) {
+    if (!this.entries.has(epc)) this.entries.set(epc, this.createEntry(epc));
+  }
+
+  /**
+   * Stops tracking an EPC, e.g. one removed from the inventory, without an
+   * event. Returns whether it was tracked.
+   */
+  untrack(epc) {
+    return this.entries.delete(epc);
+  }
+
+  createEntry(epc) {
+    return { epc, state: PresenceDefaults.STATE_UNKNOWN, since: null, lastSeen: null, location: null, pendingReads: 0 };
+  }
+
+  /**
+   * Counts `count` reads of an EPC and marks it present once enough have been seen.
+   */
+  recordRead(epc, { count = 1, location = null } = {}) {
+    const now = this.now();
+    let entry = this.entries.get(epc);
+    if (!entry) {
+      entry = this.createEntry(epc);
+      this.entries.set(epc, entry);
+    }
+    // Reads further apart than the absence timeout do not add up
+    if (entry.lastSeen !== null && now - entry.lastSeen > this.absenceTimeoutMs) entry.pendingReads = 0;
+    entry.lastSeen = now;
+    if (location) entry.location = location;
+    if (entry.state === PresenceDefaults.STATE_PRESENT) return;
+
+    entry.pendingReads += count;
+    if (entry.pendingReads < this.minReadCount) return;
+    const wasMissing = entry.state === PresenceDefaults.STATE_MISSING;
+    this.setState(entry, PresenceDefaults.STATE_PRESENT, now);
+    if (wasMissing) this.emit('returned', this.describeEvent(entry, now));
+  }
+
+  /**
+   * Marks tags that have not been read for the absence timeout as missing.
+   */
+  evaluate() {
+    const now = this.now();
+    this.entries.forEach(entry => {
+      if (entry.state === PresenceDefaults.STATE_MISSING) return;
+      const lastActivity = Math.max(entry.lastSeen || 0, this.clockStart);
+      if (now - lastActivity < this.absenceTimeoutMs) return;
+      const wasPresent = entry.state === PresenceDefaults.STATE_PRESENT;
+      this.setState(entry, PresenceDefaults.STATE_MISSING, now);
+      if (wasPresent) this.emit('checked_out', this.describeEvent(entry, now));
+    });
+  }
+
+  /**
+   * Restarts the absence timeout for every tag, e.g. after scanning was paused.
+   */
+  restartClock() {
+    this.clockStart = this.now();
+  }
+
+  setState(entry, state, now) {
+    entry.state = state;
+    entry.since = now;
+    entry.pendingReads = 0;
+    this.emit('change', this.toState(entry));
+  }
+
+  describeEvent(entry, now) {
+    return {
+      epc: entry.epc,
+      timestamp: new Date(now).toISOString(),
+      lastSeen: entry.lastSeen === null ? null : new Date(entry.lastSeen).toISOString(),
+      location: entry.location
+    };
+  }
+
+  toState(entry) {
+    return {
+      epc: entry.epc,
+      state: entry.state,
+      since: entry.since === null ? null : new Date(entry.since).toISOString(),
+      lastSeen: entry.lastSeen === null ? null : new Date(entry.lastSeen).toISOString(),
+      location: entry.location
+    };
+  }
+
+  /**
+   * The state of one EPC as { epc, state, since, lastSeen, location } (ISO
+   * timestamps), or null if it is not tracked.
+   */
+  getState(epc) {
+    const entry = this.entries.get(epc);
+    return entry ? this.toState(entry) : null;
+  }
+
+  getStates() {
+    return Array.from(this.entries.values()).map(entry => this.toState(entry));
+  }
+}
+
+module.exports = {
+  PresenceDefaults,
+  PresenceTracker
+};
@@ -0,0 +1,111 @@
+// reader-config.js - Persistent reader parameters (RF power, region, Gen2 session/target/Q)
+// Settings live in a small JSON file so they survive restarts. A setting that
+// is left out (or null) is not sent to the reader, which keeps its own value.
+
+const fs = require('fs');
+const path = require('path');
+const { Regions, Gen2Targets } = require('./klm900p');
+
+const ReaderConfigDefaults = {
+  FILE_PATH: path.join(__dirname, '..', 'work', 'reader-config.json'),
+  MIN_POWER_DBM: 0,
+  MAX_POWER_DBM: 33,
+  SETTINGS: ['power', 'region', 'session', 'target', 'q']
+};
+
+function isUnset(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Validates raw settings (from a file, the command line or the web app) and
+ * returns a normalised copy. Throws an Error describing the first invalid value.
+ */
+function normalizeReaderConfig(raw = {}) {
+  const config = {};
+
+  if (!isUnset(raw.power)) {
+    const power = Number(raw.power);
+    if (!Number.isFinite(power) || power < ReaderConfigDefaults.MIN_POWER_DBM || power > ReaderConfigDefaults.MAX_POWER_DBM) {
+      throw new Error(`RF power must be between ${ReaderConfigDefaults.MIN_POWER_DBM} and ${ReaderConfigDefaults.MAX_POWER_DBM} dBm.`);
+    }
+    config.power = Math.round(power * 100) / 100;
+  }
+
+  if (!isUnset(raw.region)) {
+    const region = String(raw.region).toUpperCase();
+    if (!(region in Regions)) {
+      throw new Error(`Unknown region "${raw.region}". Use one of: ${Object.keys(Regions).join(', ')}.`);
+    }
+    config.region = region;
+  }
+
+  if (!isUnset(raw.session)) {
+    const session = Number(String(raw.session).toUpperCase().replace(/^S/, ''));
+    if (!Number.isInteger(session) || session < 0 || session > 3) {
+      throw new Error('Gen2 session must be S0, S1, S2 or S3.');
+    }
+    config.session = session;
+  }
+
+  if (!isUnset(raw.target)) {
+    const target = String(raw.target).toUpperCase();
+    if (!(target in Gen2Targets)) {
+      throw new Error(`Unknown Gen2 target "${raw.target}". Use one of: ${Object.keys(Gen2Targets).join(', ')}.`);
+    }
+    config.target = target;
+  }
+
+  if (!isUnset(raw.q)) {
+    if (String(raw.q).toLowerCase() === 'dynamic') {
+      config.q = 'dynamic';
+    } else {
+      const q = Number(raw.q);
+      if (!Number.isInteger(q) || q < 0 || q > 15) {
+        throw new Error('Gen2 Q must be "dynamic" or a whole number from 0 to 15.');
+      }
+      config.q = q;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Reads and validates the config file. A missing file is an empty config.
+ */
+function loadReaderConfig(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return normalizeReaderConfig(raw);
+}
+
+function saveReaderConfig(filePath, config) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Sends every configured setting to the reader, followed by read-back queries
+ * so the reader's 'setting' events report the values it actually uses.
+ * The reader must not be scanning while its parameters are changed.
+ * Resolves once every command is answered; rejects with the first failure.
+ */
+function applyReaderConfig(reader, config) {
+  const commands = [];
+  if (config.region !== undefined) commands.push(reader.setRegion(config.region));
+  if (config.power !== undefined) commands.push(reader.setReadPower(config.power));
+  if (config.session !== undefined) commands.push(reader.setGen2Session(config.session));
+  if (config.target !== undefined) commands.push(reader.setGen2Target(config.target));
+  if (config.q !== undefined) commands.push(reader.setGen2Q(config.q));
+  commands.push(reader.getRegion(), reader.getReadPower(), reader.getGen2Session(), reader.getGen2Target(), reader.getGen2Q());
+  return Promise.all(commands);
+}
+
+module.exports = {
+  ReaderConfigDefaults,
+  applyReaderConfig,
+  loadReaderConfig,
+  normalizeReaderConfig,
+  saveReaderConfig
+};
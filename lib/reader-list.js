@@ -0,0 +1,60 @@
+// reader-list.js - The readers served by one server instance
+// Bigger cabinets have one reader per drawer. They are listed in a JSON file:
+//   {
+//     "readers": [
+//       { "name": "drawer1", "location": "Top drawer", "port": "/dev/ttyUSB0" },
+//       { "name": "drawer2", "location": "Bottom drawer", "port": "/dev/ttyUSB1", "baudRate": 115200 }
+//     ]
+//   }
+// "simEpcs" (a CSV path or comma separated EPC list) sets the tags a reader
+// reports when the server runs with --simulate.
+
+const fs = require('fs');
+
+const ReaderListDefaults = {
+  NAME_PATTERN: /^[A-Za-z0-9_-]+$/
+};
+
+/**
+ * Validates the parsed reader list file and returns the reader definitions
+ * as [{ name, location, port, baudRate, simEpcs }]. Throws an Error describing
+ * the first invalid entry.
+ */
+function normalizeReaderList(raw, { defaultBaudRate }) {
+  const entries = raw && Array.isArray(raw.readers) ? raw.readers : null;
+  if (!entries || entries.length === 0) {
+    throw new Error('The reader list must have a non-empty "readers" array.');
+  }
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const name = String(entry.name || '').trim();
+    if (!ReaderListDefaults.NAME_PATTERN.test(name)) {
+      throw new Error(`Reader ${index + 1} needs a "name" made of letters, digits, "-" or "_".`);
+    }
+    if (names.has(name)) throw new Error(`Reader name "${name}" is used more than once.`);
+    names.add(name);
+    const port = String(entry.port || '').trim();
+    if (!port) throw new Error(`Reader "${name}" needs a "port".`);
+    const baudRate = entry.baudRate === undefined ? defaultBaudRate : Number(entry.baudRate);
+    if (!Number.isInteger(baudRate) || baudRate <= 0) {
+      throw new Error(`Reader "${name}" has an invalid baudRate.`);
+    }
+    return {
+      name,
+      location: String(entry.location || name).trim(),
+      port,
+      baudRate,
+      simEpcs: entry.simEpcs
+    };
+  });
+}
+
+function loadReaderList(filePath, options) {
+  return normalizeReaderList(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+}
+
+module.exports = {
+  ReaderListDefaults,
+  loadReaderList,
+  normalizeReaderList
+};
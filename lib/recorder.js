@@ -0,0 +1,155 @@
+// recorder.js - Record and replay raw serial traffic
+// A recording is a JSON Lines file. The first line describes the session and
+// every following line is one chunk of bytes:
+//   {"type":"session","started":"2025-08-22T08:42:48.022Z","port":"/dev/ttyUSB0","baudRate":115200}
+//   {"t":12,"dir":"out","data":"ff00041d0b"}
+//   {"t":57,"dir":"in","data":"ff1404000000..."}
+// where "t" is milliseconds since the recording started.
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { formatHex } = require('./klm900p');
+
+const Direction = {
+  IN: 'in',
+  OUT: 'out'
+};
+
+/**
+ * Writes every inbound and outbound chunk seen by a reader to a recording file.
+ * Lines are written synchronously so a crash or process.exit() loses nothing.
+ */
+class SessionRecorder {
+  constructor(filePath, { port = '', baudRate = 0 } = {}) {
+    this.filePath = filePath;
+    this.startedAt = Date.now();
+    this.fd = fs.openSync(filePath, 'w');
+    this.chunks = 0;
+    this.onReceived = (chunk) => this.write(Direction.IN, chunk);
+    this.onSent = (packet) => this.write(Direction.OUT, packet);
+    this.writeLine({ type: 'session', started: new Date(this.startedAt).toISOString(), port, baudRate });
+  }
+
+  attach(reader) {
+    reader.on('received', this.onReceived);
+    reader.on('sent', this.onSent);
+  }
+
+  detach(reader) {
+    reader.removeListener('received', this.onReceived);
+    reader.removeListener('sent', this.onSent);
+  }
+
+  write(dir, chunk) {
+    if (this.fd === null) return;
+    this.chunks++;
+    this.writeLine({ t: Date.now() - this.startedAt, dir, data: chunk.toString('hex') });
+  }
+
+  writeLine(entry) {
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Reads a recording into { session, chunks }. Throws if the file is not a recording.
+ */
+function loadRecording(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim() !== '');
+  let session = null;
+  const chunks = [];
+  lines.forEach((line, index) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid recording line ${index + 1}: ${e.message}`);
+    }
+    if (entry.type === 'session') {
+      session = entry;
+    } else if (entry.dir === Direction.IN || entry.dir === Direction.OUT) {
+      chunks.push({ t: entry.t, dir: entry.dir, data: Buffer.from(entry.data, 'hex') });
+    }
+  });
+  if (!session) throw new Error(`${filePath} is not a serial recording (missing session line).`);
+  return { session, chunks };
+}
+
+/**
+ * A fake serial port that plays the inbound side of a recording back with the
+ * original timing divided by `speed` (0 replays as fast as possible). Writes
+ * from the host are accepted and discarded. Emits 'close' once the recording ends.
+ */
+class ReplayPort extends EventEmitter {
+  constructor(filePath, { speed = 1, debug = false } = {}) {
+    super();
+    const { session, chunks } = loadRecording(filePath);
+    this.path = `replay:${filePath}`;
+    this.session = session;
+    this.chunks = chunks;
+    this.speed = speed;
+    this.debug = debug;
+    this.isOpen = false;
+    this.position = 0;
+    this.timer = null;
+    this.startedAt = 0;
+    setImmediate(() => {
+      this.isOpen = true;
+      this.startedAt = Date.now();
+      this.emit('open');
+      this.scheduleNext();
+    });
+  }
+
+  write(data, callback) {
+    if (this.debug) console.log(`[DEBUG] Replay ignored host write: ${formatHex(data)}`);
+    if (callback) setImmediate(() => callback(null));
+    return true;
+  }
+
+  close(callback) {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    const wasOpen = this.isOpen;
+    this.isOpen = false;
+    setImmediate(() => {
+      if (wasOpen) this.emit('close');
+      if (callback) callback(null);
+    });
+  }
+
+  scheduleNext() {
+    if (!this.isOpen) return;
+    if (this.position >= this.chunks.length) {
+      if (this.debug) console.log('[DEBUG] Replay finished.');
+      this.close();
+      return;
+    }
+    const chunk = this.chunks[this.position];
+    const due = this.speed > 0 ? chunk.t / this.speed : 0;
+    const delay = Math.max(0, due - (Date.now() - this.startedAt));
+    this.timer = setTimeout(() => {
+      this.position++;
+      if (chunk.dir === Direction.IN) {
+        this.emit('data', chunk.data);
+      } else if (this.debug) {
+        console.log(`[DEBUG] Recorded host write: ${formatHex(chunk.data)}`);
+      }
+      this.scheduleNext();
+    }, delay);
+  }
+}
+
+module.exports = {
+  Direction,
+  ReplayPort,
+  SessionRecorder,
+  loadRecording
+};
@@ -0,0 +1,423 @@
+// simulator.js - In-process fake KLM900P reader
+// Stands in for the serial port so the server and web app can be developed
+// without a Raspberry Pi or reader attached. It answers the boot handshake like
+// the real firmware and streams multi-tag inventory frames while scanning.
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const klm900p = require('./klm900p');
+const { parseInventoryCsv } = require('./inventory-csv');
+const { isEpcPattern } = require('./gs1');
+
+const { Constants } = klm900p;
+
+const SimulatorDefaults = {
+  // Version block returned by the real reader in reply to the app-start command
+  FIRMWARE_INFO: Buffer.from('00000000a4000300202205232205230000000010', 'hex'),
+  SERIAL_NUMBER: 'KLM900P-SIM-0001',
+  // Replied to app-start when the app firmware is already running
+  STATUS_INVALID_OPCODE: Constants.STATUS_INVALID_OPCODE,
+  READ_RATE: 10,       // inventory rounds per second
+  DROPOUT: 0.1,        // probability a tag is missed in one round
+  NOISE: 0,            // probability a frame is corrupted or preceded by junk
+  FALLBACK_EPCS: ['E28069150000401F7AB919BB', 'E28069150000501F7AB911BB'],
+  // Reader parameters after power-up
+  POWER_DBM: 30,
+  REGION: 0x01,
+  // Tags read weaker than this are not reported (lower RF power drops far tags)
+  SENSITIVITY_DBM: -80,
+  // Single-tag operation failures
+  STATUS_MEMORY_OVERRUN: Constants.STATUS_MEMORY_OVERRUN,
+  STATUS_MEMORY_LOCKED: Constants.STATUS_MEMORY_LOCKED,
+  USER_MEMORY_WORDS: 8
+};
+
+/**
+ * Reads a list of EPCs from a comma separated string or from the EPC column of
+ * an inventory CSV file.
+ */
+function loadEpcList(source) {
+  if (!source) return [];
+  if (!fs.existsSync(source)) {
+    return source.split(',').map(epc => epc.trim().toUpperCase()).filter(Boolean);
+  }
+  // EPC patterns stand for tags that are not known yet, so there is nothing to simulate for them
+  return parseInventoryCsv(fs.readFileSync(source, 'utf8')).items.map(row => row.epc).filter(epc => !isEpcPattern(epc));
+}
+
+/**
+ * Builds the payload of an inventory frame for one EPC:
+ * option(1) + metadata flags(2) + metadata fields + PC word(2) + EPC + tag CRC(2).
+ * Only the read count, RSSI, antenna, frequency and phase fields are simulated.
+ */
+function buildTagPayload(epcHex, metadataFlags = 0, metadata = {}) {
+  const epc = Buffer.from(epcHex, 'hex');
+  const pc = Buffer.alloc(2);
+  pc.writeUInt16BE((Math.ceil(epc.length / 2) << 11) & 0xFFFF);
+  const tagCrc = Buffer.alloc(2);
+  tagCrc.writeUInt16BE(~new klm900p.CRC().calculate(Buffer.concat([pc, epc])) & 0xFFFF);
+
+  const header = Buffer.alloc(3);
+  const fields = [];
+  let flags = 0;
+  if (metadataFlags & Constants.METADATA_READ_COUNT) {
+    flags |= Constants.METADATA_READ_COUNT;
+    fields.push(Buffer.from([metadata.readCount || 1]));
+  }
+  if (metadataFlags & Constants.METADATA_RSSI) {
+    flags |= Constants.METADATA_RSSI;
+    const rssi = Buffer.alloc(1);
+    rssi.writeInt8(metadata.rssi || -60);
+    fields.push(rssi);
+  }
+  if (metadataFlags & Constants.METADATA_ANTENNA) {
+    flags |= Constants.METADATA_ANTENNA;
+    fields.push(Buffer.from([metadata.antenna || 1]));
+  }
+  if (metadataFlags & Constants.METADATA_FREQUENCY) {
+    flags |= Constants.METADATA_FREQUENCY;
+    const frequency = Buffer.alloc(3);
+    frequency.writeUIntBE(metadata.frequency || 915250, 0, 3);
+    fields.push(frequency);
+  }
+  if (metadataFlags & Constants.METADATA_PHASE) {
+    flags |= Constants.METADATA_PHASE;
+    const phase = Buffer.alloc(2);
+    phase.writeUInt16BE(metadata.phase || 0);
+    fields.push(phase);
+  }
+  header.writeUInt16BE(flags, 1);
+  return Buffer.concat([header, ...fields, pc, epc, tagCrc]);
+}
+
+/**
+ * Gives each simulated EPC a stable base signal strength so that some tags look
+ * "closer" than others, with a little jitter per read.
+ */
+function simulatedRssi(epcHex) {
+  let hash = 0;
+  for (const c of epcHex) { hash = (hash * 31 + c.charCodeAt(0)) & 0xFFFF; }
+  return -45 - (hash % 30) + Math.round((Math.random() - 0.5) * 6);
+}
+
+/**
+ * Creates the memory of one simulated tag. The TID is derived from the EPC so
+ * it stays the same across runs.
+ */
+function createTagMemory(epcHex) {
+  const tid = Buffer.alloc(12);
+  tid.write('E2806915', 0, 'hex');
+  let hash = 0x1234;
+  for (const c of epcHex) { hash = (hash * 33 + c.charCodeAt(0)) >>> 0; }
+  tid.writeUInt32BE(hash, 8);
+  return {
+    epc: epcHex,
+    tid,
+    user: Buffer.alloc(SimulatorDefaults.USER_MEMORY_WORDS * 2),
+    accessPassword: 0,
+    locked: false
+  };
+}
+
+/**
+ * A fake serial port. Implements the subset of the SerialPort API the server
+ * uses: write(buffer, callback), close(), isOpen and the 'open', 'data' and
+ * 'close' events.
+ */
+class SimulatedPort extends EventEmitter {
+  constructor({ epcs = [], readRate = SimulatorDefaults.READ_RATE, dropout = SimulatorDefaults.DROPOUT, noise = SimulatorDefaults.NOISE,
+    firmwareInfo = SimulatorDefaults.FIRMWARE_INFO, serialNumber = SimulatorDefaults.SERIAL_NUMBER, debug = false } = {}) {
+    super();
+    this.path = 'simulated';
+    this.firmwareInfo = firmwareInfo;
+    this.serialNumber = serialNumber;
+    this.tags = (epcs.length > 0 ? epcs : SimulatorDefaults.FALLBACK_EPCS).map(createTagMemory);
+    this.readRate = readRate > 0 ? readRate : SimulatorDefaults.READ_RATE;
+    this.dropout = Math.min(Math.max(dropout, 0), 1);
+    this.noise = Math.min(Math.max(noise, 0), 1);
+    this.debug = debug;
+    this.stage = Constants.STAGE_BOOTLOADER;
+    this.scanTimer = null;
+    this.metadataFlags = 0;
+    this.settings = {
+      power: SimulatorDefaults.POWER_DBM,
+      region: SimulatorDefaults.REGION,
+      session: 0,
+      target: klm900p.Gen2Targets.A,
+      q: null // dynamic
+    };
+    this.isOpen = false;
+    this.isClosed = false;
+    this.rxBuffer = Buffer.alloc(0);
+    setImmediate(() => {
+      this.isOpen = true;
+      this.emit('open');
+    });
+  }
+
+  get epcs() {
+    return this.tags.map(tag => tag.epc);
+  }
+
+  write(data, callback) {
+    if (!this.isOpen && !this.isClosed) {
+      // Like SerialPort, writes issued before the port opens are queued
+      this.once('open', () => this.write(data, callback));
+      return true;
+    }
+    if (!this.isOpen) {
+      if (callback) setImmediate(() => callback(new Error('Port is not open')));
+      return false;
+    }
+    this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+    this.processCommands();
+    if (callback) setImmediate(() => callback(null));
+    return true;
+  }
+
+  close(callback) {
+    this.stopScanning();
+    this.isOpen = false;
+    this.isClosed = true;
+    setImmediate(() => {
+      this.emit('close');
+      if (callback) callback(null);
+    });
+  }
+
+  // --- Command Handling ---
+  processCommands() {
+    while (this.rxBuffer.length >= Constants.MIN_PACKET_LENGTH) {
+      if (this.rxBuffer[0] !== Constants.HEADER_BYTE) {
+        this.rxBuffer = this.rxBuffer.slice(1);
+        continue;
+      }
+      // Outbound frames have no status field: header + length + command + data + crc
+      const totalLength = 5 + this.rxBuffer[1];
+      if (this.rxBuffer.length < totalLength) break;
+      const command = this.rxBuffer.slice(0, totalLength);
+      this.rxBuffer = this.rxBuffer.slice(totalLength);
+      if (!klm900p.hasValidCrc(command)) {
+        if (this.debug) console.log(`[DEBUG] Simulator ignored command with bad CRC: ${klm900p.formatHex(command)}`);
+        continue;
+      }
+      this.handleCommand(command[2], command.slice(3, command.length - 2));
+    }
+  }
+
+  handleCommand(commandCode, data) {
+    if (this.debug) console.log(`[DEBUG] Simulator received command 0x${commandCode.toString(16).toUpperCase()}`);
+    if (commandCode === Constants.CMD_START_APP) {
+      if (this.stage === Constants.STAGE_APP) {
+        this.reply(commandCode, SimulatorDefaults.STATUS_INVALID_OPCODE);
+      } else {
+        this.stage = Constants.STAGE_APP;
+        this.reply(commandCode, Constants.STATUS_SUCCESS, this.firmwareInfo);
+      }
+    } else if (commandCode === Constants.CMD_GET_VERSION) {
+      this.reply(commandCode, Constants.STATUS_SUCCESS, this.firmwareInfo);
+    } else if (commandCode === Constants.CMD_GET_HARDWARE_INFO && data.length >= 2 && data[1] === Constants.HARDWARE_INFO_SERIAL_NUMBER) {
+      const serial = Buffer.from(this.serialNumber, 'ascii');
+      this.reply(commandCode, Constants.STATUS_SUCCESS, Buffer.concat([Buffer.from([0x00, data[1], serial.length]), serial]));
+    } else if (commandCode === Constants.CMD_GET_RUNNING_STAGE) {
+      this.reply(commandCode, Constants.STATUS_SUCCESS, Buffer.from([this.stage]));
+    } else if (commandCode === Constants.CMD_MULTI_TAG_INVENTORY) {
+      const subCommand = data[Constants.MODULETECH_SIGNATURE.length + 1];
+      this.reply(commandCode, Constants.STATUS_SUCCESS,
+        Buffer.concat([Constants.MODULETECH_SIGNATURE, Buffer.from([Constants.MODULETECH_MARKER, subCommand])]));
+      if (subCommand === Constants.SUBCMD_SCAN_START) {
+        // params start after signature + marker + sub-command; metadata flags follow option/search flags/timeout
+        const params = data.slice(Constants.MODULETECH_SIGNATURE.length + 2, data.length - 2);
+        this.metadataFlags = (params[0] & Constants.SCAN_OPTION_METADATA) && params.length >= 7 ? params.readUInt16BE(5) : 0;
+        this.startScanning();
+      } else if (subCommand === Constants.SUBCMD_SCAN_STOP) {
+        this.stopScanning();
+      }
+    } else if (commandCode === Constants.CMD_SET_READ_TX_POWER && data.length >= 2) {
+      this.settings.power = data.readUInt16BE(0) / 100;
+      this.reply(commandCode, Constants.STATUS_SUCCESS);
+    } else if (commandCode === Constants.CMD_GET_READ_TX_POWER) {
+      const payload = Buffer.alloc(3);
+      payload.writeUInt16BE(Math.round(this.settings.power * 100), 1);
+      this.reply(commandCode, Constants.STATUS_SUCCESS, payload);
+    } else if (commandCode === Constants.CMD_SET_REGION && data.length >= 1) {
+      this.settings.region = data[0];
+      this.reply(commandCode, Constants.STATUS_SUCCESS);
+    } else if (commandCode === Constants.CMD_GET_REGION) {
+      this.reply(commandCode, Constants.STATUS_SUCCESS, Buffer.from([this.settings.region]));
+    } else if (commandCode === Constants.CMD_SET_PROTOCOL_PARAM && data.length >= 3) {
+      this.setGen2Param(commandCode, data[1], data.slice(2));
+    } else if (commandCode === Constants.CMD_GET_PROTOCOL_PARAM && data.length >= 2) {
+      this.reply(commandCode, Constants.STATUS_SUCCESS, Buffer.concat([data.slice(0, 2), this.getGen2Param(data[1])]));
+    } else if (commandCode === Constants.CMD_READ_DATA_AREA && data.length >= 13) {
+      this.readTagData(data);
+    } else if (commandCode === Constants.CMD_WRITE_TAG_EPC && data.length > 3) {
+      this.writeTagEpc(data.slice(3));
+    } else if (commandCode === Constants.CMD_WRITE_TAG_DATA && data.length > 12) {
+      this.writeTagData(data.readUInt32BE(3), data[7], data.readUInt32BE(8), data.slice(12));
+    } else if (commandCode === Constants.CMD_LOCK_TAG && data.length >= 11) {
+      this.lockTag(data.readUInt32BE(3), data.readUInt16BE(7), data.readUInt16BE(9));
+    } else {
+      this.reply(commandCode, SimulatorDefaults.STATUS_INVALID_OPCODE);
+    }
+  }
+
+  // --- Single-tag Operations (act on the first simulated tag) ---
+  bankContents(tag, bank) {
+    if (bank === Constants.MEMBANK_RESERVED) {
+      const reserved = Buffer.alloc(8);
+      reserved.writeUInt32BE(tag.accessPassword, 4);
+      return reserved;
+    }
+    if (bank === Constants.MEMBANK_EPC) {
+      const epc = Buffer.from(tag.epc, 'hex');
+      const pcAndEpc = buildTagPayload(tag.epc).slice(3, 3 + 2 + epc.length);
+      const storedCrc = Buffer.alloc(2);
+      storedCrc.writeUInt16BE(~new klm900p.CRC().calculate(pcAndEpc) & 0xFFFF);
+      return Buffer.concat([storedCrc, pcAndEpc]);
+    }
+    if (bank === Constants.MEMBANK_TID) return tag.tid;
+    return tag.user;
+  }
+
+  readTagData(data) {
+    const tag = this.tags[0];
+    if (!tag) return this.reply(Constants.CMD_READ_DATA_AREA, Constants.STATUS_NO_TAG);
+    const bank = data[3];
+    const wordAddress = data.readUInt32BE(4);
+    const wordCount = data[8];
+    const password = data.readUInt32BE(9);
+    if (bank === Constants.MEMBANK_RESERVED && tag.locked && password !== tag.accessPassword) {
+      return this.reply(Constants.CMD_READ_DATA_AREA, SimulatorDefaults.STATUS_MEMORY_LOCKED);
+    }
+    const contents = this.bankContents(tag, bank);
+    const start = wordAddress * 2;
+    const end = start + wordCount * 2;
+    if (end > contents.length) return this.reply(Constants.CMD_READ_DATA_AREA, SimulatorDefaults.STATUS_MEMORY_OVERRUN);
+    this.reply(Constants.CMD_READ_DATA_AREA, Constants.STATUS_SUCCESS, Buffer.concat([Buffer.from([0x00]), contents.slice(start, end)]));
+  }
+
+  writeTagEpc(epc) {
+    const tag = this.tags[0];
+    if (!tag) return this.reply(Constants.CMD_WRITE_TAG_EPC, Constants.STATUS_NO_TAG);
+    if (tag.locked) return this.reply(Constants.CMD_WRITE_TAG_EPC, SimulatorDefaults.STATUS_MEMORY_LOCKED);
+    tag.epc = epc.toString('hex').toUpperCase();
+    this.reply(Constants.CMD_WRITE_TAG_EPC, Constants.STATUS_SUCCESS);
+  }
+
+  writeTagData(wordAddress, bank, password, payload) {
+    const tag = this.tags[0];
+    if (!tag) return this.reply(Constants.CMD_WRITE_TAG_DATA, Constants.STATUS_NO_TAG);
+    if (tag.locked && password !== tag.accessPassword) {
+      return this.reply(Constants.CMD_WRITE_TAG_DATA, SimulatorDefaults.STATUS_MEMORY_LOCKED);
+    }
+    if (bank === Constants.MEMBANK_EPC && wordAddress === Constants.EPC_BANK_EPC_WORD && payload.length === tag.epc.length / 2) {
+      tag.epc = payload.toString('hex').toUpperCase();
+    } else if (bank === Constants.MEMBANK_RESERVED && wordAddress === Constants.RESERVED_ACCESS_PASSWORD_WORD && payload.length === 4) {
+      tag.accessPassword = payload.readUInt32BE(0);
+    } else if (bank === Constants.MEMBANK_USER && (wordAddress * 2) + payload.length <= tag.user.length) {
+      payload.copy(tag.user, wordAddress * 2);
+    } else {
+      return this.reply(Constants.CMD_WRITE_TAG_DATA, SimulatorDefaults.STATUS_MEMORY_OVERRUN);
+    }
+    this.reply(Constants.CMD_WRITE_TAG_DATA, Constants.STATUS_SUCCESS);
+  }
+
+  lockTag(password, mask, action) {
+    const tag = this.tags[0];
+    if (!tag) return this.reply(Constants.CMD_LOCK_TAG, Constants.STATUS_NO_TAG);
+    if (password !== tag.accessPassword) return this.reply(Constants.CMD_LOCK_TAG, SimulatorDefaults.STATUS_MEMORY_LOCKED);
+    tag.locked = (mask & action) !== 0;
+    this.reply(Constants.CMD_LOCK_TAG, Constants.STATUS_SUCCESS);
+  }
+
+  setGen2Param(commandCode, param, value) {
+    if (param === Constants.GEN2_PARAM_SESSION) {
+      this.settings.session = value[0];
+    } else if (param === Constants.GEN2_PARAM_TARGET && value.length >= 2) {
+      this.settings.target = value.readUInt16BE(0);
+    } else if (param === Constants.GEN2_PARAM_Q) {
+      this.settings.q = value[0] === Constants.GEN2_Q_STATIC ? value[1] : null;
+    } else {
+      this.reply(commandCode, SimulatorDefaults.STATUS_INVALID_OPCODE);
+      return;
+    }
+    this.reply(commandCode, Constants.STATUS_SUCCESS);
+  }
+
+  getGen2Param(param) {
+    if (param === Constants.GEN2_PARAM_SESSION) return Buffer.from([this.settings.session]);
+    if (param === Constants.GEN2_PARAM_TARGET) return Buffer.from([this.settings.target >> 8, this.settings.target & 0xFF]);
+    if (param === Constants.GEN2_PARAM_Q) {
+      return this.settings.q === null
+        ? Buffer.from([Constants.GEN2_Q_DYNAMIC])
+        : Buffer.from([Constants.GEN2_Q_STATIC, this.settings.q]);
+    }
+    return Buffer.alloc(0);
+  }
+
+  reply(commandCode, statusCode, payload) {
+    this.emitFrame(klm900p.buildResponse(commandCode, statusCode, payload));
+  }
+
+  // --- Inventory Rounds ---
+  startScanning() {
+    if (this.stage !== Constants.STAGE_APP) return;
+    this.stopScanning();
+    this.scanTimer = setInterval(() => this.inventoryRound(), 1000 / this.readRate);
+  }
+
+  stopScanning() {
+    if (this.scanTimer) {
+      clearInterval(this.scanTimer);
+      this.scanTimer = null;
+    }
+  }
+
+  inventoryRound() {
+    this.tags.forEach(({ epc }) => {
+      if (Math.random() < this.dropout) return;
+      const rssi = simulatedRssi(epc) + Math.round(this.settings.power - SimulatorDefaults.POWER_DBM);
+      if (rssi < SimulatorDefaults.SENSITIVITY_DBM) return;
+      const payload = buildTagPayload(epc, this.metadataFlags, {
+        readCount: 1,
+        rssi,
+        antenna: 1,
+        frequency: 902750 + 500 * Math.floor(Math.random() * 50),
+        phase: Math.floor(Math.random() * 4096)
+      });
+      const frame = klm900p.buildResponse(Constants.CMD_MULTI_TAG_INVENTORY, Constants.STATUS_SUCCESS, payload);
+      this.emitFrame(frame);
+    });
+  }
+
+  // Delivers a frame in one or two chunks, optionally corrupted, like a real UART would
+  emitFrame(frame) {
+    let bytes = Buffer.from(frame);
+    if (Math.random() < this.noise) {
+      if (Math.random() < 0.5) {
+        bytes[1 + Math.floor(Math.random() * (bytes.length - 1))] ^= 0x5A;
+      } else {
+        const junk = Buffer.from(Array.from({ length: 1 + Math.floor(Math.random() * 4) }, () => Math.floor(Math.random() * 256)));
+        bytes = Buffer.concat([junk, bytes]);
+      }
+    }
+    const split = Math.floor(Math.random() * bytes.length);
+    setImmediate(() => {
+      if (!this.isOpen) return;
+      if (split > 0) {
+        this.emit('data', bytes.slice(0, split));
+        this.emit('data', bytes.slice(split));
+      } else {
+        this.emit('data', bytes);
+      }
+    });
+  }
+}
+
+module.exports = {
+  SimulatedPort,
+  SimulatorDefaults,
+  buildTagPayload,
+  loadEpcList
+};
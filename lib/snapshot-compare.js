@@ -0,0 +1,125 @@
+// snapshot-compare.js - What changed between two snapshots
+// Snapshots are stored by audit scans and at the end of every scan session
+// (see audit.js). Comparing an earlier one (the base) with a later one (the
+// target) answers "what changed since this morning?": tools that went missing
+// or came back, tools added to or removed from the inventory, tags that are
+// not in the inventory and were not seen before, and how the read count of
+// each tag changed.
+
+const { formatCsvField } = require('./inventory-csv');
+
+const ItemChange = {
+  ADDED: 'added',         // in the target's inventory only
+  REMOVED: 'removed',     // in the base's inventory only
+  MISSING: 'missing',     // present in the base, not in the target
+  RETURNED: 'returned',   // not present in the base, present in the target
+  UNCHANGED: 'unchanged'
+};
+
+const UnknownChange = {
+  NEW: 'new',   // read in the target only
+  GONE: 'gone', // read in the base only
+  SEEN: 'seen'  // read in both
+};
+
+// Order of the report rows: the changes that need attention first
+const CHANGE_ORDER = [ItemChange.MISSING, ItemChange.RETURNED, ItemChange.ADDED, ItemChange.REMOVED, ItemChange.UNCHANGED];
+
+function snapshotHeader(snapshot) {
+  const { items, tags, kit, ...header } = snapshot;
+  return header;
+}
+
+/**
+ * Compares two snapshots (as stored by audit.buildSnapshot). Returns
+ *   { base, target, summary: { missing, returned, added, removed, newUnknown, goneUnknown, countChanged },
+ *     items: [{ epc, id, item, change, basePresent, targetPresent, baseCount, targetCount, countChange }],
+ *     unknownTags: [{ epc, change, baseCount, targetCount, countChange }] }
+ * where base and target are the snapshot headers. Present flags are null for
+ * a tool that is not in that snapshot's inventory.
+ */
+function compareSnapshots(base, target) {
+  const baseItems = new Map(base.items.map(entry => [entry.epc, entry]));
+  const targetItems = new Map(target.items.map(entry => [entry.epc, entry]));
+  const epcs = [...targetItems.keys(), ...[...baseItems.keys()].filter(epc => !targetItems.has(epc))];
+
+  const items = epcs.map(epc => {
+    const before = baseItems.get(epc);
+    const after = targetItems.get(epc);
+    let change = ItemChange.UNCHANGED;
+    if (!before) {
+      change = ItemChange.ADDED;
+    } else if (!after) {
+      change = ItemChange.REMOVED;
+    } else if (before.present && !after.present) {
+      change = ItemChange.MISSING;
+    } else if (!before.present && after.present) {
+      change = ItemChange.RETURNED;
+    }
+    const baseCount = before ? before.count : 0;
+    const targetCount = after ? after.count : 0;
+    return {
+      epc, id: (after || before).id, item: (after || before).item, change,
+      basePresent: before ? before.present : null, targetPresent: after ? after.present : null,
+      baseCount, targetCount, countChange: targetCount - baseCount
+    };
+  }).sort((a, b) => CHANGE_ORDER.indexOf(a.change) - CHANGE_ORDER.indexOf(b.change) || a.item.localeCompare(b.item));
+
+  const unknownCounts = (snapshot) => new Map(snapshot.tags.filter(tag => tag.item === null).map(tag => [tag.epc, tag.count]));
+  const baseUnknown = unknownCounts(base);
+  const targetUnknown = unknownCounts(target);
+  const unknownTags = [...targetUnknown.keys(), ...[...baseUnknown.keys()].filter(epc => !targetUnknown.has(epc))].map(epc => {
+    const baseCount = baseUnknown.get(epc) || 0;
+    const targetCount = targetUnknown.get(epc) || 0;
+    let change = UnknownChange.SEEN;
+    if (!baseUnknown.has(epc)) {
+      change = UnknownChange.NEW;
+    } else if (!targetUnknown.has(epc)) {
+      change = UnknownChange.GONE;
+    }
+    return { epc, change, baseCount, targetCount, countChange: targetCount - baseCount };
+  });
+
+  const count = (list, change) => list.filter(entry => entry.change === change).length;
+  return {
+    base: snapshotHeader(base),
+    target: snapshotHeader(target),
+    summary: {
+      missing: count(items, ItemChange.MISSING),
+      returned: count(items, ItemChange.RETURNED),
+      added: count(items, ItemChange.ADDED),
+      removed: count(items, ItemChange.REMOVED),
+      newUnknown: count(unknownTags, UnknownChange.NEW),
+      goneUnknown: count(unknownTags, UnknownChange.GONE),
+      countChanged: items.filter(entry => entry.countChange !== 0).length
+    },
+    items,
+    unknownTags
+  };
+}
+
+/**
+ * Formats a comparison as CSV: one row per tool, then one per unknown tag
+ * (with "unknown tag" in the item column).
+ */
+function formatComparisonCsv(report) {
+  const headers = ['EPC', 'id', 'item', 'change', 'base present', 'target present', 'base reads', 'target reads', 'read change'];
+  const yesNo = (value) => (value === null ? '' : (value ? 'yes' : 'no'));
+  const rows = [
+    ...report.items.map(entry => [
+      entry.epc, entry.id, entry.item, entry.change, yesNo(entry.basePresent), yesNo(entry.targetPresent),
+      entry.baseCount, entry.targetCount, entry.countChange
+    ]),
+    ...report.unknownTags.map(entry => [
+      entry.epc, '', 'unknown tag', entry.change, '', '', entry.baseCount, entry.targetCount, entry.countChange
+    ])
+  ];
+  return [headers, ...rows].map(values => values.map(formatCsvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  ItemChange,
+  UnknownChange,
+  compareSnapshots,
+  formatComparisonCsv
+};
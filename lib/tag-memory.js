@@ -0,0 +1,165 @@
+// tag-memory.js - Read and write Gen2 tag memory through a KLM900P reader
+// Every operation addresses the first tag that answers, so only the tag being
+// read or commissioned should be in front of the antenna. The reader must not
+// be scanning while an operation runs.
+
+const { Commands, Constants, formatHex } = require('./klm900p');
+
+const TagMemoryDefaults = {
+  // Host-side wait for the reader's reply (the reader searches for TAG_OP_TIMEOUT_MS).
+  // Tag operations are not retried: a write may have succeeded even if its reply was lost.
+  REPLY_TIMEOUT_MS: 3000,
+  // Words read when no count is given
+  WORD_COUNTS: { reserved: 4, epc: 8, tid: 6, user: 4 },
+  // Gen2 lock bits: password-write lock on the EPC bank and read/write lock on the access password
+  LOCK_EPC_AND_ACCESS: 0x00A0
+};
+
+const MemoryBanks = {
+  reserved: Constants.MEMBANK_RESERVED,
+  epc: Constants.MEMBANK_EPC,
+  tid: Constants.MEMBANK_TID,
+  user: Constants.MEMBANK_USER
+};
+
+/**
+ * Parses an 8-digit hex access password (or passes a number through).
+ * Empty values mean "no password" (0).
+ */
+function parseAccessPassword(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  if (typeof value === 'number') return value >>> 0;
+  const text = String(value).trim().replace(/^0x/i, '');
+  if (!/^[0-9a-fA-F]{1,8}$/.test(text)) {
+    throw new Error('Access password must be up to 8 hexadecimal digits.');
+  }
+  return parseInt(text, 16) >>> 0;
+}
+
+/**
+ * Parses an EPC given as hex. It must be a whole number of 16-bit words.
+ */
+function parseEpc(value) {
+  const text = String(value || '').trim().replace(/\s+/g, '').toUpperCase();
+  if (!/^[0-9A-F]+$/.test(text) || text.length % 4 !== 0 || text.length > 62) {
+    throw new Error('EPC must be hexadecimal, a multiple of 4 digits and at most 62 digits long.');
+  }
+  return Buffer.from(text, 'hex');
+}
+
+// Queues a tag command on the reader and resolves with its reply frame
+function runTagCommand(reader, packet, label) {
+  // quiet: the caller reports failures to whoever asked for the operation
+  return reader.request(packet, { label, timeoutMs: TagMemoryDefaults.REPLY_TIMEOUT_MS, quiet: true });
+}
+
+/**
+ * Reads words from a memory bank ('reserved', 'epc', 'tid' or 'user').
+ * Resolves with { bank, wordAddress, wordCount, data } where data is hex.
+ */
+async function readMemory(reader, { bank = 'tid', wordAddress = 0, wordCount, accessPassword } = {}) {
+  const bankName = String(bank).toLowerCase();
+  if (!(bankName in MemoryBanks)) {
+    throw new Error(`Unknown memory bank "${bank}". Use one of: ${Object.keys(MemoryBanks).join(', ')}.`);
+  }
+  const count = wordCount === undefined ? TagMemoryDefaults.WORD_COUNTS[bankName] : Number(wordCount);
+  if (!Number.isInteger(count) || count < 1 || count > 32) {
+    throw new Error('Word count must be a whole number from 1 to 32.');
+  }
+  const address = Number(wordAddress);
+  if (!Number.isInteger(address) || address < 0) {
+    throw new Error('Word address must be a whole number of 0 or more.');
+  }
+  const packet = Commands.readTagData({
+    bank: MemoryBanks[bankName],
+    wordAddress: address,
+    wordCount: count,
+    accessPassword: parseAccessPassword(accessPassword)
+  });
+  const frame = await runTagCommand(reader, packet, `Reading ${bankName.toUpperCase()} memory`);
+  // Reply payload: option(1) + data
+  const data = frame.payload.slice(1);
+  if (reader.debug) console.log(`[DEBUG] ${bankName.toUpperCase()} memory: ${formatHex(data)}`);
+  return { bank: bankName, wordAddress: address, wordCount: count, data: data.toString('hex').toUpperCase() };
+}
+
+/**
+ * Writes a new EPC to the tag. Without an access password the reader's
+ * write-EPC command is used (it also updates the PC word); with one the EPC
+ * bank is written directly, so the new EPC must keep the tag's current length.
+ */
+async function writeEpc(reader, { epc, accessPassword } = {}) {
+  const epcBuffer = parseEpc(epc);
+  const password = parseAccessPassword(accessPassword);
+  if (password === 0) {
+    await runTagCommand(reader, Commands.writeTagEpc({ epc: epcBuffer }), 'Writing EPC');
+  } else {
+    await runTagCommand(reader, Commands.writeTagData({
+      bank: Constants.MEMBANK_EPC,
+      wordAddress: Constants.EPC_BANK_EPC_WORD,
+      data: epcBuffer,
+      accessPassword: password
+    }), 'Writing EPC');
+  }
+  return epcBuffer.toString('hex').toUpperCase();
+}
+
+/**
+ * Commissions a blank tag: writes the new EPC, optionally sets an access
+ * password and locks the EPC bank and password behind it, then reads back the
+ * EPC and TID. `currentPassword` is the password the tag has now (0 when blank).
+ * Resolves with { epc, tid, locked }.
+ */
+async function commissionTag(reader, { epc, accessPassword, currentPassword, lock = false } = {}) {
+  // Locking cannot be undone, so "false" or 0 must not count as yes
+  if (typeof lock !== 'boolean') throw new Error('"lock" must be true or false.');
+  const newPassword = parseAccessPassword(accessPassword);
+  const oldPassword = parseAccessPassword(currentPassword);
+  if (lock && newPassword === 0) {
+    throw new Error('Locking a tag needs a non-zero access password.');
+  }
+
+  const writtenEpc = await writeEpc(reader, { epc, accessPassword: oldPassword });
+
+  if (newPassword !== 0 && newPassword !== oldPassword) {
+    const passwordData = Buffer.alloc(4);
+    passwordData.writeUInt32BE(newPassword);
+    await runTagCommand(reader, Commands.writeTagData({
+      bank: Constants.MEMBANK_RESERVED,
+      wordAddress: Constants.RESERVED_ACCESS_PASSWORD_WORD,
+      data: passwordData,
+      accessPassword: oldPassword
+    }), 'Writing access password');
+  }
+
+  if (lock) {
+    await runTagCommand(reader, Commands.lockTag({
+      accessPassword: newPassword,
+      mask: TagMemoryDefaults.LOCK_EPC_AND_ACCESS,
+      action: TagMemoryDefaults.LOCK_EPC_AND_ACCESS
+    }), 'Locking tag');
+  }
+
+  const epcWords = writtenEpc.length / 4;
+  const readBack = await readMemory(reader, {
+    bank: 'epc',
+    wordAddress: Constants.EPC_BANK_EPC_WORD,
+    wordCount: epcWords,
+    accessPassword: newPassword || oldPassword
+  });
+  if (readBack.data !== writtenEpc) {
+    throw new Error(`EPC verification failed: wrote ${writtenEpc}, read back ${readBack.data}.`);
+  }
+  const tid = await readMemory(reader, { bank: 'tid' });
+  return { epc: writtenEpc, tid: tid.data, locked: lock };
+}
+
+module.exports = {
+  MemoryBanks,
+  TagMemoryDefaults,
+  commissionTag,
+  parseAccessPassword,
+  parseEpc,
+  readMemory,
+  writeEpc
+};
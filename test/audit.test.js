@@ -0,0 +1,39 @@
+// audit.test.js - Audit lists and snapshots
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../lib/audit');
+
+const inventory = [
+  { id: 1, epc: 'AAAA', item: 'Hammer', attributes: {} },
+  { id: 2, epc: 'BBBB', item: 'Wrench', attributes: {} },
+  { id: 3, epc: 'urn:epc:idpat:sgtin:0614141.812345.*', item: 'Drill', attributes: {} }
+];
+const read = (count) => ({ count, timestamp: '2026-06-10T07:15:01.000Z', rssi: -50, peakRssi: -48, antenna: 1, location: 'Toolbox' });
+const run = (startedAt) => ({ name: 'session', trigger: 'session', cron: null, startedAt, endedAt: null, duration: 5, warnings: [] });
+
+test('normalizeAuditList validates names, cron expressions and durations', () => {
+  const [first] = audit.normalizeAuditList({ audits: [{ name: 'morning', cron: '30 7 * * 1-5' }] });
+  assert.equal(first.duration, audit.AuditDefaults.DURATION_S);
+  assert.throws(() => audit.normalizeAuditList({}), /"audits" array/);
+  assert.throws(() => audit.normalizeAuditList({ audits: [{ name: 'a b', cron: '@daily' }] }), /Audit 1 needs a "name"/);
+  assert.throws(() => audit.normalizeAuditList({ audits: [{ name: 'a', cron: '@daily' }, { name: 'a', cron: '@daily' }] }), /used more than once/);
+  assert.throws(() => audit.normalizeAuditList({ audits: [{ name: 'a', cron: '61 * * * *' }] }), /Audit "a": Invalid cron expression/);
+  assert.throws(() => audit.normalizeAuditList({ audits: [{ name: 'a', cron: '@daily', duration: 0 }] }), /invalid duration/);
+});
+
+test('buildSnapshot lists the tools present and the unknown tags', () => {
+  const reads = new Map([['AAAA', read(3)], ['BBBB', read(1)], ['CCCC', read(9)]]);
+  const snapshot = audit.buildSnapshot(run('2026-06-10T07:15:00.412Z'), inventory, reads, 2);
+  assert.deepEqual(snapshot.summary, { tools: 2, present: 1, missing: 1, unknownTags: 1 });
+  assert.deepEqual(snapshot.items.map(entry => [entry.epc, entry.present, entry.count]), [['AAAA', true, 3], ['BBBB', false, 1]]);
+  assert.deepEqual(snapshot.tags.map(tag => [tag.epc, tag.item]), [['AAAA', 'Hammer'], ['BBBB', 'Wrench'], ['CCCC', null]]);
+});
+
+test('snapshot ids keep the milliseconds, so runs in the same second differ', () => {
+  const first = audit.buildSnapshot(run('2026-06-10T07:15:00.412Z'), inventory, new Map(), 2);
+  const second = audit.buildSnapshot(run('2026-06-10T07:15:00.957Z'), inventory, new Map(), 2);
+  assert.equal(first.id, '20260610T071500412Z-session');
+  assert.notEqual(first.id, second.id);
+  assert.match(first.id, audit.AuditDefaults.SNAPSHOT_ID_PATTERN);
+});
@@ -0,0 +1,72 @@
+// cron.test.js - Cron expressions of the audit schedule
+// Times are local, so the dates below are built and compared in local time
+// and kept away from daylight saving changes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('../lib/cron');
+
+const sorted = (set) => Array.from(set).sort((a, b) => a - b);
+const next = (expression, after) => cron.nextRun(cron.parseCron(expression), after);
+
+test('parses numbers, ranges, steps, lists and names', () => {
+  const schedule = cron.parseCron('5,*/20 8-10/2 1 jun-Aug mon-fri');
+  assert.deepEqual(sorted(schedule.minutes), [0, 5, 20, 40]);
+  assert.deepEqual(sorted(schedule.hours), [8, 10]);
+  assert.deepEqual(sorted(schedule.days), [1]);
+  assert.deepEqual(sorted(schedule.months), [6, 7, 8]);
+  assert.deepEqual(sorted(schedule.weekdays), [1, 2, 3, 4, 5]);
+  assert.equal(schedule.anyDay, false);
+  assert.equal(schedule.anyWeekday, false);
+});
+
+test('a step without a range runs to the end of the field', () => {
+  assert.deepEqual(sorted(cron.parseCron('50/5 * * * *').minutes), [50, 55]);
+});
+
+test('Sunday may be written as 0 or 7', () => {
+  assert.deepEqual(sorted(cron.parseCron('0 0 * * 7').weekdays), [0]);
+  assert.deepEqual(sorted(cron.parseCron('0 0 * * 5-7').weekdays), [0, 5, 6]);
+});
+
+test('accepts the shorthands', () => {
+  assert.deepEqual(sorted(cron.parseCron('@hourly').minutes), [0]);
+  assert.equal(cron.parseCron('@daily').hours.size, 1);
+  assert.deepEqual(sorted(cron.parseCron('@weekly').weekdays), [0]);
+});
+
+test('reports the first invalid field', () => {
+  assert.throws(() => cron.parseCron('0 17 * *'), /expected 5 fields/);
+  assert.throws(() => cron.parseCron(''), /expected 5 fields/);
+  assert.throws(() => cron.parseCron('60 * * * *'), /the minute 60 is out of range \(0-59\)/);
+  assert.throws(() => cron.parseCron('0 0 0 * *'), /the day of month 0 is out of range/);
+  assert.throws(() => cron.parseCron('* * * foo *'), /invalid month "foo"/);
+  assert.throws(() => cron.parseCron('*/0 * * * *'), /invalid step in minute/);
+  assert.throws(() => cron.parseCron('0 10-8 * * *'), /invalid hour range "10-8"/);
+  assert.throws(() => cron.parseCron('0 1-2-3 * * *'), /invalid hour range/);
+});
+
+test('the next run is on a whole minute strictly after the given time', () => {
+  assert.deepEqual(next('* * * * *', new Date(2026, 5, 10, 12, 30, 0)), new Date(2026, 5, 10, 12, 31));
+  assert.deepEqual(next('* * * * *', new Date(2026, 5, 10, 12, 30, 45)), new Date(2026, 5, 10, 12, 31));
+  assert.deepEqual(next('30 12 * * *', new Date(2026, 5, 10, 12, 30)), new Date(2026, 5, 11, 12, 30));
+});
+
+test('the next run rolls over hours, days, months and years', () => {
+  assert.deepEqual(next('*/15 8-9 * * *', new Date(2026, 5, 10, 9, 50)), new Date(2026, 5, 11, 8, 0));
+  assert.deepEqual(next('0 0 1 * *', new Date(2026, 5, 10)), new Date(2026, 6, 1));
+  assert.deepEqual(next('0 0 1 jan *', new Date(2026, 5, 10)), new Date(2027, 0, 1));
+  assert.deepEqual(next('0 0 29 2 *', new Date(2026, 5, 10)), new Date(2028, 1, 29));
+});
+
+test('a day matching either the day of month or the day of week runs when both are set', () => {
+  // 2026-06-10 is a Wednesday: the next Friday (12th) comes before the 13th
+  assert.deepEqual(next('0 0 13 * fri', new Date(2026, 5, 10)), new Date(2026, 5, 12));
+  // Only the day of week is restricted: the 13th alone does not run
+  assert.deepEqual(next('0 0 * * fri', new Date(2026, 5, 12, 1)), new Date(2026, 5, 19));
+});
+
+test('a schedule that never runs gives null', () => {
+  assert.equal(next('0 0 31 2 *', new Date(2026, 5, 10)), null);
+  assert.equal(next('0 0 31 apr,jun,sep,nov *', new Date(2026, 5, 10)), null);
+});
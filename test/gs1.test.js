@@ -0,0 +1,92 @@
+// gs1.test.js - GS1 EPC decoding and EPC patterns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const gs1 = require('../lib/gs1');
+
+// Packs [value, bits] fields into a 96-bit EPC in hex
+function encode(fields) {
+  let value = 0n;
+  let total = 0;
+  fields.forEach(([field, bits]) => {
+    value = (value << BigInt(bits)) | BigInt(field);
+    total += bits;
+  });
+  assert.equal(total, 96);
+  return value.toString(16).toUpperCase().padStart(24, '0');
+}
+
+// An SGTIN-96 with filter 1; companyBits and itemBits as in the partition table
+function sgtin(partition, companyBits, company, itemBits, item, serial) {
+  return encode([[0x30, 8], [1, 3], [partition, 3], [company, companyBits], [item, itemBits], [serial, 38]]);
+}
+
+test('decodes the SGTIN-96 example of the Tag Data Standard', () => {
+  const decoded = gs1.decodeEpc('3074257BF7194E4000001A85');
+  assert.equal(decoded.scheme, 'sgtin-96');
+  assert.equal(decoded.filter, 3);
+  assert.equal(decoded.companyPrefix, '0614141');
+  assert.equal(decoded.itemReference, '812345');
+  assert.equal(decoded.serial, '6789');
+  assert.equal(decoded.uri, 'urn:epc:id:sgtin:0614141.812345.6789');
+  assert.equal(decoded.classUri, 'urn:epc:idpat:sgtin:0614141.812345.*');
+  assert.equal(decoded.gtin, '80614141123458');
+  assert.equal(gs1.describeEpc('3074257BF7194E4000001A85'), 'SGTIN-96 GTIN 80614141123458 serial 6789');
+});
+
+test('decodes the SGTIN-96 partitions at both ends of the table', () => {
+  // Partition 0: 12-digit company prefix, item reference of the indicator digit only
+  const first = gs1.decodeEpc(sgtin(0, 40, 123456789012n, 4, 5, 1));
+  assert.equal(first.companyPrefix, '123456789012');
+  assert.equal(first.itemReference, '5');
+  // Partition 6: 6-digit company prefix, 7-digit item reference with leading zeros
+  const last = gs1.decodeEpc(sgtin(6, 20, 12345, 24, 42, 2));
+  assert.equal(last.companyPrefix, '012345');
+  assert.equal(last.itemReference, '0000042');
+  assert.equal(last.uri, 'urn:epc:id:sgtin:012345.0000042.2');
+});
+
+test('rejects invalid partitions and fields too large for their digits', () => {
+  assert.equal(gs1.decodeEpc(sgtin(7, 20, 1, 24, 1, 1)), null);
+  // 2^40 - 1 has 13 digits, one more than partition 0 allows
+  assert.equal(gs1.decodeEpc(sgtin(0, 40, (1n << 40n) - 1n, 4, 1, 1)), null);
+});
+
+test('computes the GTIN-14 check digit', () => {
+  // EAN-13 4006381333931 as GTIN-14 with indicator digit 0
+  assert.equal(gs1.decodeEpc(sgtin(5, 24, 4006381, 20, 33393, 7)).gtin, '04006381333931');
+  // A check digit of 0
+  assert.equal(gs1.decodeEpc(sgtin(5, 24, 614141, 20, 100000, 1)).gtin, '10614141000002');
+});
+
+test('decodes GRAI-96 and GID-96 with their class patterns', () => {
+  const grai = gs1.decodeEpc(encode([[0x33, 8], [0, 3], [0, 3], [123456789012n, 40], [0, 4], [99, 38]]));
+  assert.equal(grai.uri, 'urn:epc:id:grai:123456789012..99');
+  assert.equal(grai.classUri, 'urn:epc:idpat:grai:123456789012..*');
+  const gid = gs1.decodeEpc(encode([[0x35, 8], [200, 28], [16, 24], [1, 36]]));
+  assert.equal(gid.uri, 'urn:epc:id:gid:200.16.1');
+  assert.equal(gs1.describeEpc(gid), 'GID-96 200.16 serial 1');
+});
+
+test('SSCC-96 has no class pattern', () => {
+  const sscc = gs1.decodeEpc(encode([[0x31, 8], [0, 3], [5, 3], [614141, 24], [1234567890n, 34], [0, 24]]));
+  assert.equal(sscc.uri, 'urn:epc:id:sscc:0614141.1234567890');
+  assert.equal(sscc.classUri, null);
+});
+
+test('other EPCs are not GS1', () => {
+  assert.equal(gs1.decodeEpc('E28069150000401F7AB90DBB'), null);
+  assert.equal(gs1.decodeEpc('3074257BF7194E40'), null);
+  assert.equal(gs1.decodeEpc('not hex at all!!!!!!!!!!'), null);
+  assert.equal(gs1.describeEpc('AAAA'), null);
+});
+
+test('parses and matches EPC patterns', () => {
+  assert.equal(gs1.isEpcPattern(' URN:EPC:IDPAT:sgtin:0614141.812345.*'), true);
+  assert.equal(gs1.isEpcPattern('E280'), false);
+  assert.equal(gs1.parseEpcPattern('URN:EPC:IDPAT:SGTIN:0614141.812345.*'), 'urn:epc:idpat:sgtin:0614141.812345.*');
+  assert.throws(() => gs1.parseEpcPattern('urn:epc:idpat:sgtin:0614141.81234.*'), /13 digits together/);
+  assert.throws(() => gs1.parseEpcPattern('urn:epc:idpat:sgtin:0614141.*.*'), /Invalid EPC pattern/);
+  assert.equal(gs1.matchesEpcPattern('3074257BF7194E4000001A85', 'urn:epc:idpat:sgtin:0614141.812345.*'), true);
+  assert.equal(gs1.matchesEpcPattern('3074257BF7194E4000001A85', 'urn:epc:idpat:sgtin:0614141.812346.*'), false);
+});
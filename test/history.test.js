@@ -0,0 +1,77 @@
+// history.test.js - Daily history files, retention and queries
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../lib/history');
+
+function newStore(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new HistoryStore(dir, options);
+}
+
+const read = (epc, timestamp, count = 1) => ({ type: 'read', epc, timestamp, count });
+const presence = (epc, timestamp, state) => ({ type: 'presence', epc, timestamp, state });
+
+test('entries go to the file of their UTC day', (t) => {
+  const store = newStore(t);
+  store.append(read('AAAA', '2026-10-18T23:59:59.999Z'));
+  store.append(read('AAAA', '2026-10-19T00:00:00.000Z'));
+  store.append(read('BBBB', '2026-10-19T12:00:00.000Z'));
+  assert.deepEqual(store.listFiles().map(file => file.day), ['2026-10-18', '2026-10-19']);
+  const lines = fs.readFileSync(store.fileFor('2026-10-19'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).epc), ['AAAA', 'BBBB']);
+});
+
+test('prune deletes the days before the retention period and keeps the rest', (t) => {
+  const store = newStore(t, { retentionDays: 3 });
+  ['2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19'].forEach(day => {
+    store.append(read('AAAA', `${day}T08:00:00.000Z`));
+  });
+  // Files that are not history files are left alone
+  fs.writeFileSync(path.join(store.dir, 'notes.txt'), 'keep');
+
+  assert.equal(store.prune(Date.parse('2026-10-19T08:00:00.000Z')), 2);
+  assert.deepEqual(store.listFiles().map(file => file.day), ['2026-10-17', '2026-10-18', '2026-10-19']);
+  assert.ok(fs.existsSync(path.join(store.dir, 'notes.txt')));
+});
+
+test('a retention of 0 keeps everything', (t) => {
+  const store = newStore(t, { retentionDays: 0 });
+  store.append(read('AAAA', '2020-01-01T08:00:00.000Z'));
+  assert.equal(store.prune(Date.parse('2026-10-19T08:00:00.000Z')), 0);
+  assert.equal(store.listFiles().length, 1);
+});
+
+test('query filters by time range, EPC and type, newest first', async (t) => {
+  const store = newStore(t);
+  store.append(read('AAAA', '2026-10-17T08:00:00.000Z'));
+  store.append(read('AAAA', '2026-10-18T08:00:00.000Z', 3));
+  store.append(presence('AAAA', '2026-10-18T09:00:00.000Z', 'missing'));
+  store.append(read('BBBB', '2026-10-18T10:00:00.000Z'));
+  store.append(read('AAAA', '2026-10-19T08:00:00.000Z'));
+
+  const inRange = await store.query({ from: Date.parse('2026-10-18T00:00:00.000Z'), to: Date.parse('2026-10-18T23:59:59.999Z') });
+  assert.deepEqual(inRange.map(entry => entry.timestamp), [
+    '2026-10-18T10:00:00.000Z', '2026-10-18T09:00:00.000Z', '2026-10-18T08:00:00.000Z'
+  ]);
+
+  const readsOfA = await store.query({ epcs: ['AAAA'], type: 'read' });
+  assert.deepEqual(readsOfA.map(entry => entry.timestamp), [
+    '2026-10-19T08:00:00.000Z', '2026-10-18T08:00:00.000Z', '2026-10-17T08:00:00.000Z'
+  ]);
+
+  const latest = await store.query({ limit: 2 });
+  assert.deepEqual(latest.map(entry => entry.epc), ['AAAA', 'BBBB']);
+});
+
+test('query skips a line cut short by a power loss', async (t) => {
+  const store = newStore(t);
+  store.append(read('AAAA', '2026-10-19T08:00:00.000Z'));
+  fs.appendFileSync(store.fileFor('2026-10-19'), '{"type":"read","epc":"BB');
+  const entries = await store.query();
+  assert.deepEqual(entries.map(entry => entry.epc), ['AAAA']);
+});
@@ -0,0 +1,64 @@
+// inventory-csv.test.js - Inventory CSV parsing, validation and writing
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const inventoryCsv = require('../lib/inventory-csv');
+
+test('parseCsv handles quoted commas, quotes, line breaks, CRLF and blank lines', () => {
+  const rows = inventoryCsv.parseCsv('a,"b,1","say ""hi"""\r\n\r\n"x\ny",2\n');
+  assert.deepEqual(rows, [
+    { line: 1, fields: ['a', 'b,1', 'say "hi"'] },
+    { line: 3, fields: ['x\ny', '2'] }
+  ]);
+});
+
+test('normalizeEpc strips separators and a 0x prefix', () => {
+  assert.equal(inventoryCsv.normalizeEpc('0xe280 6915-0000:401f'), 'E28069150000401F');
+  assert.throws(() => inventoryCsv.normalizeEpc('3.00E+23'), /rounded by a spreadsheet/);
+  assert.throws(() => inventoryCsv.normalizeEpc('ABC'), /multiple of 4 digits/);
+});
+
+test('parseInventoryCsv accepts header aliases and a byte order mark', () => {
+  const { items, report } = inventoryCsv.parseInventoryCsv('\uFEFFNo,Tag EPC,Tool,Qty,Minimum,Calibrated,Interval Days,Owner\n1,aaaa,Hammer,2,1,2026-01-01,90,Ann\n');
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.warnings, []);
+  assert.deepEqual(items, [{
+    id: 1, epc: 'AAAA', item: 'Hammer', expected: 2, min: 1, lastService: '2026-01-01', serviceInterval: 90, attributes: { Owner: 'Ann' }
+  }]);
+});
+
+test('parseInventoryCsv leaves out rows with errors and fixes up warnings', () => {
+  const { items, report } = inventoryCsv.parseInventoryCsv('id,epc,item,expected,last_service\n1,AAAA,Hammer,,\n1,aaaa,Copy,,\n,BBBB,,x,2026-02-30\n2,,Saw,,\n');
+  assert.equal(report.rows, 4);
+  assert.equal(report.imported, 2);
+  assert.deepEqual(report.errors.map(error => error.line), [3, 5]);
+  assert.match(report.errors[0].message, /Duplicate EPC AAAA, already on line 2/);
+  assert.deepEqual(items.map(item => [item.id, item.epc, item.item, item.expected, item.lastService]), [
+    [1, 'AAAA', 'Hammer', undefined, undefined],
+    [3, 'BBBB', 'N/A', undefined, undefined]
+  ]);
+  assert.equal(report.warnings.filter(warning => warning.line === 4).length, 4);
+});
+
+test('parseInventoryCsv rejects a file without an EPC column', () => {
+  const { items, report } = inventoryCsv.parseInventoryCsv('item\nHammer\n');
+  assert.equal(report.ok, false);
+  assert.deepEqual(items, []);
+  assert.match(report.errors[0].message, /No EPC column/);
+});
+
+test('formatCsvField quotes only when needed', () => {
+  assert.equal(inventoryCsv.formatCsvField('a,b'), '"a,b"');
+  assert.equal(inventoryCsv.formatCsvField('12" ruler'), '"12"" ruler"');
+  assert.equal(inventoryCsv.formatCsvField('line\nbreak'), '"line\nbreak"');
+  assert.equal(inventoryCsv.formatCsvField(3), '3');
+  assert.equal(inventoryCsv.formatCsvField(undefined), '');
+});
+
+test('formatInventoryCsv writes back what parseInventoryCsv read', () => {
+  const text = 'id,EPC,item,expected,min,last_service,service_interval_days,Owner\n1,AAAA,"Hammer, claw",2,,2026-01-01,90,Ann\n';
+  const { items } = inventoryCsv.parseInventoryCsv(text);
+  assert.equal(inventoryCsv.formatInventoryCsv(items), text);
+  assert.deepEqual(inventoryCsv.parseInventoryCsv(inventoryCsv.formatInventoryCsv(items)).items, items);
+});
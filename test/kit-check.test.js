@@ -0,0 +1,73 @@
+// kit-check.test.js - Expected and minimum quantities per item
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KitStatus, checkKit } = require('../lib/kit-check');
+
+const presentIn = (...epcs) => (epc) => epcs.includes(epc);
+const itemOf = (result, item) => result.items.find(entry => entry.item === item);
+
+test('without quantities every tagged tool of an item is needed', () => {
+  const rows = [
+    { epc: 'AAAA', item: 'Hammer' },
+    { epc: 'BBBB', item: 'Hammer' }
+  ];
+  assert.equal(checkKit(rows, presentIn('AAAA', 'BBBB')).complete, true);
+
+  const result = checkKit(rows, presentIn('AAAA'));
+  assert.equal(result.complete, false);
+  assert.deepEqual(itemOf(result, 'Hammer'), { item: 'Hammer', expected: 2, min: 2, present: 1, status: KitStatus.SHORT, missing: ['BBBB'] });
+});
+
+test('below expected but not below min is low, below min is short', () => {
+  const rows = [
+    { epc: 'AAAA', item: 'Screwdriver', expected: 3, min: 2 },
+    { epc: 'BBBB', item: 'Screwdriver' },
+    { epc: 'CCCC', item: 'Screwdriver' }
+  ];
+  assert.equal(itemOf(checkKit(rows, presentIn('AAAA', 'BBBB', 'CCCC')), 'Screwdriver').status, KitStatus.COMPLETE);
+  assert.equal(itemOf(checkKit(rows, presentIn('AAAA', 'BBBB')), 'Screwdriver').status, KitStatus.LOW);
+  assert.equal(itemOf(checkKit(rows, presentIn('AAAA')), 'Screwdriver').status, KitStatus.SHORT);
+});
+
+test('the first row that gives a quantity sets it for the item', () => {
+  const rows = [
+    { epc: 'AAAA', item: 'Pliers' },
+    { epc: 'BBBB', item: 'Pliers', expected: 1 },
+    { epc: 'CCCC', item: 'Pliers', expected: 3 }
+  ];
+  const pliers = itemOf(checkKit(rows, presentIn('CCCC')), 'Pliers');
+  assert.equal(pliers.expected, 1);
+  assert.equal(pliers.status, KitStatus.COMPLETE);
+  assert.deepEqual(pliers.missing, ['AAAA', 'BBBB']);
+});
+
+test('a min above expected is capped at expected', () => {
+  const rows = [{ epc: 'AAAA', item: 'Level', expected: 1, min: 4 }];
+  const level = itemOf(checkKit(rows, presentIn()), 'Level');
+  assert.equal(level.min, 1);
+  assert.equal(level.status, KitStatus.SHORT);
+});
+
+test('items are sorted by name and the kit is complete only when all are', () => {
+  const rows = [
+    { epc: 'AAAA', item: 'Wrench' },
+    { epc: 'BBBB', item: 'Drill', expected: 2, min: 1 }
+  ];
+  const result = checkKit(rows, presentIn('AAAA', 'BBBB'));
+  assert.deepEqual(result.items.map(entry => entry.item), ['Drill', 'Wrench']);
+  assert.equal(itemOf(result, 'Drill').status, KitStatus.LOW);
+  assert.equal(result.complete, false);
+});
+
+test('a GS1 pattern row sets quantities without counting as a tool', () => {
+  const rows = [
+    { epc: 'urn:epc:idpat:sgtin:4012345.012345.*', item: 'Drill bit', expected: 2 },
+    { epc: '3034257BF7194E4000001A85', item: 'Drill bit' },
+    { epc: '3034257BF7194E4000001A86', item: 'Drill bit' }
+  ];
+  const bits = itemOf(checkKit(rows, presentIn('3034257BF7194E4000001A85')), 'Drill bit');
+  assert.equal(bits.expected, 2);
+  assert.equal(bits.present, 1);
+  assert.deepEqual(bits.missing, ['3034257BF7194E4000001A86']);
+});
@@ -0,0 +1,224 @@
+// klm900p.test.js - Frame builders, inbound framing and the command queue of the KLM900P driver
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const klm900p = require('../lib/klm900p');
+
+const { Constants, Commands, Klm900pReader } = klm900p;
+
+// Stands in for a serial port: keeps what was written and lets the test push bytes back
+class FakePort extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+  }
+
+  write(packet, callback) {
+    this.written.push(packet);
+    if (callback) callback(null);
+  }
+}
+
+// A reader-to-host packet: header, length, command, status, payload and CRC
+function reply(commandCode, payload = Buffer.alloc(0), statusCode = Constants.STATUS_SUCCESS) {
+  const head = Buffer.from([Constants.HEADER_BYTE, payload.length, commandCode, 0, 0]);
+  head.writeUInt16BE(statusCode, 3);
+  return klm900p.appendCrc(Buffer.concat([head, payload]));
+}
+
+// An inventory reply without metadata: option(1) + flags(2) + PC word(2) + EPC + tag CRC(2)
+function tagReply(epcHex) {
+  const payload = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x30, 0x00]), Buffer.from(epcHex, 'hex'), Buffer.from([0x12, 0x34])]);
+  return reply(Constants.CMD_MULTI_TAG_INVENTORY, payload);
+}
+
+function newReader(options = {}) {
+  const port = new FakePort();
+  const reader = new Klm900pReader({ port, ...options });
+  // Framing problems are also emitted as 'error', which would throw without a listener
+  const errors = [];
+  reader.on('error', err => errors.push(err));
+  return { port, reader, errors };
+}
+
+function epcsOf(reader) {
+  const epcs = [];
+  reader.on('tag', tag => epcs.push(tag.epc));
+  return epcs;
+}
+
+// --- Frame builders ---
+
+test('app start and scan start are the exact frames the reader expects, with a single CRC', () => {
+  // The hand-written hex strings these replace already ended in their CRC
+  assert.equal(Commands.startApp().toString('hex'), 'ff00041d0b');
+  assert.equal(Commands.getRunningStage().toString('hex'), 'ff000c1d03');
+  assert.equal(Commands.scanStart().toString('hex'), 'ff13aa4d6f64756c6574656368aa480000000000f2bbe1cb');
+  assert.equal(Commands.scanStop().toString('hex'), 'ff0eaa4d6f64756c6574656368aa49f3bb0391');
+});
+
+test('buildFrame puts the data length before the command and appends the CRC', () => {
+  const frame = klm900p.buildFrame(0x97, Buffer.from([0x02]));
+  assert.equal(frame.toString('hex').slice(0, 8), 'ff019702');
+  assert.equal(frame.length, 6);
+  assert.equal(frame.readUInt16BE(4), new klm900p.CRC().calculate(frame.slice(1, 4)));
+});
+
+test('buildModuletechData wraps a sub-command with the signature, checksum and end marker', () => {
+  const data = klm900p.buildModuletechData(0x49);
+  assert.equal(data.slice(0, 10).toString('ascii'), 'Moduletech');
+  assert.deepEqual([...data.slice(10)], [0xAA, 0x49, (0xAA + 0x49) & 0xFF, 0xBB]);
+});
+
+test('raw commands get exactly one CRC appended', () => {
+  assert.deepEqual(Commands.raw(Buffer.from('ff00041d0b', 'hex').slice(0, 3)), Commands.startApp());
+});
+
+test('parseHexInput accepts spaced, comma separated and 0x-prefixed bytes', () => {
+  assert.equal(klm900p.parseHexInput('ff 00 04').toString('hex'), 'ff0004');
+  assert.equal(klm900p.parseHexInput('0xff,0x00,0x04').toString('hex'), 'ff0004');
+  assert.throws(() => klm900p.parseHexInput('ff0'), /even number/);
+  assert.throws(() => klm900p.parseHexInput('fg'), /valid hexadecimal/);
+});
+
+// --- Inbound framing ---
+
+test('packets split across chunks and several packets in one chunk are both framed', () => {
+  const { reader } = newReader();
+  const epcs = epcsOf(reader);
+  const first = tagReply('E2000017221101441890ABCD');
+  const second = tagReply('E2000017221101441890ABCE');
+  reader.handleData(first.slice(0, 4));
+  reader.handleData(Buffer.concat([first.slice(4), second]));
+  assert.deepEqual(epcs, ['E2000017221101441890ABCD', 'E2000017221101441890ABCE']);
+});
+
+test('a vendor command echo is an acknowledgement, not a tag', () => {
+  const { reader } = newReader();
+  const epcs = epcsOf(reader);
+  const acks = [];
+  reader.on('ack', ack => acks.push(ack.subCommand));
+  reader.handleData(reply(Constants.CMD_MULTI_TAG_INVENTORY, klm900p.buildModuletechData(Constants.SUBCMD_SCAN_STOP)));
+  assert.deepEqual(acks, [Constants.SUBCMD_SCAN_STOP]);
+  assert.deepEqual(epcs, []);
+});
+
+test('a packet with a bad CRC is rejected and the stream resynchronises on the next packet', () => {
+  const { reader } = newReader();
+  const epcs = epcsOf(reader);
+  const crcErrors = [];
+  reader.on('crcError', error => crcErrors.push(error));
+  const corrupted = tagReply('E2000017221101441890ABCD');
+  corrupted[8] ^= 0x01;
+  reader.handleData(Buffer.concat([corrupted, tagReply('E2000017221101441890ABCE')]));
+
+  assert.deepEqual(epcs, ['E2000017221101441890ABCE']);
+  assert.equal(crcErrors.length, 1);
+  assert.notEqual(crcErrors[0].receivedCrc, crcErrors[0].calculatedCrc);
+  const stats = reader.getStats();
+  assert.equal(stats.crcFailures, 1);
+  assert.equal(stats.frames, 1);
+  // The corrupted packet's bytes are all dropped on the way to the next header
+  assert.equal(stats.droppedBytes, corrupted.length);
+});
+
+test('a stray 0xFF from line noise costs only itself once the stream goes on', () => {
+  const { reader } = newReader();
+  const epcs = epcsOf(reader);
+  // The next header is taken as a length of 255, so nothing is framed until that many bytes are in
+  const epcList = Array.from({ length: 12 }, (_, i) => `E200001722110144189000${i.toString(16).toUpperCase().padStart(2, '0')}`);
+  reader.handleData(Buffer.concat([Buffer.from([0xFF]), ...epcList.map(tagReply)]));
+  assert.deepEqual(epcs, epcList);
+  assert.equal(reader.getStats().crcFailures, 1);
+  assert.equal(reader.getStats().droppedBytes, 1);
+});
+
+test('bytes before a header are counted as dropped and reported', () => {
+  const { reader } = newReader();
+  const epcs = epcsOf(reader);
+  const discarded = [];
+  reader.on('discarded', bytes => discarded.push(bytes.toString('hex')));
+  reader.handleData(Buffer.concat([Buffer.from([0x01, 0x02, 0x03]), tagReply('E2000017221101441890ABCD')]));
+  assert.deepEqual(epcs, ['E2000017221101441890ABCD']);
+  assert.deepEqual(discarded, ['010203']);
+  assert.equal(reader.getStats().droppedBytes, 3);
+  reader.resetStats();
+  assert.deepEqual(reader.getStats(), { frames: 0, crcFailures: 0, droppedBytes: 0, malformed: 0 });
+});
+
+// --- Command queue ---
+
+test('only one command is on the wire until its reply arrives', async () => {
+  const { port, reader } = newReader();
+  const stage = reader.getRunningStage();
+  const scan = reader.startScan();
+  assert.equal(port.written.length, 1);
+  assert.deepEqual(port.written[0], Commands.getRunningStage());
+
+  reader.handleData(reply(Constants.CMD_GET_RUNNING_STAGE, Buffer.from([Constants.STAGE_APP])));
+  const frame = await stage;
+  assert.equal(frame.payload[0], Constants.STAGE_APP);
+  assert.equal(port.written.length, 2);
+
+  reader.handleData(reply(Constants.CMD_MULTI_TAG_INVENTORY, klm900p.buildModuletechData(Constants.SUBCMD_SCAN_START)));
+  await scan;
+});
+
+test('tag reads and other sub-command echoes do not answer a vendor command', async () => {
+  const { port, reader } = newReader();
+  let stopped = false;
+  const stop = reader.stopScan().then(() => { stopped = true; });
+  reader.handleData(tagReply('E2000017221101441890ABCD'));
+  reader.handleData(reply(Constants.CMD_MULTI_TAG_INVENTORY, klm900p.buildModuletechData(Constants.SUBCMD_SCAN_START)));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(stopped, false);
+
+  reader.handleData(reply(Constants.CMD_MULTI_TAG_INVENTORY, klm900p.buildModuletechData(Constants.SUBCMD_SCAN_STOP)));
+  await stop;
+  assert.equal(port.written.length, 1);
+});
+
+test('a refused command rejects with the reply status', async () => {
+  const { reader } = newReader();
+  const commandErrors = [];
+  reader.on('commandError', error => commandErrors.push(error));
+  const region = reader.setRegion('EU');
+  reader.handleData(reply(Constants.CMD_SET_REGION, Buffer.alloc(0), 0x0105));
+  await assert.rejects(region, { code: 'READER_STATUS', readerStatus: 0x0105 });
+  assert.equal(commandErrors.length, 1);
+});
+
+test('a command without a reply is resent, then times out', async () => {
+  const { port, reader } = newReader();
+  const commandErrors = [];
+  reader.on('commandError', error => commandErrors.push(error));
+  const stage = reader.request(Commands.getRunningStage(), { label: 'Requesting stage', timeoutMs: 10, retries: 2 });
+  await assert.rejects(stage, { code: 'READER_TIMEOUT', message: /not acknowledged within 10 ms/ });
+  assert.equal(port.written.length, 3);
+  assert.equal(commandErrors.length, 1);
+});
+
+test('a reply to a resent command completes it and lets the next one go', async () => {
+  const { port, reader } = newReader();
+  const stage = reader.request(Commands.getRunningStage(), { timeoutMs: 10, retries: 1 });
+  const scan = reader.request(Commands.scanStart(), { timeoutMs: 10 });
+  await new Promise(resolve => setTimeout(resolve, 15));
+  assert.equal(port.written.length, 2);
+  assert.deepEqual(port.written[1], Commands.getRunningStage());
+
+  reader.handleData(reply(Constants.CMD_GET_RUNNING_STAGE, Buffer.from([Constants.STAGE_APP])));
+  await stage;
+  assert.deepEqual(port.written[2], Commands.scanStart());
+  reader.handleData(reply(Constants.CMD_MULTI_TAG_INVENTORY, klm900p.buildModuletechData(Constants.SUBCMD_SCAN_START)));
+  await scan;
+});
+
+test('detaching the port fails the command on the wire and everything queued', async () => {
+  const { reader } = newReader();
+  const stage = reader.getRunningStage();
+  const scan = reader.startScan();
+  reader.detach();
+  await assert.rejects(stage, { code: 'READER_DISCONNECTED' });
+  await assert.rejects(scan, { code: 'READER_DISCONNECTED' });
+});
@@ -0,0 +1,60 @@
+// ledger.test.js - Which badge read counts as the borrower of a tool
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CheckoutLedger, LedgerDefaults } = require('../lib/ledger');
+
+const alice = { badge: 'BADGE01', name: 'Alice' };
+const lastSeen = Date.parse('2026-10-19T08:00:00.000Z');
+const checkedOut = { epc: 'AAAA', timestamp: '2026-10-19T08:00:10.000Z', lastSeen: new Date(lastSeen).toISOString() };
+
+function newLedger(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new CheckoutLedger(path.join(dir, 'ledger.jsonl'), { badgeWindowMs: 60000 });
+}
+
+test('a badge read shortly before the tool was last seen is the borrower', (t) => {
+  const ledger = newLedger(t);
+  ledger.recordBadge(alice, lastSeen - 5000);
+  const record = ledger.recordCheckout(checkedOut, 'multimeter');
+  assert.equal(record.user, 'Alice');
+  assert.equal(record.badge, 'BADGE01');
+  assert.equal(record.timestamp, checkedOut.lastSeen);
+});
+
+test('a badge read before the badge window is not the borrower', (t) => {
+  const ledger = newLedger(t);
+  ledger.recordBadge(alice, lastSeen - 60001);
+  assert.equal(ledger.recordCheckout(checkedOut).user, null);
+});
+
+test('a badge read in the same reader round as the tool still counts', (t) => {
+  const ledger = newLedger(t);
+  ledger.recordBadge(alice, lastSeen + LedgerDefaults.BADGE_LATE_MS);
+  assert.equal(ledger.recordCheckout(checkedOut).user, 'Alice');
+});
+
+test('a badge read after the tool was already gone is not the borrower', (t) => {
+  const ledger = newLedger(t);
+  // Read before the missing timeout reported the tool, but well after it was last seen
+  ledger.recordBadge(alice, lastSeen + 8000);
+  const record = ledger.recordCheckout(checkedOut);
+  assert.equal(record.user, null);
+  assert.equal(record.badge, null);
+});
+
+test('checkouts and returns survive a reload of the ledger file', (t) => {
+  const ledger = newLedger(t);
+  ledger.recordBadge(alice, lastSeen);
+  ledger.recordCheckout(checkedOut, 'multimeter');
+  ledger.recordCheckout({ ...checkedOut, epc: 'BBBB' }, 'drill');
+  ledger.recordReturn({ epc: 'BBBB', timestamp: '2026-10-19T09:00:00.000Z' });
+
+  const reloaded = new CheckoutLedger(ledger.filePath);
+  assert.deepEqual(reloaded.getCheckouts().map(record => record.epc), ['AAAA']);
+  assert.equal(reloaded.records.find(record => record.epc === 'BBBB').returnedAt, '2026-10-19T09:00:00.000Z');
+});
@@ -0,0 +1,66 @@
+// maintenance.test.js - Service and calibration due dates
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const maintenance = require('../lib/maintenance');
+
+const { MaintenanceStatus } = maintenance;
+// Last serviced on 2026-01-01 every 30 days: due on 2026-01-31
+const row = { epc: 'AAAA', id: 1, item: 'Torque wrench', lastService: '2026-01-01', serviceInterval: 30 };
+const at = (text) => Date.parse(text);
+
+test('parseServiceDate accepts real dates only', () => {
+  assert.equal(maintenance.parseServiceDate(' 2024-02-29 '), '2024-02-29');
+  assert.equal(maintenance.parseServiceDate(''), undefined);
+  assert.equal(maintenance.parseServiceDate(null), undefined);
+  assert.throws(() => maintenance.parseServiceDate('2026-02-29'), /Invalid last service date/);
+  assert.throws(() => maintenance.parseServiceDate('2026-1-5'), /YYYY-MM-DD/);
+});
+
+test('parseServiceInterval accepts whole days from 1', () => {
+  assert.equal(maintenance.parseServiceInterval('90'), 90);
+  assert.equal(maintenance.parseServiceInterval(' '), undefined);
+  assert.throws(() => maintenance.parseServiceInterval('0'), /Invalid service interval/);
+  assert.throws(() => maintenance.parseServiceInterval('1.5'), /Invalid service interval/);
+  assert.throws(() => maintenance.parseServiceInterval('-3'), /Invalid service interval/);
+});
+
+test('a tool is due on the day its interval runs out and overdue the day after', () => {
+  const onDueDate = maintenance.checkSchedule(row, { now: at('2026-01-31T23:59:00Z') });
+  assert.equal(onDueDate.dueDate, '2026-01-31');
+  assert.equal(onDueDate.daysLeft, 0);
+  assert.equal(onDueDate.status, MaintenanceStatus.DUE_SOON);
+  assert.equal(maintenance.describeSchedule(onDueDate), 'due today (2026-01-31)');
+
+  const dayAfter = maintenance.checkSchedule(row, { now: at('2026-02-01T00:00:00Z') });
+  assert.equal(dayAfter.daysLeft, -1);
+  assert.equal(dayAfter.status, MaintenanceStatus.OVERDUE);
+  assert.equal(maintenance.describeSchedule(dayAfter), 'overdue, was due 2026-01-31');
+});
+
+test('the warning window starts dueSoonDays before the due date', () => {
+  const check = (now) => maintenance.checkSchedule(row, { now: at(now), dueSoonDays: 14 });
+  assert.equal(check('2026-01-16T12:00:00Z').status, MaintenanceStatus.OK);
+  assert.equal(check('2026-01-17T00:00:00Z').daysLeft, 14);
+  assert.equal(check('2026-01-17T00:00:00Z').status, MaintenanceStatus.DUE_SOON);
+  assert.equal(maintenance.describeSchedule(check('2026-01-30T08:00:00Z')), 'due 2026-01-31 (in 1 day)');
+});
+
+test('rows without an interval or with a pattern EPC have no schedule', () => {
+  assert.equal(maintenance.checkSchedule({ ...row, serviceInterval: undefined }), null);
+  assert.equal(maintenance.checkSchedule({ ...row, epc: 'urn:epc:idpat:sgtin:0614141.812345.*' }), null);
+  const unknown = maintenance.checkSchedule({ ...row, lastService: undefined });
+  assert.equal(unknown.status, MaintenanceStatus.UNKNOWN);
+  assert.equal(unknown.dueDate, null);
+});
+
+test('checkSchedules counts each status and lists the soonest due first', () => {
+  const status = maintenance.checkSchedules([
+    { ...row, epc: 'BBBB', item: 'Multimeter', lastService: '2025-06-01', serviceInterval: 365 },
+    row,
+    { ...row, epc: 'CCCC', item: 'Caliper', lastService: undefined },
+    { epc: 'DDDD', id: 4, item: 'Hammer' }
+  ], { now: at('2026-02-10T00:00:00Z') });
+  assert.deepEqual([status.overdue, status.dueSoon, status.unknown], [1, 0, 1]);
+  assert.deepEqual(status.items.map(entry => entry.epc), ['CCCC', 'AAAA', 'BBBB']);
+});
@@ -0,0 +1,112 @@
+// presence.test.js - Debounced in-box / out-of-box state
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PresenceDefaults, PresenceTracker } = require('../lib/presence');
+
+const { STATE_UNKNOWN, STATE_PRESENT, STATE_MISSING } = PresenceDefaults;
+
+// A tracker on a clock the test moves by hand
+function newTracker(options = {}) {
+  const clock = { now: Date.parse('2026-10-19T08:00:00.000Z') };
+  const tracker = new PresenceTracker({ absenceTimeoutMs: 30000, minReadCount: 2, now: () => clock.now, ...options });
+  const events = [];
+  tracker.on('checked_out', event => events.push({ type: 'checked_out', ...event }));
+  tracker.on('returned', event => events.push({ type: 'returned', ...event }));
+  return { tracker, clock, events };
+}
+
+test('a single stray read does not make a tag present', () => {
+  const { tracker } = newTracker();
+  tracker.recordRead('AAAA');
+  assert.equal(tracker.getState('AAAA').state, STATE_UNKNOWN);
+  tracker.recordRead('AAAA');
+  assert.equal(tracker.getState('AAAA').state, STATE_PRESENT);
+});
+
+test('reads further apart than the absence timeout do not add up', () => {
+  const { tracker, clock } = newTracker();
+  tracker.recordRead('AAAA');
+  clock.now += 30001;
+  tracker.recordRead('AAAA');
+  assert.equal(tracker.getState('AAAA').state, STATE_UNKNOWN);
+  tracker.recordRead('AAAA');
+  assert.equal(tracker.getState('AAAA').state, STATE_PRESENT);
+});
+
+test('a read count from one refresh period can make a tag present at once', () => {
+  const { tracker } = newTracker();
+  tracker.recordRead('AAAA', { count: 5, location: 'Toolbox' });
+  assert.equal(tracker.getState('AAAA').state, STATE_PRESENT);
+  assert.equal(tracker.getState('AAAA').location, 'Toolbox');
+});
+
+test('a present tool is checked out only after the whole absence timeout', () => {
+  const { tracker, clock, events } = newTracker();
+  tracker.recordRead('AAAA', { count: 2 });
+  const lastSeen = new Date(clock.now).toISOString();
+
+  clock.now += 29999;
+  tracker.evaluate();
+  assert.equal(tracker.getState('AAAA').state, STATE_PRESENT);
+  assert.deepEqual(events, []);
+
+  clock.now += 1;
+  tracker.evaluate();
+  assert.equal(tracker.getState('AAAA').state, STATE_MISSING);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'checked_out');
+  assert.equal(events[0].lastSeen, lastSeen);
+
+  // Missing tools are not reported again
+  clock.now += 60000;
+  tracker.evaluate();
+  assert.equal(events.length, 1);
+});
+
+test('a missing tool is returned after enough reads', () => {
+  const { tracker, clock, events } = newTracker();
+  tracker.recordRead('AAAA', { count: 2 });
+  clock.now += 30000;
+  tracker.evaluate();
+  tracker.recordRead('AAAA');
+  assert.equal(tracker.getState('AAAA').state, STATE_MISSING);
+  tracker.recordRead('AAAA');
+  assert.equal(tracker.getState('AAAA').state, STATE_PRESENT);
+  assert.deepEqual(events.map(event => event.type), ['checked_out', 'returned']);
+});
+
+test('a tracked tag that was never read becomes missing without a checkout', () => {
+  const { tracker, clock, events } = newTracker();
+  tracker.track('AAAA');
+  assert.equal(tracker.getState('AAAA').state, STATE_UNKNOWN);
+  clock.now += 30000;
+  tracker.evaluate();
+  assert.equal(tracker.getState('AAAA').state, STATE_MISSING);
+  assert.deepEqual(events, []);
+});
+
+test('restartClock keeps a pause in scanning from counting as absence', () => {
+  const { tracker, clock, events } = newTracker();
+  tracker.recordRead('AAAA', { count: 2 });
+  clock.now += 120000;
+  tracker.restartClock();
+  clock.now += 10000;
+  tracker.evaluate();
+  assert.equal(tracker.getState('AAAA').state, STATE_PRESENT);
+  clock.now += 20000;
+  tracker.evaluate();
+  assert.equal(tracker.getState('AAAA').state, STATE_MISSING);
+  assert.equal(events.length, 1);
+});
+
+test('an untracked tool is no longer reported', () => {
+  const { tracker, clock, events } = newTracker();
+  tracker.recordRead('AAAA', { count: 2 });
+  assert.equal(tracker.untrack('AAAA'), true);
+  assert.equal(tracker.untrack('AAAA'), false);
+  clock.now += 30000;
+  tracker.evaluate();
+  assert.equal(tracker.getState('AAAA'), null);
+  assert.deepEqual(events, []);
+});
@@ -4,6 +4,7 @@
 // Import necessary modules
 const { SerialPort } = require('serialport');
 const readline = require('readline');
+const klm900p = require('../lib/klm900p');
 
 // --- Configuration ---
 // The default serial port and baud rate can be overridden by command-line arguments.
@@ -35,6 +36,15 @@ port.on('data', (data) => {
   console.log(`⬇️  Received response (ASCII): ${data.toString('utf-8')}`);
 });
 
+// The reader driver frames the same byte stream and prints each complete packet decoded.
+const reader = new klm900p.Klm900pReader({ port });
+reader.on('frame', (frame) => {
+  console.log(`⬇️  Decoded packet: command 0x${frame.commandCode.toString(16).toUpperCase()}, status 0x${frame.statusCode.toString(16).toUpperCase()}, payload ${klm900p.formatHex(frame.payload)}`);
+});
+reader.on('error', (err) => {
+  console.error(`❌ ${err.message}`);
+});
+
 // The 'error' event is fired if a communication error occurs.
 port.on('error', (err) => {
   console.error(`❌ Serial port error: ${err.message}`);
@@ -60,38 +70,21 @@ const rl = readline.createInterface({
  */
 function startInputLoop() {
   rl.question('➡️  Enter hex bytes to send (e.g., "7e000201017e", "7e 00", or "0x7e, 0x00"): ', (hexString) => {
-    // A more robust way to handle multiple input formats.
-    // 1. Split the string by spaces or commas.
-    const parts = hexString.split(/[,\s]+/);
-    
-    // 2. Remove empty strings and '0x' prefixes from each part.
-    const cleanedParts = parts.filter(Boolean).map(part => {
-      return part.startsWith('0x') ? part.substring(2) : part;
-    });
-
-    // 3. Join the parts to form a single, clean hex string.
-    const finalHexString = cleanedParts.join('');
-
-    // Validate the input to ensure it's a valid hexadecimal string of even length.
-    if (!/^[0-9a-fA-F]+$/.test(finalHexString)) {
-      console.log('⚠️  Invalid hex input. Please enter a valid hexadecimal string.');
-    } else if (finalHexString.length % 2 !== 0) {
-      console.log('⚠️  Invalid hex input. The length must be an even number.');
-    } else {
-      try {
-        // Convert the valid hex string into a Buffer of binary bytes.
-        const hexBuffer = Buffer.from(finalHexString, 'hex');
-        
-        // Write the binary data to the serial port.
-        port.write(hexBuffer, (err) => {
-          if (err) {
-            return console.error(`❌ Error writing to port: ${err.message}`);
-          }
-          console.log(`⬆️  Sent hex bytes: ${finalHexString}`);
-        });
-      } catch (e) {
-        console.error(`❌ Conversion error: ${e.message}`);
-      }
+    // Accepts "7e000201017e", "7e 00" or "0x7e, 0x00" and validates the result.
+    let hexBuffer;
+    try {
+      hexBuffer = klm900p.parseHexInput(hexString);
+    } catch (e) {
+      console.log(`⚠️  ${e.message}`);
+    }
+    if (hexBuffer) {
+      // Write the binary data to the serial port as-is (no CRC is appended).
+      port.write(hexBuffer, (err) => {
+        if (err) {
+          return console.error(`❌ Error writing to port: ${err.message}`);
+        }
+        console.log(`⬆️  Sent hex bytes: ${hexBuffer.toString('hex')}`);
+      });
     }
     // Continue the input loop by calling the function recursively.
     startInputLoop();
@@ -0,0 +1,70 @@
+// snapshot-compare.test.js - Comparison report between two snapshots
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareSnapshots, formatComparisonCsv, ItemChange, UnknownChange } = require('../lib/snapshot-compare');
+
+const tool = (epc, item, present, count) => ({ id: epc.charCodeAt(0), epc, item, present, count, peakRssi: null, location: null, attributes: {} });
+const unknownTag = (epc, count) => ({ epc, item: null, count });
+
+const base = {
+  id: 'base', name: 'morning', startedAt: '2026-06-10T07:00:00.000Z', summary: {},
+  items: [tool('AAAA', 'Hammer', true, 5), tool('BBBB', 'Wrench', false, 0), tool('CCCC', 'Saw', true, 4), tool('DDDD', 'Level', true, 2)],
+  tags: [unknownTag('EEEE', 3), unknownTag('FFFF', 1)],
+  kit: {}
+};
+const target = {
+  id: 'target', name: 'session', startedAt: '2026-06-10T17:00:00.000Z', summary: {},
+  items: [tool('AAAA', 'Hammer', false, 0), tool('BBBB', 'Wrench', true, 6), tool('CCCC', 'Saw', true, 4), tool('9999', 'Pliers, long', true, 1)],
+  tags: [unknownTag('FFFF', 4), unknownTag('1111', 2)],
+  kit: {}
+};
+
+test('classifies each tool and lists the changes first', () => {
+  const report = compareSnapshots(base, target);
+  assert.deepEqual(report.items.map(entry => [entry.epc, entry.change]), [
+    ['AAAA', ItemChange.MISSING],
+    ['BBBB', ItemChange.RETURNED],
+    ['9999', ItemChange.ADDED],
+    ['DDDD', ItemChange.REMOVED],
+    ['CCCC', ItemChange.UNCHANGED]
+  ]);
+  const added = report.items.find(entry => entry.epc === '9999');
+  assert.deepEqual([added.basePresent, added.targetPresent, added.countChange], [null, true, 1]);
+  const removed = report.items.find(entry => entry.epc === 'DDDD');
+  assert.deepEqual([removed.basePresent, removed.targetPresent, removed.countChange], [true, null, -2]);
+});
+
+test('classifies unknown tags and counts every change', () => {
+  const report = compareSnapshots(base, target);
+  assert.deepEqual(report.unknownTags.map(entry => [entry.epc, entry.change, entry.countChange]), [
+    ['FFFF', UnknownChange.SEEN, 3],
+    ['1111', UnknownChange.NEW, 2],
+    ['EEEE', UnknownChange.GONE, -3]
+  ]);
+  assert.deepEqual(report.summary, { missing: 1, returned: 1, added: 1, removed: 1, newUnknown: 1, goneUnknown: 1, countChanged: 4 });
+});
+
+test('the report carries the snapshot headers without their lists', () => {
+  const report = compareSnapshots(base, target);
+  assert.equal(report.base.id, 'base');
+  assert.equal(report.target.name, 'session');
+  assert.equal(report.base.items, undefined);
+  assert.equal(report.target.tags, undefined);
+});
+
+test('a snapshot compared with itself has no changes', () => {
+  const report = compareSnapshots(base, base);
+  assert.ok(report.items.every(entry => entry.change === ItemChange.UNCHANGED && entry.countChange === 0));
+  assert.ok(report.unknownTags.every(entry => entry.change === UnknownChange.SEEN));
+  assert.deepEqual(report.summary, { missing: 0, returned: 0, added: 0, removed: 0, newUnknown: 0, goneUnknown: 0, countChanged: 0 });
+});
+
+test('formats the report as CSV with the unknown tags last', () => {
+  const lines = formatComparisonCsv(compareSnapshots(base, target)).trimEnd().split('\n');
+  assert.equal(lines[0], 'EPC,id,item,change,base present,target present,base reads,target reads,read change');
+  assert.equal(lines[1], 'AAAA,65,Hammer,missing,yes,no,5,0,-5');
+  assert.equal(lines[3], '9999,57,"Pliers, long",added,,yes,0,1,1');
+  assert.equal(lines[lines.length - 1], 'EEEE,,unknown tag,gone,,,3,0,-3');
+  assert.equal(lines.length, 1 + 5 + 3);
+});
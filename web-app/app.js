@@ -4,17 +4,84 @@ document.addEventListener('DOMContentLoaded', () => {
     const epcTableBody = document.getElementById('epc-table-body');
     const itemSummaryTableBody = document.getElementById('item-summary-table-body');
     const statusIndicator = document.getElementById('connection-status');
+    const readerStats = document.getElementById('reader-stats');
+    const readerStatusList = document.getElementById('reader-status-list');
+    const deviceInfo = document.getElementById('device-info');
+    const readerErrors = document.getElementById('reader-errors');
+    const presenceEvents = document.getElementById('presence-events');
+    const kitStatusBanner = document.getElementById('kit-status');
+    const maintenanceBanner = document.getElementById('maintenance-status');
+    const auditStatus = document.getElementById('audit-status');
     const startBtn = document.getElementById('start-btn');
     const stopBtn = document.getElementById('stop-btn');
     const readTagBtn = document.getElementById('read-tag-btn');
     const exportBtn = document.getElementById('export-btn');
     const importBtn = document.getElementById('import-btn');
     const importFileInput = document.getElementById('import-file');
+    const importReport = document.getElementById('import-report');
+    const enrollForm = document.getElementById('enroll-form');
+    const enrollItem = document.getElementById('enroll-item');
+    const enrollItemNames = document.getElementById('enroll-item-names');
+    const enrollResult = document.getElementById('enroll-result');
+    const clearDiscoveredBtn = document.getElementById('clear-discovered-btn');
+    const discoveredSelectAll = document.getElementById('discovered-select-all');
+    const discoveredTableBody = document.getElementById('discovered-table-body');
+    const groupBySelect = document.getElementById('group-by');
+    const tableFilterForm = document.getElementById('table-filter');
+    const tableFilterText = document.getElementById('table-filter-text');
+    const summaryExpectedHeader = document.getElementById('summary-expected-header');
+    const summaryGroupHeader = document.getElementById('summary-group-header');
+    const statusHeader = document.getElementById('status-header');
     const lastScannedEpc = document.getElementById('last-scanned-epc');
+    const lastScannedSignal = document.getElementById('last-scanned-signal');
     const readTagContainer = document.querySelector('.read-tag-container');
+    const commissionBtn = document.getElementById('commission-btn');
+    const commissionDialog = document.getElementById('commission-dialog');
+    const commissionEpc = document.getElementById('commission-epc');
+    const commissionItem = document.getElementById('commission-item');
+    const commissionCurrentPassword = document.getElementById('commission-current-password');
+    const commissionPassword = document.getElementById('commission-password');
+    const commissionLock = document.getElementById('commission-lock');
+    const commissionResult = document.getElementById('commission-result');
+    const writeEpcBtn = document.getElementById('write-epc-btn');
+    const settingsForm = document.getElementById('reader-settings-form');
+    const settingInputs = {
+        power: document.getElementById('setting-power'),
+        region: document.getElementById('setting-region'),
+        session: document.getElementById('setting-session'),
+        target: document.getElementById('setting-target'),
+        q: document.getElementById('setting-q')
+    };
+    const reportedSettings = document.getElementById('reported-settings');
+    const settingsError = document.getElementById('settings-error');
+
+    // Static Q values 0-15 after the "dynamic" option
+    for (let q = 0; q <= 15; q++) {
+        const option = document.createElement('option');
+        option.value = String(q);
+        option.textContent = String(q);
+        settingInputs.q.appendChild(option);
+    }
 
     // Store the inventory data received from the backend
     let inventoryData = [];
+    // Last reader status list, kept to show every reader as disconnected when the server goes away
+    let readers = [];
+    // EPC -> { state, since, lastSeen, location } as debounced by the server
+    const presenceByEpc = new Map();
+    const PresenceLabels = { present: 'In box', missing: 'Out of box', unknown: 'Unknown' };
+    // EPC -> name of the user who took the tool, from the checkout ledger
+    const holderByEpc = new Map();
+    // Expected vs present quantity per item, computed by the server
+    let kitStatus = null;
+    // EPC -> service schedule { lastService, serviceInterval, dueDate, daysLeft, status }, computed by the server
+    const scheduleByEpc = new Map();
+    let maintenanceStatus = null;
+    // Tags read that are not in the inventory, and the ones ticked for enrollment
+    let discoveredTags = [];
+    const selectedDiscovered = new Set();
+    // Custom inventory columns (category, owner, ...) in the order of the inventory file
+    let attributeNames = [];
 
     let ws;
 
@@ -37,43 +104,97 @@ document.addEventListener('DOMContentLoaded', () => {
             if (data.initialInventory) {
                 // Initialize inventoryData with all items from the backend,
                 // setting count to 0 for all of them initially.
-                inventoryData = data.initialInventory.map(item => ({...item, count: 0, timestamp: null}));
+                inventoryData = data.initialInventory.map(item => ({...item, count: 0, timestamp: null, rssi: null, peakRssi: null, antenna: null, location: item.location || null}));
                 console.log('Received initial inventory list:', inventoryData);
+                renderAttributeColumns();
                 renderTables();
+                renderEnrollItemNames();
             } else if (data.updates) {
                 readTagContainer.classList.remove('visible');
-                // Reset scanned times for all items before processing the new batch
+                // Scanned times are per refresh period. The last scan time and signal are kept,
+                // since in/out of box comes from the presence state rather than this batch.
                 inventoryData.forEach(item => {
                     item.count = 0;
-                    item.timestamp = null;
                 });
 
-                const itemSummary = new Map();
-
                 // Update the inventory data with new scanned times
                 data.updates.forEach(update => {
                     const existingItem = inventoryData.find(item => item.epc === update.epc);
                     if (existingItem) {
                         existingItem.count = update.count;
                         existingItem.timestamp = update.timestamp;
+                        existingItem.rssi = update.rssi;
+                        existingItem.peakRssi = update.peakRssi;
+                        existingItem.antenna = update.antenna;
+                        if (update.attributes) existingItem.attributes = update.attributes;
+                        // The location is kept after the tag stops being seen: it is where the tool was last seen
+                        if (update.location) existingItem.location = update.location;
                     }
                 });
 
-                // Calculate item summary based on the updated inventory data
-                inventoryData.forEach(item => {
-                    const currentItemSummary = itemSummary.get(item.item) || { count: 0, lastScanned: null };
-                    if (item.count > 0) {
-                        currentItemSummary.count++;
-                        if (!currentItemSummary.lastScanned || item.timestamp > currentItemSummary.lastScanned) {
-                            currentItemSummary.lastScanned = item.timestamp;
-                        }
-                    }
-                    itemSummary.set(item.item, currentItemSummary);
+                renderTables();
+            } else if (data.presence) {
+                data.presence.forEach(state => presenceByEpc.set(state.epc, state));
+                renderTables();
+            } else if (data.presenceEvent) {
+                showPresenceEvent(data.presenceEvent);
+            } else if (data.checkouts) {
+                holderByEpc.clear();
+                data.checkouts.forEach(checkout => {
+                    if (checkout.user) holderByEpc.set(checkout.epc, checkout.user);
                 });
-
-                renderTables(itemSummary);
+                renderTables();
+            } else if (data.kitStatus) {
+                kitStatus = data.kitStatus;
+                renderKitStatus();
+                renderTables();
+            } else if (data.maintenance) {
+                maintenanceStatus = data.maintenance;
+                scheduleByEpc.clear();
+                maintenanceStatus.items.forEach(entry => scheduleByEpc.set(entry.epc, entry));
+                renderMaintenanceStatus();
+                renderTables();
+            } else if (data.audit) {
+                renderAuditStatus(data.audit);
+            } else if (data.badge) {
+                showPresenceEvent({ type: 'badge', ...data.badge });
+            } else if (data.readerSettings) {
+                settingsError.textContent = '';
+                Object.entries(settingInputs).forEach(([name, input]) => {
+                    const value = data.readerSettings[name];
+                    input.value = value === undefined ? '' : String(value);
+                });
+            } else if (data.commissioningEnabled !== undefined) {
+                writeEpcBtn.disabled = !data.commissioningEnabled;
+                writeEpcBtn.title = data.commissioningEnabled ? '' : 'Start the server with --commissioning to write tags.';
+            } else if (data.reportedReaderSettings) {
+                const lines = Object.entries(data.reportedReaderSettings)
+                    .filter(([, settings]) => Object.keys(settings).length > 0)
+                    .map(([location, settings]) => {
+                        const reported = Object.entries(settings).map(([name, value]) => `${name}: ${value}`);
+                        return `Reader at ${location} reports ${reported.join(', ')}`;
+                    });
+                reportedSettings.textContent = lines.join('\n');
+            } else if (data.readerSettingsError) {
+                settingsError.textContent = data.readerSettingsError;
+            } else if (data.discoveredTags) {
+                discoveredTags = data.discoveredTags;
+                renderDiscoveredTags();
+            } else if (data.inventoryReport) {
+                renderImportReport(data.inventoryReport);
+            } else if (data.tagOperation) {
+                renderTagOperation(data.tagOperation);
+            } else if (data.readerError) {
+                showReaderError(data.readerError);
+            } else if (data.readers) {
+                readers = data.readers;
+                renderReaders();
             } else if (data.epc) {
               lastScannedEpc.textContent = data.epc;
+              const signal = data.rssi !== null && data.rssi !== undefined
+                  ? `RSSI ${data.rssi} dBm${data.antenna ? `, antenna ${data.antenna}` : ''}`
+                  : '';
+              lastScannedSignal.textContent = [data.gs1, data.location, signal].filter(text => text).join(' | ');
               readTagContainer.classList.add('visible');
             }
         };
@@ -83,6 +204,8 @@ document.addEventListener('DOMContentLoaded', () => {
             statusIndicator.textContent = 'Disconnected';
             statusIndicator.classList.remove('connected');
             statusIndicator.classList.add('disconnected');
+            readers = readers.map(state => ({ ...state, connected: false, retryInMs: undefined }));
+            renderReaders();
             setTimeout(connectWebSocket, 3000);
         };
 
@@ -91,7 +214,341 @@ document.addEventListener('DOMContentLoaded', () => {
         };
     }
 
-    function renderTables(itemSummary = new Map()) {
+    function renderTagOperation(operation) {
+        commissionResult.classList.toggle('error', !operation.ok);
+        if (!operation.ok) {
+            commissionResult.textContent = `Error: ${operation.error}`;
+        } else if (operation.type === 'read_memory') {
+            commissionResult.textContent = `${operation.result.bank.toUpperCase()} memory: ${operation.result.data}`;
+        } else if (operation.type === 'commission_tag') {
+            const lines = [`Written EPC: ${operation.result.epc}`, `TID: ${operation.result.tid}`];
+            if (operation.result.locked) lines.push('Tag locked.');
+            if (operation.result.item) lines.push(`Added to inventory as "${operation.result.item}".`);
+            commissionResult.textContent = lines.join('\n');
+        }
+    }
+
+    // Shows what an inventory upload imported and which rows had problems
+    function renderImportReport(report) {
+        const problems = report.errors.length + report.warnings.length;
+        importReport.className = `import-report ${!report.ok ? 'error' : problems > 0 ? 'warning' : 'ok'}`;
+        const lines = [report.ok
+            ? `Imported ${report.imported} of ${report.rows} row(s).`
+            : 'Import failed, the inventory was not changed.'];
+        if (report.ok && !report.saved) lines.push('Kept in memory only: start the server with --inventory to save imports to a file.');
+        report.errors.forEach(({ line, message }) => lines.push(`Line ${line}: ${message}`));
+        report.warnings.forEach(({ line, message }) => lines.push(`Line ${line} (warning): ${message}`));
+        importReport.textContent = lines.join('\n');
+    }
+
+    function sendTagOperation(type, params) {
+        commissionResult.classList.remove('error');
+        commissionResult.textContent = 'Working...';
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(`${type}:${JSON.stringify(params)}`);
+        } else {
+            commissionResult.textContent = 'WebSocket not connected.';
+            console.error('WebSocket not connected. Cannot send tag operation.');
+        }
+    }
+
+    // Keeps the last few failed reader commands visible under the status badges
+    function showReaderError(error) {
+        const entry = document.createElement('li');
+        const time = new Date(error.timestamp).toLocaleTimeString();
+        entry.textContent = `${time} ${error.location}: ${error.message}`;
+        readerErrors.prepend(entry);
+        while (readerErrors.children.length > 3) {
+            readerErrors.removeChild(readerErrors.lastChild);
+        }
+    }
+
+    function renderDiscoveredTags() {
+        // Tags that were enrolled or cleared can no longer be selected
+        const listed = new Set(discoveredTags.map(tag => tag.epc));
+        Array.from(selectedDiscovered).forEach(epc => {
+            if (!listed.has(epc)) selectedDiscovered.delete(epc);
+        });
+
+        discoveredTableBody.innerHTML = '';
+        if (discoveredTags.length === 0) {
+            const cell = discoveredTableBody.insertRow().insertCell();
+            cell.colSpan = 8;
+            cell.textContent = 'No unknown tags seen.';
+        }
+        discoveredTags.forEach(tag => {
+            const row = discoveredTableBody.insertRow();
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = selectedDiscovered.has(tag.epc);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    selectedDiscovered.add(tag.epc);
+                } else {
+                    selectedDiscovered.delete(tag.epc);
+                }
+            });
+            row.insertCell().appendChild(checkbox);
+            const epcCell = row.insertCell();
+            epcCell.textContent = tag.epc;
+            if (tag.gs1) {
+                const decoded = document.createElement('span');
+                decoded.className = 'gs1';
+                decoded.textContent = tag.gs1;
+                epcCell.append(document.createElement('br'), decoded);
+            }
+            [
+                tag.count,
+                tag.rssi === null ? 'N/A' : `${tag.rssi} (peak ${tag.peakRssi})`,
+                tag.location || 'N/A',
+                new Date(tag.firstSeen).toLocaleTimeString(),
+                new Date(tag.lastSeen).toLocaleTimeString()
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            const enrollBtn = document.createElement('button');
+            enrollBtn.type = 'button';
+            enrollBtn.textContent = 'Enroll';
+            enrollBtn.addEventListener('click', () => enrollTags([tag.epc]));
+            row.insertCell().appendChild(enrollBtn);
+        });
+        discoveredSelectAll.checked = discoveredTags.length > 0 && selectedDiscovered.size === discoveredTags.length;
+    }
+
+    function renderEnrollItemNames() {
+        enrollItemNames.innerHTML = '';
+        Array.from(new Set(inventoryData.map(item => item.item))).sort().forEach(name => {
+            enrollItemNames.appendChild(new Option(name));
+        });
+    }
+
+    // Adds tags to the inventory under the typed item name. The server then
+    // sends the new inventory and the shorter discovered list.
+    function enrollTags(epcs) {
+        const item = enrollItem.value.trim();
+        enrollResult.classList.remove('error');
+        if (!item) {
+            enrollResult.classList.add('error');
+            enrollResult.textContent = 'Type the item name first.';
+            enrollItem.focus();
+            return;
+        }
+        fetch('/api/discovered/enroll', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ epcs, item })
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) throw new Error(data.error || response.statusText);
+                enrollResult.textContent = `Enrolled ${data.items.length} tag(s) as "${item}".${data.saved ? '' : ' Kept in memory only: start the server with --inventory to save it to a file.'}`;
+            }))
+            .catch(err => {
+                enrollResult.classList.add('error');
+                enrollResult.textContent = `Error: ${err.message}`;
+            });
+    }
+
+    // Keeps the last few check-outs and returns visible under the status badges
+    function showPresenceEvent(event) {
+        const entry = document.createElement('li');
+        const time = new Date(event.timestamp).toLocaleTimeString();
+        const name = event.item || event.epc;
+        if (event.type === 'badge') {
+            entry.className = 'badge-read';
+            entry.textContent = `${time} ${event.name} badged at ${event.location}`;
+        } else if (event.type === 'checked_out') {
+            entry.className = 'checked-out';
+            entry.textContent = `${time} ${name} taken out of ${event.location || 'the box'}${event.user ? ` by ${event.user}` : ''}`;
+        } else {
+            entry.className = 'returned';
+            entry.textContent = `${time} ${name} returned to ${event.location || 'the box'}`;
+        }
+        if (event.maintenance && event.maintenance.status === 'overdue') {
+            entry.className = 'service-warning';
+            entry.textContent += ` - overdue for service (was due ${event.maintenance.dueDate})`;
+        }
+        presenceEvents.prepend(entry);
+        while (presenceEvents.children.length > 5) {
+            presenceEvents.removeChild(presenceEvents.lastChild);
+        }
+    }
+
+    // One status badge per reader, plus its frame counters
+    function renderReaders() {
+        readerStatusList.innerHTML = '';
+        readers.forEach(state => {
+            const badge = document.createElement('span');
+            badge.className = `status-indicator reader-status ${state.connected ? 'connected' : 'disconnected'}`;
+            if (state.connected) {
+                badge.textContent = `${state.location}: connected`;
+                badge.title = state.port;
+            } else if (state.retryInMs !== undefined && state.retryInMs !== null) {
+                badge.textContent = `${state.location}: disconnected, retrying in ${Math.round(state.retryInMs / 1000)} s`;
+            } else {
+                badge.textContent = `${state.location}: disconnected`;
+            }
+            readerStatusList.appendChild(badge);
+        });
+
+        const prefix = readers.length > 1;
+        readerStats.textContent = readers.map(state => {
+            const stats = state.stats;
+            const text = `Frames: ${stats.frames} | CRC failures: ${stats.crcFailures} | Dropped bytes: ${stats.droppedBytes}`;
+            return prefix ? `${state.location}: ${text}` : text;
+        }).join('\n');
+        readerStats.classList.toggle('has-errors', readers.some(state => state.stats.crcFailures > 0));
+
+        deviceInfo.textContent = readers
+            .map(state => formatDeviceInfo(state.deviceInfo || {}, prefix ? state.location : ''))
+            .filter(text => text)
+            .join('\n');
+    }
+
+    // e.g. "HW A4.00.03.00 | FW 22.05.23.00 (2022-05-23) | S/N 12345"
+    function formatDeviceInfo(info, location) {
+        const parts = [];
+        if (info.hardwareVersion) parts.push(`HW ${info.hardwareVersion}`);
+        if (info.firmwareVersion) parts.push(`FW ${info.firmwareVersion}${info.firmwareDate ? ` (${info.firmwareDate})` : ''}`);
+        if (info.serialNumber) parts.push(`S/N ${info.serialNumber}`);
+        if (parts.length === 0) return '';
+        return location ? `${location}: ${parts.join(' | ')}` : parts.join(' | ');
+    }
+
+    function formatRssi(rssi, peakRssi) {
+        if (rssi === null || rssi === undefined) return 'N/A';
+        return peakRssi !== null && peakRssi !== undefined && peakRssi !== rssi
+            ? `${rssi} dBm (peak ${peakRssi})`
+            : `${rssi} dBm`;
+    }
+
+    function presenceOf(item) {
+        const presence = presenceByEpc.get(item.epc);
+        return presence ? presence.state : 'unknown';
+    }
+
+    function attributeOf(item, name) {
+        return (item.attributes && item.attributes[name]) || '';
+    }
+
+    // The attribute columns of the EPC table and the group-by choices follow the inventory
+    function renderAttributeColumns() {
+        const names = [];
+        inventoryData.forEach(item => {
+            Object.keys(item.attributes || {}).forEach(name => {
+                if (!names.includes(name)) names.push(name);
+            });
+        });
+        attributeNames = names;
+
+        statusHeader.parentElement.querySelectorAll('.attribute-column').forEach(header => header.remove());
+        attributeNames.forEach(name => {
+            const header = document.createElement('th');
+            header.className = 'attribute-column';
+            header.textContent = name;
+            statusHeader.before(header);
+        });
+
+        const selected = groupBySelect.value;
+        groupBySelect.length = 1;
+        attributeNames.forEach(name => groupBySelect.add(new Option(name, name)));
+        groupBySelect.value = attributeNames.includes(selected) ? selected : '';
+    }
+
+    // The inventory rows that match the filter text in any column
+    function filteredInventory() {
+        const text = tableFilterText.value.trim().toLowerCase();
+        if (!text) return inventoryData;
+        return inventoryData.filter(item => [item.item, item.epc, item.gs1, item.location, ...Object.values(item.attributes || {})]
+            .some(value => value && String(value).toLowerCase().includes(text)));
+    }
+
+    // Quantity in the box, number of tools and last scan time for each item
+    // name, or for each value of the attribute the summary is grouped by
+    function buildItemSummary(items, groupBy) {
+        const itemSummary = new Map();
+        items.forEach(item => {
+            const key = groupBy ? attributeOf(item, groupBy) || '(none)' : item.item;
+            const currentItemSummary = itemSummary.get(key) || { count: 0, tools: 0, lastScanned: null, scheduled: 0, overdue: 0, dueSoon: 0 };
+            // Pattern rows only stand for the tags that match them; they add an item, not a tool
+            if (!item.pattern) currentItemSummary.tools++;
+            if (presenceOf(item) === 'present') currentItemSummary.count++;
+            const schedule = scheduleByEpc.get(item.epc);
+            if (schedule) {
+                currentItemSummary.scheduled++;
+                if (schedule.status === 'overdue') currentItemSummary.overdue++;
+                if (schedule.status === 'due_soon') currentItemSummary.dueSoon++;
+            }
+            if (item.timestamp && (!currentItemSummary.lastScanned || item.timestamp > currentItemSummary.lastScanned)) {
+                currentItemSummary.lastScanned = item.timestamp;
+            }
+            itemSummary.set(key, currentItemSummary);
+        });
+        return itemSummary;
+    }
+
+    // The running audit scan, or the result of the last one and when the next is due
+    function renderAuditStatus(status) {
+        const lines = [];
+        if (status.running) {
+            lines.push(`Audit "${status.running.name}" is scanning until ${new Date(status.running.endsAt).toLocaleTimeString()}.`);
+        } else if (status.lastSnapshot) {
+            const last = status.lastSnapshot;
+            lines.push(`Last audit "${last.name}" at ${new Date(last.startedAt).toLocaleString()}: ${last.summary.present} of ${last.summary.tools} tools present${last.warnings.length > 0 ? ` (${last.warnings.join(' ')})` : ''}.`);
+        }
+        const next = status.schedules.filter(entry => entry.nextRun).sort((a, b) => a.nextRun.localeCompare(b.nextRun))[0];
+        if (next) lines.push(`Next audit "${next.name}" at ${new Date(next.nextRun).toLocaleString()}.`);
+        auditStatus.textContent = lines.join(' ');
+    }
+
+    // The tools that are overdue or due soon for service or calibration
+    function renderMaintenanceStatus() {
+        maintenanceBanner.className = 'kit-status';
+        const due = maintenanceStatus ? maintenanceStatus.items.filter(entry => entry.status === 'overdue' || entry.status === 'due_soon') : [];
+        maintenanceBanner.textContent = due.length === 0 ? '' : `Service: ${due.map(entry => `${entry.item} ${describeSchedule(entry)}`).join(', ')}`;
+        if (due.length > 0) maintenanceBanner.classList.add(maintenanceStatus.overdue > 0 ? 'kit-short' : 'kit-low');
+    }
+
+    function describeSchedule(entry) {
+        if (entry.status === 'unknown') return 'No service date';
+        if (entry.status === 'overdue') return `overdue (was due ${entry.dueDate})`;
+        if (entry.status === 'due_soon') return entry.daysLeft === 0 ? 'due today' : `due ${entry.dueDate} (in ${entry.daysLeft} days)`;
+        return `due ${entry.dueDate}`;
+    }
+
+    // "2 overdue, 1 due soon" for an item or group, "OK" if its scheduled tools are all in date
+    function formatServiceSummary(data) {
+        if (data.scheduled === 0) return '';
+        const parts = [];
+        if (data.overdue > 0) parts.push(`${data.overdue} overdue`);
+        if (data.dueSoon > 0) parts.push(`${data.dueSoon} due soon`);
+        return parts.length > 0 ? parts.join(', ') : 'OK';
+    }
+
+    // "Kit complete", or the items below their expected quantity
+    function renderKitStatus() {
+        kitStatusBanner.className = 'kit-status';
+        if (!kitStatus || kitStatus.items.length === 0) {
+            kitStatusBanner.textContent = '';
+            return;
+        }
+        if (kitStatus.complete) {
+            kitStatusBanner.textContent = 'Kit complete: every item is in the box.';
+            kitStatusBanner.classList.add('kit-complete');
+            return;
+        }
+        const incomplete = kitStatus.items.filter(entry => entry.status !== 'complete');
+        kitStatusBanner.textContent = `Kit incomplete: ${incomplete.map(entry => `${entry.item} ${entry.present}/${entry.expected}`).join(', ')}`;
+        kitStatusBanner.classList.add(incomplete.some(entry => entry.status === 'short') ? 'kit-short' : 'kit-low');
+    }
+
+    function renderTables() {
+        const items = filteredInventory();
+        const groupBy = groupBySelect.value;
+        const itemSummary = buildItemSummary(items, groupBy);
+        // Grouped by an attribute, the summary counts tools instead of checking the kit
+        summaryExpectedHeader.textContent = groupBy ? 'Tools' : 'Expected';
+        summaryGroupHeader.textContent = groupBy || 'Item';
+        const kitItems = new Map(kitStatus ? kitStatus.items.map(entry => [entry.item, entry]) : []);
         // Render Item Summary Table
         const sortedItemSummary = Array.from(itemSummary.entries()).sort((a, b) => {
             const itemA = a[0].toUpperCase();
@@ -104,17 +561,27 @@ document.addEventListener('DOMContentLoaded', () => {
         itemSummaryTableBody.innerHTML = '';
         sortedItemSummary.forEach(([item, data]) => {
             const row = itemSummaryTableBody.insertRow();
-            const numberCell = row.insertCell();
-            numberCell.textContent = data.count;
-            if (data.count <= 1) {
-                numberCell.classList.add('low-count');
+            const kitItem = groupBy ? null : kitItems.get(item);
+            if (kitItem) row.classList.add(`kit-${kitItem.status}`);
+            row.insertCell().textContent = data.count;
+            if (groupBy) {
+                row.insertCell().textContent = data.tools;
+            } else {
+                row.insertCell().textContent = kitItem ? (kitItem.min < kitItem.expected ? `${kitItem.expected} (min ${kitItem.min})` : kitItem.expected) : 'N/A';
             }
             row.insertCell().textContent = item;
             row.insertCell().textContent = data.lastScanned ? new Date(data.lastScanned).toLocaleTimeString() : 'N/A';
+            const service = row.insertCell();
+            service.textContent = formatServiceSummary(data);
+            if (data.overdue > 0) {
+                service.className = 'service-overdue';
+            } else if (data.dueSoon > 0) {
+                service.className = 'service-due_soon';
+            }
         });
 
-        // Render EPC Table
-        const sortedData = [...inventoryData].sort((a, b) => {
+        // Render EPC Table. GS1 pattern rows only name an item for the tags that match them.
+        const sortedData = items.filter(item => !item.pattern).sort((a, b) => {
             const itemA = a.item.toUpperCase();
             const itemB = b.item.toUpperCase();
             if (itemA < itemB) return -1;
@@ -125,13 +592,35 @@ document.addEventListener('DOMContentLoaded', () => {
         epcTableBody.innerHTML = '';
         sortedData.forEach(item => {
             const row = epcTableBody.insertRow();
-            row.innerHTML = `
-                <td>${item.id}</td>
-                <td>${item.epc}</td>
-                <td>${item.item}</td>
-                <td>${item.count || 0}</td>
-                <td>${item.timestamp ? new Date(item.timestamp).toLocaleTimeString() : 'N/A'}</td>
-            `;
+            const presence = presenceOf(item);
+            const schedule = scheduleByEpc.get(item.epc);
+            // Item names, user names, locations and attribute values are user text, so every cell is set as text
+            row.insertCell().textContent = item.id;
+            const epcCell = row.insertCell();
+            epcCell.textContent = item.epc;
+            if (item.gs1) {
+                const decoded = document.createElement('span');
+                decoded.className = 'gs1';
+                decoded.textContent = item.gs1;
+                epcCell.append(document.createElement('br'), decoded);
+            }
+            row.insertCell().textContent = item.item;
+            attributeNames.forEach(name => {
+                row.insertCell().textContent = attributeOf(item, name);
+            });
+            const presenceCell = row.insertCell();
+            presenceCell.className = `presence-${presence}`;
+            presenceCell.textContent = `${PresenceLabels[presence]}${presence === 'missing' && holderByEpc.has(item.epc) ? ` (${holderByEpc.get(item.epc)})` : ''}`;
+            row.insertCell().textContent = item.count || 0;
+            row.insertCell().textContent = item.timestamp ? new Date(item.timestamp).toLocaleTimeString() : 'N/A';
+            row.insertCell().textContent = formatRssi(item.rssi, item.peakRssi);
+            row.insertCell().textContent = item.antenna || 'N/A';
+            row.insertCell().textContent = item.location || 'N/A';
+            const serviceCell = row.insertCell();
+            if (schedule) {
+                serviceCell.className = `service-${schedule.status}`;
+                serviceCell.textContent = describeSchedule(schedule);
+            }
         });
     }
 
@@ -154,6 +643,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     readTagBtn.addEventListener('click', () => {
         lastScannedEpc.textContent = 'Scanning...';
+        lastScannedSignal.textContent = '';
         readTagContainer.classList.add('visible');
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send('read-tag');
@@ -162,6 +652,71 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    commissionBtn.addEventListener('click', () => {
+        commissionResult.textContent = '';
+        commissionDialog.showModal();
+    });
+
+    document.getElementById('close-commission-btn').addEventListener('click', () => {
+        commissionDialog.close();
+    });
+
+    document.getElementById('read-tid-btn').addEventListener('click', () => {
+        sendTagOperation('read_memory', { bank: 'tid', accessPassword: commissionCurrentPassword.value });
+    });
+
+    document.getElementById('read-user-btn').addEventListener('click', () => {
+        sendTagOperation('read_memory', { bank: 'user', accessPassword: commissionCurrentPassword.value });
+    });
+
+    writeEpcBtn.addEventListener('click', () => {
+        sendTagOperation('commission_tag', {
+            epc: commissionEpc.value,
+            item: commissionItem.value,
+            currentPassword: commissionCurrentPassword.value,
+            accessPassword: commissionPassword.value,
+            lock: commissionLock.checked
+        });
+    });
+
+    settingsForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const settings = {};
+        Object.entries(settingInputs).forEach(([name, input]) => {
+            if (input.value !== '') settings[name] = input.value;
+        });
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(`reader_settings:${JSON.stringify(settings)}`);
+        } else {
+            console.error('WebSocket not connected. Cannot apply reader settings.');
+        }
+    });
+
+    groupBySelect.addEventListener('change', renderTables);
+    tableFilterText.addEventListener('input', renderTables);
+    tableFilterForm.addEventListener('submit', (event) => event.preventDefault());
+
+    enrollForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (selectedDiscovered.size === 0) {
+            enrollResult.classList.add('error');
+            enrollResult.textContent = 'Select the tags to enroll first.';
+            return;
+        }
+        enrollTags(Array.from(selectedDiscovered));
+    });
+
+    discoveredSelectAll.addEventListener('change', () => {
+        selectedDiscovered.clear();
+        if (discoveredSelectAll.checked) discoveredTags.forEach(tag => selectedDiscovered.add(tag.epc));
+        renderDiscoveredTags();
+    });
+
+    clearDiscoveredBtn.addEventListener('click', () => {
+        fetch('/api/discovered', { method: 'DELETE' })
+            .catch(err => console.error('Failed to clear the discovered tags:', err));
+    });
+
     exportBtn.addEventListener('click', () => {
         window.location.href = '/download-inventory';
     });
@@ -180,6 +735,8 @@ document.addEventListener('DOMContentLoaded', () => {
         reader.onload = (e) => {
             const content = e.target.result;
             if (ws && ws.readyState === WebSocket.OPEN) {
+                importReport.className = 'import-report';
+                importReport.textContent = `Importing ${file.name}...`;
                 ws.send(`upload_inventory:${content}`);
             } else {
                 console.error('WebSocket not connected. Cannot upload inventory.');
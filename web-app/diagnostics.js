@@ -0,0 +1,152 @@
+// diagnostics.js - Front-end Logic for the Reader Diagnostics page
+
+document.addEventListener('DOMContentLoaded', () => {
+    const statusIndicator = document.getElementById('connection-status');
+    const counters = document.getElementById('diagnostic-counters');
+    const rawCommandForm = document.getElementById('raw-command-form');
+    const rawCommandReader = document.getElementById('raw-command-reader');
+    const rawCommandHex = document.getElementById('raw-command-hex');
+    const rawCommandResult = document.getElementById('raw-command-result');
+    const rawCommandBtn = document.getElementById('raw-command-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+    const clearBtn = document.getElementById('clear-btn');
+    const hideTags = document.getElementById('hide-tags');
+    const frameTableBody = document.getElementById('frame-table-body');
+
+    // Oldest rows are dropped beyond this, so a busy scan does not slow the page down
+    const MAX_ROWS = 300;
+
+    // Reader name -> { location, stats }
+    const readers = new Map();
+    let paused = false;
+
+    let ws;
+
+    function connectWebSocket() {
+        const wsUrl = `ws://${window.location.hostname}:${window.location.port}`;
+        ws = new WebSocket(wsUrl);
+
+        ws.onopen = () => {
+            statusIndicator.textContent = 'Connected';
+            statusIndicator.classList.remove('disconnected');
+            statusIndicator.classList.add('connected');
+            ws.send('diagnostics_subscribe');
+        };
+
+        ws.onmessage = event => {
+            const data = JSON.parse(event.data);
+
+            if (data.readers) {
+                data.readers.forEach(state => {
+                    readers.set(state.name, { location: state.location, stats: state.stats });
+                });
+                renderReaderOptions();
+                renderCounters();
+            } else if (data.diagnosticFrame) {
+                const entry = data.diagnosticFrame;
+                readers.set(entry.reader, { location: entry.location, stats: entry.stats });
+                renderCounters();
+                if (!paused && !(hideTags.checked && entry.tagRead)) addFrameRow(entry);
+            } else if (data.rawCommandsEnabled !== undefined) {
+                rawCommandHex.disabled = !data.rawCommandsEnabled;
+                rawCommandBtn.disabled = !data.rawCommandsEnabled;
+                if (!data.rawCommandsEnabled) rawCommandResult.textContent = 'Raw commands are disabled. Start the server with --raw-commands to send them.';
+            } else if (data.rawCommandResult) {
+                const result = data.rawCommandResult;
+                rawCommandResult.classList.toggle('error', !result.ok);
+                rawCommandResult.textContent = result.ok
+                    ? `Reply from ${result.reader}: ${result.reply} (${result.status})`
+                    : `Error: ${result.error}`;
+            }
+        };
+
+        ws.onclose = () => {
+            statusIndicator.textContent = 'Disconnected';
+            statusIndicator.classList.remove('connected');
+            statusIndicator.classList.add('disconnected');
+            setTimeout(connectWebSocket, 3000);
+        };
+
+        ws.onerror = error => {
+            console.error('WebSocket error:', error);
+        };
+    }
+
+    function renderReaderOptions() {
+        const selected = rawCommandReader.value;
+        rawCommandReader.innerHTML = '';
+        readers.forEach((state, name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = state.location;
+            rawCommandReader.appendChild(option);
+        });
+        if (readers.has(selected)) rawCommandReader.value = selected;
+        // A single reader needs no picker
+        rawCommandReader.hidden = readers.size < 2;
+    }
+
+    function renderCounters() {
+        counters.textContent = Array.from(readers.values()).map(state => {
+            const stats = state.stats;
+            return `${state.location}: Frames: ${stats.frames} | CRC failures: ${stats.crcFailures} | Dropped header bytes: ${stats.droppedBytes} | Malformed: ${stats.malformed}`;
+        }).join('\n');
+        counters.classList.toggle('has-errors', Array.from(readers.values()).some(state => state.stats.crcFailures > 0 || state.stats.malformed > 0));
+    }
+
+    function addFrameRow(entry) {
+        const row = document.createElement('tr');
+        row.className = `frame-${entry.direction}`;
+        if (entry.kind !== 'frame' || (entry.status && entry.status !== 'ok')) row.classList.add('frame-problem');
+
+        const crcText = entry.crcOk === undefined ? '' : (entry.crcOk ? 'OK' : 'FAIL');
+        let command = entry.command || '';
+        let payload = entry.payload || '';
+        if (entry.kind === 'crcError' || entry.kind === 'discarded' || entry.kind === 'malformed') {
+            // The bytes could not be decoded, so show them whole
+            command = entry.kind;
+            payload = entry.raw;
+        }
+        const cells = [
+            new Date(entry.timestamp).toLocaleTimeString(),
+            entry.location,
+            entry.direction === 'out' ? '→' : '←',
+            command,
+            entry.status || '',
+            payload,
+            crcText
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.title = [entry.detail, entry.raw].filter(text => text).join('\n');
+        frameTableBody.prepend(row);
+        while (frameTableBody.children.length > MAX_ROWS) {
+            frameTableBody.removeChild(frameTableBody.lastChild);
+        }
+    }
+
+    rawCommandForm.addEventListener('submit', event => {
+        event.preventDefault();
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            rawCommandResult.textContent = 'WebSocket not connected.';
+            return;
+        }
+        rawCommandResult.classList.remove('error');
+        rawCommandResult.textContent = 'Waiting for the reply...';
+        ws.send(`raw_command:${JSON.stringify({ reader: rawCommandReader.value, hex: rawCommandHex.value })}`);
+    });
+
+    pauseBtn.addEventListener('click', () => {
+        paused = !paused;
+        pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    });
+
+    clearBtn.addEventListener('click', () => {
+        frameTableBody.innerHTML = '';
+    });
+
+    connectWebSocket();
+});
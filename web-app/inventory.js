@@ -0,0 +1,251 @@
+// inventory.js - Front-end Logic for the Edit Inventory page
+
+document.addEventListener('DOMContentLoaded', () => {
+    const statusIndicator = document.getElementById('connection-status');
+    const inventoryFile = document.getElementById('inventory-file');
+    const readTagBtn = document.getElementById('read-tag-btn');
+    const stopBtn = document.getElementById('stop-btn');
+    const assignForm = document.getElementById('assign-form');
+    const assignEpc = document.getElementById('assign-epc');
+    const assignItem = document.getElementById('assign-item');
+    const assignBtn = document.getElementById('assign-btn');
+    const assignClassLabel = document.getElementById('assign-class-label');
+    const assignClass = document.getElementById('assign-class');
+    const editorMessage = document.getElementById('editor-message');
+    const editorTableBody = document.getElementById('editor-table-body');
+    const addRow = document.getElementById('add-row');
+    const addBtn = document.getElementById('add-btn');
+    const itemNames = document.getElementById('item-names');
+    const actionsHeader = document.getElementById('actions-header');
+    const addActions = document.getElementById('add-actions');
+    const addColumnForm = document.getElementById('add-column-form');
+    const newColumn = document.getElementById('new-column');
+
+    const FIELDS = ['id', 'item', 'expected', 'min', 'lastService', 'serviceInterval'];
+    // Input type of each field; the others are numbers
+    const FIELD_TYPES = { item: 'text', lastService: 'date' };
+
+    let ws;
+    let inventory = [];
+    // Custom columns: the ones the inventory uses plus the ones added on this page
+    let attributeNames = [];
+    const addedColumns = [];
+    let lastReadEpc = null;
+    // The read tag as { epc, gs1, gs1Class } when it carries a GS1 identity
+    let lastRead = null;
+
+    function connectWebSocket() {
+        const wsUrl = `ws://${window.location.hostname}:${window.location.port}`;
+        ws = new WebSocket(wsUrl);
+
+        ws.onopen = () => {
+            statusIndicator.textContent = 'Connected';
+            statusIndicator.classList.remove('disconnected');
+            statusIndicator.classList.add('connected');
+        };
+
+        ws.onmessage = event => {
+            const data = JSON.parse(event.data);
+
+            if (data.initialInventory) {
+                inventory = data.initialInventory;
+                renderAttributeColumns();
+                renderInventory();
+                renderAssign();
+            } else if (data.epc) {
+                lastReadEpc = data.epc;
+                lastRead = data;
+                renderAssign();
+            }
+        };
+
+        ws.onclose = () => {
+            statusIndicator.textContent = 'Disconnected';
+            statusIndicator.classList.remove('connected');
+            statusIndicator.classList.add('disconnected');
+            setTimeout(connectWebSocket, 3000);
+        };
+
+        ws.onerror = error => {
+            console.error('WebSocket error:', error);
+        };
+    }
+
+    function showMessage(text, isError = false) {
+        editorMessage.textContent = text;
+        editorMessage.classList.toggle('error', isError);
+    }
+
+    // Sends an edit to the inventory API and reports the outcome. The table is
+    // redrawn from the initialInventory broadcast that follows a change.
+    function sendEdit(method, url, body, doneText) {
+        const options = { method, headers: { 'Content-Type': 'application/json' } };
+        if (body) options.body = JSON.stringify(body);
+        return fetch(url, options)
+            .then(response => response.json().then(data => {
+                if (!response.ok) throw new Error(data.error || response.statusText);
+                showMessage(data.saved ? doneText : `${doneText} Kept in memory only: start the server with --inventory to save edits to a file.`, !data.saved);
+                return data;
+            }))
+            .catch(err => {
+                showMessage(`Error: ${err.message}`, true);
+                throw err;
+            });
+    }
+
+    // Reads a row's inputs; custom columns are named "attr:<column>" and go into attributes
+    function readFields(row) {
+        const values = { attributes: {} };
+        row.querySelectorAll('input[name]').forEach(input => {
+            if (input.name.startsWith('attr:')) {
+                values.attributes[input.name.slice('attr:'.length)] = input.value.trim();
+            } else {
+                values[input.name] = input.value.trim();
+            }
+        });
+        return values;
+    }
+
+    function renderAttributeColumns() {
+        const names = [];
+        inventory.forEach(item => {
+            Object.keys(item.attributes || {}).forEach(name => {
+                if (!names.includes(name)) names.push(name);
+            });
+        });
+        addedColumns.forEach(name => {
+            if (!names.includes(name)) names.push(name);
+        });
+        attributeNames = names;
+
+        actionsHeader.parentElement.querySelectorAll('.attribute-column').forEach(header => header.remove());
+        addActions.parentElement.querySelectorAll('.attribute-column').forEach(cell => cell.remove());
+        attributeNames.forEach(name => {
+            const header = document.createElement('th');
+            header.className = 'attribute-column';
+            header.textContent = name;
+            actionsHeader.before(header);
+            const cell = document.createElement('td');
+            cell.className = 'attribute-column';
+            cell.appendChild(createInput(`attr:${name}`, ''));
+            addActions.before(cell);
+        });
+    }
+
+    function createInput(name, value, type = 'text') {
+        const input = document.createElement('input');
+        input.type = type;
+        input.name = name;
+        input.value = value === undefined || value === null ? '' : value;
+        if (type === 'number') input.min = '0';
+        if (name === 'item') input.setAttribute('list', 'item-names');
+        return input;
+    }
+
+    function renderInventory() {
+        editorTableBody.innerHTML = '';
+        inventory.forEach(item => {
+            const row = editorTableBody.insertRow();
+            FIELDS.forEach((name, index) => {
+                // The EPC goes between the id and the item name
+                if (index === 1) {
+                    const epcCell = row.insertCell();
+                    epcCell.appendChild(createInput('epc', item.epc));
+                    const note = item.matchedPattern ? `Matched ${item.matchedPattern}, not saved on its own` : item.gs1;
+                    if (note) {
+                        const decoded = document.createElement('span');
+                        decoded.className = 'gs1';
+                        decoded.textContent = note;
+                        epcCell.appendChild(decoded);
+                    }
+                }
+                row.insertCell().appendChild(createInput(name, item[name], FIELD_TYPES[name] || 'number'));
+            });
+            attributeNames.forEach(name => {
+                row.insertCell().appendChild(createInput(`attr:${name}`, (item.attributes || {})[name]));
+            });
+
+            const actions = row.insertCell();
+            const saveBtn = document.createElement('button');
+            saveBtn.type = 'button';
+            saveBtn.textContent = 'Save';
+            saveBtn.addEventListener('click', () => {
+                sendEdit('PUT', `/api/inventory/${encodeURIComponent(item.epc)}`, readFields(row), `Saved ${item.epc}.`).catch(() => {});
+            });
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.className = 'danger';
+            deleteBtn.addEventListener('click', () => {
+                if (!confirm(`Remove ${item.item} (${item.epc}) from the inventory?`)) return;
+                sendEdit('DELETE', `/api/inventory/${encodeURIComponent(item.epc)}`, null, `Removed ${item.item}.`).catch(() => {});
+            });
+            actions.append(saveBtn, deleteBtn);
+        });
+
+        itemNames.innerHTML = '';
+        Array.from(new Set(inventory.map(item => item.item))).sort().forEach(name => {
+            itemNames.appendChild(new Option(name));
+        });
+    }
+
+    function renderAssign() {
+        if (!lastReadEpc) return;
+        const existing = inventory.find(item => item.epc === lastReadEpc);
+        const decoded = lastRead && lastRead.gs1 ? ` ${lastRead.gs1}` : '';
+        assignEpc.textContent = existing ? `${lastReadEpc} (already ${existing.item})` : `${lastReadEpc}${decoded}`;
+        assignBtn.disabled = Boolean(existing);
+        // A GS1 product class can be assigned instead, so later tags of the same product join the item
+        assignClassLabel.hidden = Boolean(existing) || !lastRead || !lastRead.gs1Class;
+        if (assignClassLabel.hidden) assignClass.checked = false;
+    }
+
+    function loadInventoryFile() {
+        fetch('/api/inventory')
+            .then(response => response.json())
+            .then(data => {
+                inventoryFile.textContent = data.file
+                    ? `Changes are saved to ${data.file}.`
+                    : 'No inventory file: changes are kept in memory until the server stops.';
+            })
+            .catch(err => console.error('Failed to load the inventory:', err));
+    }
+
+    readTagBtn.addEventListener('click', () => {
+        if (ws && ws.readyState === WebSocket.OPEN) ws.send('read-tag');
+    });
+
+    stopBtn.addEventListener('click', () => {
+        if (ws && ws.readyState === WebSocket.OPEN) ws.send('stop');
+    });
+
+    assignForm.addEventListener('submit', event => {
+        event.preventDefault();
+        if (!lastReadEpc) return;
+        const epc = assignClass.checked ? lastRead.gs1Class : lastReadEpc;
+        sendEdit('POST', '/api/inventory', { epc, item: assignItem.value.trim() }, `Assigned ${epc} to ${assignItem.value.trim()}.`)
+            .then(() => { assignItem.value = ''; })
+            .catch(() => {});
+    });
+
+    addColumnForm.addEventListener('submit', event => {
+        event.preventDefault();
+        const name = newColumn.value.trim();
+        if (!name || attributeNames.includes(name)) return;
+        // The column is written to the inventory file once a row is saved with it
+        addedColumns.push(name);
+        newColumn.value = '';
+        renderAttributeColumns();
+        renderInventory();
+    });
+
+    addBtn.addEventListener('click', () => {
+        const values = readFields(addRow);
+        sendEdit('POST', '/api/inventory', values, `Added ${values.item}.`)
+            .then(() => addRow.querySelectorAll('input').forEach(input => { input.value = ''; }))
+            .catch(() => {});
+    });
+
+    loadInventoryFile();
+    connectWebSocket();
+});
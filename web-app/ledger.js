@@ -0,0 +1,106 @@
+// ledger.js - Front-end Logic for the Checkout Ledger page
+
+document.addEventListener('DOMContentLoaded', () => {
+    const statusIndicator = document.getElementById('connection-status');
+    const checkoutTableBody = document.getElementById('checkout-table-body');
+    const historyUser = document.getElementById('history-user');
+    const historyTool = document.getElementById('history-tool');
+    const historyTableBody = document.getElementById('history-table-body');
+
+    let ws;
+
+    function connectWebSocket() {
+        const wsUrl = `ws://${window.location.hostname}:${window.location.port}`;
+        ws = new WebSocket(wsUrl);
+
+        ws.onopen = () => {
+            statusIndicator.textContent = 'Connected';
+            statusIndicator.classList.remove('disconnected');
+            statusIndicator.classList.add('connected');
+        };
+
+        ws.onmessage = event => {
+            const data = JSON.parse(event.data);
+
+            if (data.initialInventory) {
+                renderToolOptions(data.initialInventory);
+            } else if (data.checkouts) {
+                renderCheckouts(data.checkouts);
+                // A checkout or return also adds to or closes a history row
+                loadHistory();
+            }
+        };
+
+        ws.onclose = () => {
+            statusIndicator.textContent = 'Disconnected';
+            statusIndicator.classList.remove('connected');
+            statusIndicator.classList.add('disconnected');
+            setTimeout(connectWebSocket, 3000);
+        };
+
+        ws.onerror = error => {
+            console.error('WebSocket error:', error);
+        };
+    }
+
+    function formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '';
+    }
+
+    function addCells(row, texts) {
+        texts.forEach(text => {
+            row.insertCell().textContent = text;
+        });
+    }
+
+    function renderCheckouts(checkouts) {
+        checkoutTableBody.innerHTML = '';
+        checkouts.forEach(checkout => {
+            addCells(checkoutTableBody.insertRow(), [checkout.item || 'N/A', checkout.epc, checkout.user || 'Unknown', formatTime(checkout.timestamp)]);
+        });
+    }
+
+    function renderToolOptions(inventory) {
+        const selected = historyTool.value;
+        historyTool.length = 1;
+        [...inventory].sort((a, b) => a.item.localeCompare(b.item)).forEach(item => {
+            historyTool.add(new Option(`${item.item} (${item.epc})`, item.epc));
+        });
+        historyTool.value = selected;
+    }
+
+    function loadUsers() {
+        fetch('/api/users')
+            .then(response => response.json())
+            .then(data => {
+                data.users.forEach(name => historyUser.add(new Option(name, name)));
+            })
+            .catch(err => console.error('Failed to load users:', err));
+    }
+
+    function loadHistory() {
+        const params = new URLSearchParams();
+        if (historyUser.value) params.set('user', historyUser.value);
+        if (historyTool.value) params.set('epc', historyTool.value);
+        fetch(`/api/checkouts/history?${params}`)
+            .then(response => response.json())
+            .then(data => {
+                historyTableBody.innerHTML = '';
+                data.history.forEach(record => {
+                    addCells(historyTableBody.insertRow(), [
+                        record.item || record.epc,
+                        record.user || 'Unknown',
+                        formatTime(record.timestamp),
+                        record.returnedAt ? formatTime(record.returnedAt) : 'Still out'
+                    ]);
+                });
+            })
+            .catch(err => console.error('Failed to load the checkout history:', err));
+    }
+
+    historyUser.addEventListener('change', loadHistory);
+    historyTool.addEventListener('change', loadHistory);
+
+    loadUsers();
+    connectWebSocket();
+});
@@ -0,0 +1,149 @@
+// report.js - Front-end Logic for the Compare Snapshots page
+
+document.addEventListener('DOMContentLoaded', () => {
+    const statusIndicator = document.getElementById('connection-status');
+    const compareForm = document.getElementById('compare-form');
+    const compareBase = document.getElementById('compare-base');
+    const compareTarget = document.getElementById('compare-target');
+    const changesOnly = document.getElementById('compare-changes-only');
+    const compareSummary = document.getElementById('compare-summary');
+    const downloadCsv = document.getElementById('download-csv');
+    const downloadJson = document.getElementById('download-json');
+    const compareTableBody = document.getElementById('compare-table-body');
+    const unknownTableBody = document.getElementById('unknown-table-body');
+
+    const ChangeLabels = { missing: 'Went missing', returned: 'Came back', added: 'Added to inventory', removed: 'Removed from inventory', unchanged: 'No change' };
+    const UnknownLabels = { new: 'Newly seen', gone: 'No longer seen', seen: 'Seen in both' };
+
+    let ws;
+    let report = null;
+
+    function connectWebSocket() {
+        const wsUrl = `ws://${window.location.hostname}:${window.location.port}`;
+        ws = new WebSocket(wsUrl);
+
+        ws.onopen = () => {
+            statusIndicator.textContent = 'Connected';
+            statusIndicator.classList.remove('disconnected');
+            statusIndicator.classList.add('connected');
+        };
+
+        ws.onmessage = event => {
+            const data = JSON.parse(event.data);
+
+            // A new snapshot joins the lists
+            if (data.snapshotSaved) loadSnapshots();
+        };
+
+        ws.onclose = () => {
+            statusIndicator.textContent = 'Disconnected';
+            statusIndicator.classList.remove('connected');
+            statusIndicator.classList.add('disconnected');
+            setTimeout(connectWebSocket, 3000);
+        };
+
+        ws.onerror = error => {
+            console.error('WebSocket error:', error);
+        };
+    }
+
+    function describeSnapshot(snapshot) {
+        const label = snapshot.trigger === 'session' ? 'scan session' : `audit ${snapshot.name}`;
+        return `${new Date(snapshot.startedAt).toLocaleString()} ${label} (${snapshot.summary.present}/${snapshot.summary.tools} present)`;
+    }
+
+    function formatPresent(present) {
+        if (present === null) return '-';
+        return present ? 'In box' : 'Not read';
+    }
+
+    function addCells(row, texts) {
+        texts.forEach(text => {
+            row.insertCell().textContent = text;
+        });
+    }
+
+    // Fills both lists, keeping the choices; the base defaults to the newest snapshot
+    function loadSnapshots() {
+        fetch('/api/snapshots')
+            .then(response => response.json())
+            .then(data => {
+                const base = compareBase.value;
+                const target = compareTarget.value;
+                compareBase.length = 0;
+                compareTarget.length = 1;
+                data.snapshots.forEach(snapshot => {
+                    compareBase.add(new Option(describeSnapshot(snapshot), snapshot.id));
+                    compareTarget.add(new Option(describeSnapshot(snapshot), snapshot.id));
+                });
+                if (base) compareBase.value = base;
+                compareTarget.value = target || 'current';
+                compare();
+            })
+            .catch(err => console.error('Failed to load the snapshots:', err));
+    }
+
+    function compare() {
+        if (!compareBase.value) {
+            compareSummary.textContent = 'No snapshots yet: run an audit or a scan session first.';
+            return;
+        }
+        const params = new URLSearchParams({ base: compareBase.value, target: compareTarget.value });
+        downloadCsv.href = `/api/snapshots/compare?${params}&format=csv`;
+        downloadJson.href = `/api/snapshots/compare?${params}&format=json`;
+        fetch(`/api/snapshots/compare?${params}`)
+            .then(response => response.json().then(data => {
+                if (!response.ok) throw new Error(data.error || response.statusText);
+                report = data;
+                renderReport();
+            }))
+            .catch(err => {
+                report = null;
+                compareSummary.className = 'kit-status kit-short';
+                compareSummary.textContent = `Error: ${err.message}`;
+                compareTableBody.innerHTML = '';
+                unknownTableBody.innerHTML = '';
+            });
+    }
+
+    function renderReport() {
+        const { summary } = report;
+        const parts = [
+            `${summary.missing} went missing`, `${summary.returned} came back`, `${summary.added} added`, `${summary.removed} removed`,
+            `${summary.newUnknown} new unknown tag(s)`, `${summary.countChanged} read count change(s)`
+        ];
+        compareSummary.className = `kit-status ${summary.missing > 0 ? 'kit-short' : 'kit-complete'}`;
+        compareSummary.textContent = parts.join(', ');
+
+        compareTableBody.innerHTML = '';
+        report.items
+            .filter(entry => !changesOnly.checked || entry.change !== 'unchanged' || entry.countChange !== 0)
+            .forEach(entry => {
+                const row = compareTableBody.insertRow();
+                row.className = `change-${entry.change}`;
+                addCells(row, [
+                    entry.item, entry.epc, ChangeLabels[entry.change], formatPresent(entry.basePresent), formatPresent(entry.targetPresent),
+                    entry.baseCount, entry.targetCount, entry.countChange > 0 ? `+${entry.countChange}` : entry.countChange
+                ]);
+            });
+
+        unknownTableBody.innerHTML = '';
+        report.unknownTags
+            .filter(entry => !changesOnly.checked || entry.change !== 'seen')
+            .forEach(entry => {
+                const row = unknownTableBody.insertRow();
+                row.className = `change-${entry.change}`;
+                addCells(row, [entry.epc, UnknownLabels[entry.change], entry.baseCount, entry.targetCount]);
+            });
+    }
+
+    compareBase.addEventListener('change', compare);
+    compareTarget.addEventListener('change', compare);
+    changesOnly.addEventListener('change', () => {
+        if (report) renderReport();
+    });
+    compareForm.addEventListener('submit', event => event.preventDefault());
+
+    loadSnapshots();
+    connectWebSocket();
+});